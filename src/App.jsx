@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
+import JSZip from 'jszip';
 import { ImageProvider, useImageContext } from './context/ImageContext';
 import { useImageProcessor } from './hooks/useImageProcessor';
 import { DropZone } from './components/DropZone';
@@ -7,13 +8,17 @@ import { CompressionSettings } from './components/CompressionSettings';
 import { ImageEditor } from './components/ImageEditor';
 import { BeforeAfterSlider } from './components/BeforeAfterSlider';
 import { BatchControls } from './components/BatchControls';
+import { StorageStatus } from './components/StorageStatus';
 import { ThemeToggle } from './components/ThemeToggle';
 import { HistoryPanel, addToConversionHistory } from './components/HistoryPanel';
+import { buildFilename, getFileOutputFormat } from './utils/filenames';
+import { extractFrames } from './utils/animation';
+import { buildSpriteCss, buildSpriteJson } from './utils/compositor';
 import './index.css';
 
 function ImageConverterApp() {
   const { state, actions } = useImageContext();
-  const { processBatch, reconvertAll } = useImageProcessor();
+  const { processBatch, reconvertAll, reconvertFiles, generateResponsiveSet, pauseBatch, resumeBatch, cancelBatch } = useImageProcessor();
   const [editingFile, setEditingFile] = useState(null);
   const [selectedFile, setSelectedFile] = useState(null);
   const [showHistory, setShowHistory] = useState(false);
@@ -98,33 +103,78 @@ function ImageConverterApp() {
           filename: file.originalName,
           originalSize: file.originalSize,
           convertedSize: file.convertedSize,
-          outputFormat: settings.outputFormat,
+          outputFormat: getFileOutputFormat(file),
           savings: Math.round((1 - file.convertedSize / file.originalSize) * 100)
         });
         actions.updateFile(file.id, { addedToHistory: true });
       }
     });
-  }, [files, settings.outputFormat, actions]);
+  }, [files, actions]);
 
   const handleEdit = useCallback((file) => setEditingFile(file), []);
-  const handleSaveEdit = useCallback((editSettings) => {
+  const handleSaveEdit = useCallback((edits, editHistory) => {
     if (!editingFile) return;
-    actions.setSettings({ resize: editSettings.resize, rotate: editSettings.rotate, flip: editSettings.flip, filters: editSettings.filters, crop: editSettings.crop });
-    setTimeout(() => reconvertAll(), 100);
-  }, [editingFile, actions, reconvertAll]);
+    actions.updateFile(editingFile.id, { edits, editHistory });
+    setTimeout(() => reconvertFiles([editingFile.id]), 100);
+  }, [editingFile, actions, reconvertFiles]);
+
+  const handleCopyEdits = useCallback((file, scope) => {
+    const targetIds = files
+      .filter(f => f.id !== file.id && (scope === 'all' || f.isSelected))
+      .map(f => f.id);
+    if (targetIds.length === 0) return;
+    actions.copyEdits(file.id, targetIds);
+    setTimeout(() => reconvertFiles(targetIds), 100);
+  }, [files, actions, reconvertFiles]);
+
+  const handleToggleSelect = useCallback((file) => {
+    actions.updateFile(file.id, { isSelected: !file.isSelected });
+  }, [actions]);
 
   const handleDownload = useCallback((file) => {
     if (!file.webpUrl) return;
-    const pattern = settings.filenamePattern || '{name}';
-    const baseName = file.originalName.replace(/\.[^/.]+$/, '');
-    const date = new Date().toISOString().split('T')[0];
-    const outputExt = settings.outputFormat;
-    const filename = pattern.replace('{name}', baseName).replace('{date}', date).replace('{format}', outputExt) + '.' + outputExt;
+    const filename = buildFilename(settings.filenamePattern, file, { index: files.indexOf(file) + 1 });
     const link = document.createElement('a');
     link.href = file.webpUrl;
     link.download = filename;
     link.click();
-  }, [settings]);
+  }, [files, settings.filenamePattern]);
+
+  // Every frame of an animated input as PNG, with its delay in the name
+  const handleExtractFrames = useCallback(async (file) => {
+    try {
+      const frames = await extractFrames(file.originalFile);
+      const baseName = file.originalName.replace(/\.[^/.]+$/, '');
+      const digits = String(frames.length).length;
+      const zip = new JSZip();
+      frames.forEach((frame, i) => {
+        zip.file(`${baseName}_frame${String(i + 1).padStart(digits, '0')}_${Math.round(frame.duration)}ms.png`, frame.blob);
+      });
+      const content = await zip.generateAsync({ type: 'blob' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(content);
+      link.download = `${baseName}_frames.zip`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error(`Failed to extract frames from ${file.originalName}:`, error);
+    }
+  }, []);
+
+  // Coordinates follow the sheet's converted size and point at its real download name
+  const handleDownloadSpriteMap = useCallback((file, kind) => {
+    if (file.spriteMapIssue) return;
+    const imageUrl = buildFilename(settings.filenamePattern, file, { index: files.indexOf(file) + 1 });
+    const options = { imageUrl, outputWidth: file.convertedWidth, outputHeight: file.convertedHeight };
+    const content = kind === 'css'
+      ? new Blob([buildSpriteCss(file.spriteMap, options)], { type: 'text/css' })
+      : new Blob([JSON.stringify(buildSpriteJson(file.spriteMap, options), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(content);
+    link.download = `${imageUrl.replace(/\.[^/.]+$/, '')}.${kind}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }, [files, settings.filenamePattern]);
 
   const handleRemove = useCallback((id) => {
     const file = files.find(f => f.id === id);
@@ -195,6 +245,8 @@ function ImageConverterApp() {
 
                   {showSettings && <CompressionSettings />}
 
+                  <StorageStatus />
+
                   {selectedFile?.isConverted && (
                     <div className="bg-surface block-border p-4">
                       <h3 className="text-text font-medium text-sm mb-3 flex items-center gap-2">
@@ -206,14 +258,29 @@ function ImageConverterApp() {
                         afterUrl={selectedFile.webpUrl}
                         beforeLabel="BEFORE"
                         afterLabel="AFTER"
+                        score={selectedFile.score}
                       />
                     </div>
                   )}
                 </div>
 
                 <div className="lg:col-span-3 space-y-4">
-                  <BatchControls onConvertAll={() => reconvertAll()} />
-                  <FileList onEdit={handleEdit} onDownload={handleDownload} onRemove={handleRemove} />
+                  <BatchControls
+                    onConvertAll={() => reconvertAll()}
+                    onPause={pauseBatch}
+                    onResume={resumeBatch}
+                    onCancel={cancelBatch}
+                    onGenerateSrcset={() => generateResponsiveSet(files)}
+                  />
+                  <FileList
+                    onEdit={handleEdit}
+                    onDownload={handleDownload}
+                    onRemove={handleRemove}
+                    onCopyEdits={handleCopyEdits}
+                    onToggleSelect={handleToggleSelect}
+                    onExtractFrames={handleExtractFrames}
+                    onDownloadSpriteMap={handleDownloadSpriteMap}
+                  />
                 </div>
               </div>
             )}
@@ -221,7 +288,7 @@ function ImageConverterApp() {
             {files.length === 0 && (
               <div className="text-center py-6">
                 <div className="inline-flex flex-wrap justify-center gap-2 pixel-text text-sm">
-                  {['PNG', 'JPEG', 'GIF', 'WebP', 'AVIF', 'BMP', 'SVG'].map(fmt => (
+                  {['PNG', 'JPEG', 'GIF', 'WebP', 'AVIF', 'BMP', 'SVG', 'TIFF', 'HEIC', 'RAW'].map(fmt => (
                     <span key={fmt} className="px-3 py-1 bg-surface block-border-sm text-text-muted">{fmt}</span>
                   ))}
                 </div>
@@ -1,14 +1,31 @@
-import { useCallback } from 'react';
+import { useCallback, useState } from 'react';
 import JSZip from 'jszip';
 import { useImageContext } from '../context/ImageContext';
+import { buildFilename, createNameDeduper, getBaseName } from '../utils/filenames';
+import { getFileSettings } from '../utils/editSettings';
+import { generateIconSet } from '../utils/icons';
+import { buildPdf } from '../utils/pdf';
+import { composeSheet } from '../utils/compositor';
+import { createFileEntry } from '../utils/fileEntry';
+import { buildManifest, buildPictureHtml, nameRenditions } from '../utils/srcset';
 
-export function BatchControls({ onConvertAll }) {
+export function BatchControls({ onConvertAll, onPause, onResume, onCancel, onGenerateSrcset }) {
     const { state, actions } = useImageContext();
-    const { files, processing } = state;
+    const { files, processing, settings } = state;
+    const [srcsetNote, setSrcsetNote] = useState(null);
+    const [zipError, setZipError] = useState(null);
+    const [isBuildingIcons, setIsBuildingIcons] = useState(false);
+    const [iconsError, setIconsError] = useState(null);
+    const [pdfProgress, setPdfProgress] = useState(null);
+    const [pdfError, setPdfError] = useState(null);
+    const [isComposing, setIsComposing] = useState(false);
+    const [sheetError, setSheetError] = useState(null);
 
     const convertedFiles = files.filter(f => f.isConverted);
     const hasFiles = files.length > 0;
     const hasConverted = convertedFiles.length > 0;
+    // Srcset renditions are rendered by the processor, which runs one job at a time
+    const canZip = hasConverted && !(settings.srcset.enabled && processing.isProcessing);
 
     const formatFileSize = (bytes) => {
         if (bytes === 0) return '0 B';
@@ -27,36 +44,126 @@ export function BatchControls({ onConvertAll }) {
 
     const stats = getTotalStats();
 
+    const getFilename = (file) =>
+        buildFilename(settings.filenamePattern, file, { index: files.indexOf(file) + 1 });
+
     const downloadFile = (file) => {
-        const pattern = state.settings.filenamePattern || '{name}';
-        const baseName = file.originalName.replace(/\.[^/.]+$/, '');
-        const date = new Date().toISOString().split('T')[0];
-        const outputExt = state.settings.outputFormat;
-        const filename = pattern.replace('{name}', baseName).replace('{date}', date).replace('{format}', outputExt) + '.' + outputExt;
         const link = document.createElement('a');
         link.href = file.webpUrl;
-        link.download = filename;
+        link.download = getFilename(file);
         link.click();
     };
 
     const downloadAll = () => convertedFiles.forEach((file, i) => setTimeout(() => downloadFile(file), i * 200));
 
+    // Every file at every srcset width and format, with the <picture> markup and a manifest
+    const addSrcset = (folder, entries) => {
+        entries.forEach(entry => entry.renditions.forEach(rendition => folder.file(rendition.filename, rendition.blob)));
+        folder.file('picture.html', entries.map(entry => buildPictureHtml(entry, settings.srcset.sizes)).join('\n\n') + '\n');
+        folder.file('manifest.json', JSON.stringify(buildManifest(entries, settings.srcset.sizes), null, 2));
+
+        const missing = [...new Set(entries.flatMap(entry => entry.missingFormats))];
+        setSrcsetNote(missing.length > 0
+            ? `Skipped ${missing.map(format => format.toUpperCase()).join(', ')}: this browser can't encode it. Try the WASM encoder.`
+            : null);
+    };
+
+    // With srcset on, the renditions are rendered first and go in a srcset/ folder;
+    // cancelling them cancels the download
     const downloadAsZip = async () => {
-        const zip = new JSZip();
-        for (const file of convertedFiles) {
-            const pattern = state.settings.filenamePattern || '{name}';
-            const baseName = file.originalName.replace(/\.[^/.]+$/, '');
-            const date = new Date().toISOString().split('T')[0];
-            const outputExt = state.settings.outputFormat;
-            const filename = pattern.replace('{name}', baseName).replace('{date}', date).replace('{format}', outputExt) + '.' + outputExt;
-            zip.file(filename, file.convertedBlob);
+        setZipError(null);
+        try {
+            const zip = new JSZip();
+            const uniqueName = createNameDeduper();
+            for (const file of convertedFiles) {
+                zip.file(uniqueName(getFilename(file)), file.convertedBlob);
+            }
+
+            if (settings.srcset.enabled) {
+                const results = await onGenerateSrcset();
+                if (!results) {
+                    setZipError('ZIP not created: the srcset renditions were cancelled or another batch was running.');
+                    return;
+                }
+                addSrcset(zip.folder('srcset'), nameRenditions(results));
+            }
+
+            const content = await zip.generateAsync({ type: 'blob' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(content);
+            link.download = `comprangel_${new Date().toISOString().split('T')[0]}.zip`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            setZipError(`ZIP export failed: ${error.message}`);
+        }
+    };
+
+    // One icon package per file; a single file's package sits at the ZIP root
+    const downloadIcons = async () => {
+        setIsBuildingIcons(true);
+        setIconsError(null);
+        try {
+            const zip = new JSZip();
+            const uniqueFolder = createNameDeduper();
+            for (const file of files) {
+                const folder = files.length > 1 ? zip.folder(uniqueFolder(getBaseName(file.originalName))) : zip;
+                const entries = await generateIconSet(file, getFileSettings(settings, file));
+                entries.forEach(entry => folder.file(entry.filename, entry.blob));
+            }
+
+            const content = await zip.generateAsync({ type: 'blob' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(content);
+            link.download = `comprangel_icons_${new Date().toISOString().split('T')[0]}.zip`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            setIconsError(`Icon package failed: ${error.message}`);
+        } finally {
+            setIsBuildingIcons(false);
+        }
+    };
+
+    // Pages follow the FileList order, which drag-and-drop reordering changes
+    const downloadPdf = async () => {
+        setPdfProgress(0);
+        setPdfError(null);
+        try {
+            const items = convertedFiles.map(file => ({ blob: file.convertedBlob, name: getFilename(file) }));
+            const pdf = await buildPdf(items, settings.pdf, setPdfProgress);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(pdf);
+            link.download = `comprangel_${new Date().toISOString().split('T')[0]}.pdf`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            setPdfError(`PDF export failed: ${error.message}`);
+        } finally {
+            setPdfProgress(null);
+        }
+    };
+
+    // The sheet joins the file list as a new PNG source, so it is converted with the current settings
+    const composeSpriteSheet = async () => {
+        const sources = convertedFiles.filter(file => !file.spriteMap);
+        if (sources.length === 0) return;
+
+        setIsComposing(true);
+        setSheetError(null);
+        try {
+            const items = sources.map(file => ({ blob: file.convertedBlob, name: file.originalName }));
+            const sheet = await composeSheet(items, settings.sheet);
+            const name = `${settings.sheet.captions ? 'contact-sheet' : 'sprite'}_${new Date().toISOString().split('T')[0]}.png`;
+            const file = new File([sheet.blob], name, { type: 'image/png' });
+            actions.addFiles([createFileEntry(file, URL.createObjectURL(file), sheet, {
+                spriteMap: { width: sheet.width, height: sheet.height, map: sheet.map }
+            })]);
+        } catch (error) {
+            setSheetError(error.message);
+        } finally {
+            setIsComposing(false);
         }
-        const content = await zip.generateAsync({ type: 'blob' });
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(content);
-        link.download = `comprangel_${new Date().toISOString().split('T')[0]}.zip`;
-        link.click();
-        URL.revokeObjectURL(link.href);
     };
 
     const clearAll = () => {
@@ -92,15 +199,34 @@ export function BatchControls({ onConvertAll }) {
             {processing.isProcessing && (
                 <div className="pb-4 mb-4 border-b-2 border-block-border">
                     <div className="flex justify-between text-xs mb-2">
-                        <span className="text-text-muted">PROCESSING...</span>
+                        <span className="text-text-muted">{processing.isPaused ? 'PAUSED' : 'PROCESSING...'}</span>
                         <span className="pixel-text text-text">{Math.round(processing.progress * 100)}%</span>
                     </div>
                     <div className="h-4 bg-surface-light block-inset">
                         <div
-                            className="h-full bg-primary transition-all duration-200"
+                            className={`h-full transition-all duration-200 ${processing.isPaused ? 'bg-secondary' : 'bg-primary'}`}
                             style={{ width: `${processing.progress * 100}%` }}
                         />
                     </div>
+                    {processing.currentFile && (
+                        <p className="text-xs text-text-muted mt-2 truncate">
+                            ▶ {processing.currentFile}
+                        </p>
+                    )}
+                    <div className="flex gap-2 mt-3">
+                        <button
+                            onClick={processing.isPaused ? onResume : onPause}
+                            className="flex-1 py-2 px-3 text-sm bg-surface-light text-text block-border-sm hover:bg-secondary"
+                        >
+                            {processing.isPaused ? '▶ RESUME' : '❚❚ PAUSE'}
+                        </button>
+                        <button
+                            onClick={onCancel}
+                            className="flex-1 py-2 px-3 text-sm bg-surface-light text-text-muted block-border-sm hover:bg-primary hover:text-text"
+                        >
+                            ■ CANCEL
+                        </button>
+                    </div>
                 </div>
             )}
 
@@ -131,14 +257,55 @@ export function BatchControls({ onConvertAll }) {
             <div className="flex gap-2 mt-3">
                 <button
                     onClick={downloadAsZip}
-                    disabled={!hasConverted}
-                    className={`flex-1 py-2 px-3 text-sm ${hasConverted
+                    disabled={!canZip}
+                    title={settings.srcset.enabled
+                        ? `Adds srcset/: ${settings.srcset.widths.join('/')} × ${settings.srcset.formats.join('+').toUpperCase()}`
+                        : undefined}
+                    className={`flex-1 py-2 px-3 text-sm ${canZip
                             ? 'bg-surface-light text-primary block-border-sm hover:bg-primary hover:text-text'
                             : 'bg-surface-light text-text-muted/40 cursor-not-allowed block-border-sm'
                         }`}
                 >
-                    📦 ZIP
+                    {settings.srcset.enabled ? '📦 ZIP + SRCSET' : '📦 ZIP'}
                 </button>
+                {settings.sheet.enabled && (
+                    <button
+                        onClick={composeSpriteSheet}
+                        disabled={!hasConverted || isComposing || processing.isProcessing}
+                        title="Combine the converted files into one sheet, added to the list"
+                        className={`flex-1 py-2 px-3 text-sm ${hasConverted && !isComposing && !processing.isProcessing
+                                ? 'bg-surface-light text-secondary-light block-border-sm hover:bg-secondary hover:text-text'
+                                : 'bg-surface-light text-text-muted/40 cursor-not-allowed block-border-sm'
+                            }`}
+                    >
+                        ⊞ SHEET
+                    </button>
+                )}
+                {settings.pdf.enabled && (
+                    <button
+                        onClick={downloadPdf}
+                        disabled={!hasConverted || pdfProgress !== null}
+                        className={`flex-1 py-2 px-3 text-sm ${hasConverted && pdfProgress === null
+                                ? 'bg-surface-light text-secondary-light block-border-sm hover:bg-secondary hover:text-text'
+                                : 'bg-surface-light text-text-muted/40 cursor-not-allowed block-border-sm'
+                            }`}
+                    >
+                        {pdfProgress !== null ? `PDF ${Math.round(pdfProgress * 100)}%` : '▤ PDF'}
+                    </button>
+                )}
+                {settings.icons.enabled && (
+                    <button
+                        onClick={downloadIcons}
+                        disabled={!hasFiles || isBuildingIcons}
+                        title="favicon.ico, apple-touch-icon, PWA and maskable icons, manifest.webmanifest"
+                        className={`flex-1 py-2 px-3 text-sm ${hasFiles && !isBuildingIcons
+                                ? 'bg-surface-light text-secondary-light block-border-sm hover:bg-secondary hover:text-text'
+                                : 'bg-surface-light text-text-muted/40 cursor-not-allowed block-border-sm'
+                            }`}
+                    >
+                        ◈ ICONS
+                    </button>
+                )}
                 <button
                     onClick={clearAll}
                     disabled={!hasFiles}
@@ -150,6 +317,21 @@ export function BatchControls({ onConvertAll }) {
                     ✕ CLEAR
                 </button>
             </div>
+            {zipError && (
+                <p className="text-xs text-primary mt-2">⚠️ {zipError}</p>
+            )}
+            {iconsError && settings.icons.enabled && (
+                <p className="text-xs text-primary mt-2">⚠️ {iconsError}</p>
+            )}
+            {pdfError && settings.pdf.enabled && (
+                <p className="text-xs text-primary mt-2">⚠️ {pdfError}</p>
+            )}
+            {sheetError && settings.sheet.enabled && (
+                <p className="text-xs text-primary mt-2">⚠️ {sheetError}</p>
+            )}
+            {srcsetNote && settings.srcset.enabled && (
+                <p className="text-xs text-primary mt-2">⚠️ {srcsetNote}</p>
+            )}
         </div>
     );
 }
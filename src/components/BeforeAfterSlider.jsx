@@ -1,6 +1,6 @@
 import { useState, useRef, useEffect } from 'react';
 
-export function BeforeAfterSlider({ beforeUrl, afterUrl, beforeLabel = 'Before', afterLabel = 'After' }) {
+export function BeforeAfterSlider({ beforeUrl, afterUrl, beforeLabel = 'Before', afterLabel = 'After', score = null }) {
     const [sliderPosition, setSliderPosition] = useState(50);
     const containerRef = useRef(null);
     const isDraggingRef = useRef(false);
@@ -73,6 +73,7 @@ export function BeforeAfterSlider({ beforeUrl, afterUrl, beforeLabel = 'Before',
             </div>
             <div className="absolute top-2 right-2 px-2 py-1 bg-background/80 text-text pixel-text text-sm pointer-events-none">
                 {afterLabel}
+                {score != null && <span className="text-text-muted"> • SSIM {score.toFixed(3)}</span>}
             </div>
         </div>
     );
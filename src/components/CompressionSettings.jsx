@@ -1,11 +1,21 @@
 import React from 'react';
 import { useImageContext, presets } from '../context/ImageContext';
+import { canEncode } from '../utils/encoderSupport';
+import { exportPresets, parsePresets } from '../utils/presets';
+import { SRCSET_FORMATS, parseWidths } from '../utils/srcset';
+import { ICON_OUTPUT_SIZES, isIconFormat } from '../utils/icons';
+import { PAGE_SIZES } from '../utils/pdf';
+import { canAnimate } from '../utils/animation';
+import { RESAMPLE_FILTERS } from '../utils/resample';
+import { ANCHORS, BOX_MODES, RESIZE_MODES } from '../utils/resize';
 
 const ALL_OUTPUT_FORMATS = [
     { value: 'webp', label: 'WebP' },
     { value: 'avif', label: 'AVIF' },
     { value: 'jpeg', label: 'JPEG' },
-    { value: 'png', label: 'PNG' }
+    { value: 'png', label: 'PNG' },
+    { value: 'ico', label: 'ICO' },
+    { value: 'cur', label: 'CUR' }
 ];
 
 const PRESETS = [
@@ -17,7 +27,10 @@ const PRESETS = [
 
 export function CompressionSettings() {
     const { state, actions } = useImageContext();
-    const { settings, inputFormats } = state;
+    const { settings, inputFormats, encoderSupport, files, customPresets } = state;
+    const hasAnimated = files.some(file => file.animation);
+    // Formats that would drop the frames of animated inputs while animation is being kept
+    const losesAnimation = (format) => hasAnimated && settings.preserveAnimation && !canAnimate(format);
 
     // Filter output formats to exclude input formats
     const getAvailableOutputFormats = () => {
@@ -38,6 +51,121 @@ export function CompressionSettings() {
 
     const OUTPUT_FORMATS = getAvailableOutputFormats();
 
+    const setTargetSize = (changes) => {
+        actions.setSettings({ targetSize: { ...settings.targetSize, ...changes } });
+    };
+
+    const setSrcset = (changes) => {
+        actions.setSettings({ srcset: { ...settings.srcset, ...changes } });
+    };
+
+    const setIcoOutput = (changes) => {
+        actions.setSettings({ icoOutput: { ...settings.icoOutput, ...changes } });
+    };
+
+    const toggleIcoSize = (size) => {
+        const sizes = settings.icoOutput.sizes.includes(size)
+            ? settings.icoOutput.sizes.filter(s => s !== size)
+            : [...settings.icoOutput.sizes, size].sort((a, b) => a - b);
+        if (sizes.length > 0) setIcoOutput({ sizes });
+    };
+
+    const setSheet = (changes) => {
+        actions.setSettings({ sheet: { ...settings.sheet, ...changes } });
+    };
+
+    const setPdf = (changes) => {
+        actions.setSettings({ pdf: { ...settings.pdf, ...changes } });
+    };
+
+    const setFallbacks = (changes) => {
+        actions.setSettings({ fallbacks: { ...settings.fallbacks, ...changes } });
+    };
+
+    const setResize = (changes) => {
+        actions.setSettings({ resize: { ...settings.resize, ...changes } });
+    };
+
+    // Empty fields clear the value, which leaves that side to the aspect ratio or the source
+    const toSize = (value) => Math.max(1, parseInt(value) || 0) || null;
+
+    const setResampling = (changes) => {
+        actions.setSettings({ resampling: { ...settings.resampling, ...changes } });
+    };
+
+    const setSharpen = (changes) => {
+        setResampling({ sharpen: { ...settings.resampling.sharpen, ...changes } });
+    };
+
+    const setIcons = (changes) => {
+        actions.setSettings({ icons: { ...settings.icons, ...changes } });
+    };
+
+    const [srcsetWidths, setSrcsetWidths] = React.useState(settings.srcset.widths.join(', '));
+
+    // Presets and restores replace the widths from outside the field
+    React.useEffect(() => {
+        setSrcsetWidths(settings.srcset.widths.join(', '));
+    }, [settings.srcset.widths]);
+
+    // Parsed when the field is left so typing "640, " isn't rewritten mid-edit
+    const commitSrcsetWidths = () => {
+        const widths = parseWidths(srcsetWidths);
+        if (widths.length > 0) setSrcset({ widths });
+        setSrcsetWidths((widths.length > 0 ? widths : settings.srcset.widths).join(', '));
+    };
+
+    const toggleSrcsetFormat = (format) => {
+        const formats = settings.srcset.formats.includes(format)
+            ? settings.srcset.formats.filter(f => f !== format)
+            : [...settings.srcset.formats, format];
+        if (formats.length > 0) setSrcset({ formats });
+    };
+
+    const setEncoderOptions = (format, changes) => {
+        actions.setSettings({
+            encoderOptions: {
+                ...settings.encoderOptions,
+                [format]: { ...settings.encoderOptions[format], ...changes }
+            }
+        });
+    };
+
+    const codecOptions = settings.encoderOptions[settings.outputFormat];
+
+    const [presetName, setPresetName] = React.useState('');
+    const [presetError, setPresetError] = React.useState(null);
+    const presetInputRef = React.useRef(null);
+
+    const handleSavePreset = () => {
+        if (!presetName.trim()) return;
+        actions.savePreset(presetName);
+        setPresetName('');
+    };
+
+    const handleExportPresets = () => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(exportPresets(customPresets));
+        link.download = 'comprangel-presets.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+
+    const handleImportPresets = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const { presets: imported, skipped } = parsePresets(await file.text(), settings);
+            if (imported.length === 0) throw new Error(skipped ? 'No valid presets in file' : 'No presets found in file');
+            actions.importPresets(imported);
+            setPresetError(skipped ? `Skipped ${skipped} invalid preset${skipped > 1 ? 's' : ''}` : null);
+        } catch (error) {
+            setPresetError(`Import failed: ${error.message}`);
+        }
+    };
+
     // Check if current output format is still available, if not, switch to first available
     React.useEffect(() => {
         if (OUTPUT_FORMATS.length > 0 && !OUTPUT_FORMATS.some(f => f.value === settings.outputFormat)) {
@@ -52,25 +180,117 @@ export function CompressionSettings() {
                 <label className="pixel-text text-sm text-text-secondary tracking-wider mb-3 block">
                     OUTPUT FORMAT
                 </label>
-                <div className="grid grid-cols-4 gap-2">
-                    {OUTPUT_FORMATS.map(format => (
-                        <button
-                            key={format.value}
-                            onClick={() => actions.setOutputFormat(format.value)}
-                            className={`
+                <div className="grid grid-cols-3 gap-2">
+                    {OUTPUT_FORMATS.map(format => {
+                        const supported = canEncode(encoderSupport, format.value, settings.encoder);
+                        const blocked = format.value === 'avif' && losesAnimation('avif');
+                        return (
+                            <button
+                                key={format.value}
+                                onClick={() => actions.setOutputFormat(format.value)}
+                                disabled={blocked}
+                                title={blocked
+                                    ? 'Animated AVIF can\'t be written yet; use WebP or PNG (APNG) to keep the animation'
+                                    : supported ? undefined : `This browser can't encode ${format.label}`}
+                                className={`
                 p-3 text-center transition-all pixel-text text-lg tracking-wide
                 ${settings.outputFormat === format.value
-                                    ? 'bg-primary text-text block-btn'
-                                    : 'bg-surface-light block-border-sm text-text-muted hover:text-text'
-                                }
+                                        ? 'bg-primary text-text block-btn'
+                                        : 'bg-surface-light block-border-sm text-text-muted hover:text-text'
+                                    }
+                ${supported && !blocked ? '' : 'opacity-50'}
               `}
-                        >
-                            {format.label}
-                        </button>
-                    ))}
+                            >
+                                {format.label}
+                                {blocked
+                                    ? <span className="block text-xs">NOT ANIMATED</span>
+                                    : !supported && <span className="block text-xs">NO ENCODER</span>}
+                            </button>
+                        );
+                    })}
                 </div>
+                {hasAnimated && settings.preserveAnimation && (
+                    <p className="text-xs text-text-muted mt-2">
+                        {losesAnimation(settings.outputFormat)
+                            ? `ℹ️ ${settings.outputFormat.toUpperCase()} can't hold animation: animated files keep only their first frame. Pick WebP or PNG to keep it.`
+                            : 'ℹ️ AVIF is unavailable for animated files: AVIF image sequences aren\'t supported yet.'}
+                    </p>
+                )}
+                {!canEncode(encoderSupport, settings.outputFormat, settings.encoder) && (
+                    <p className="text-xs text-primary mt-2">
+                        ⚠️ This browser can't encode {settings.outputFormat.toUpperCase()}, files would come out as PNG.
+                        Pick another format or switch the encoder to WASM.
+                    </p>
+                )}
             </div>
 
+            {/* ICO / CUR entries */}
+            {isIconFormat(settings.outputFormat) && (
+                <div>
+                    <label className="pixel-text text-sm text-text-secondary tracking-wider mb-3 block">
+                        {settings.outputFormat.toUpperCase()} SIZES
+                    </label>
+                    <div className="space-y-1">
+                        {ICON_OUTPUT_SIZES.map(size => {
+                            const included = settings.icoOutput.sizes.includes(size);
+                            return (
+                                <div key={size} className="flex items-center gap-2">
+                                    <button
+                                        onClick={() => toggleIcoSize(size)}
+                                        className={`flex-1 py-1 text-xs block-border-sm ${included
+                                            ? 'bg-secondary text-text'
+                                            : 'bg-surface-light text-text-muted hover:text-text'
+                                            }`}
+                                    >
+                                        {size}×{size}
+                                    </button>
+                                    {['png', 'bmp'].map(payload => (
+                                        <button
+                                            key={payload}
+                                            onClick={() => setIcoOutput({ payloads: { ...settings.icoOutput.payloads, [size]: payload } })}
+                                            disabled={!included}
+                                            className={`px-2 py-1 text-xs block-border-sm ${settings.icoOutput.payloads[size] === payload && included
+                                                ? 'bg-primary text-text'
+                                                : 'bg-surface-light text-text-muted'
+                                                } ${included ? '' : 'opacity-40 cursor-not-allowed'}`}
+                                        >
+                                            {payload.toUpperCase()}
+                                        </button>
+                                    ))}
+                                </div>
+                            );
+                        })}
+                    </div>
+                    <p className="text-xs text-text-muted mt-1">
+                        BMP entries suit small sizes and old Windows versions, PNG keeps large sizes small.
+                    </p>
+
+                    {settings.outputFormat === 'cur' && (
+                        <div className="grid grid-cols-2 gap-2 mt-3">
+                            {['x', 'y'].map(axis => (
+                                <label key={axis} className="flex items-center gap-2 text-xs text-text-muted">
+                                    HOTSPOT {axis.toUpperCase()}
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="100"
+                                        value={settings.icoOutput.hotspot[axis]}
+                                        onChange={(e) => setIcoOutput({
+                                            hotspot: {
+                                                ...settings.icoOutput.hotspot,
+                                                [axis]: Math.max(0, Math.min(100, parseInt(e.target.value) || 0))
+                                            }
+                                        })}
+                                        className="w-full min-w-0 px-2 py-1 bg-surface-light block-inset text-text text-xs focus:outline-none"
+                                    />
+                                    %
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Presets */}
             <div>
                 <label className="pixel-text text-sm text-text-secondary tracking-wider mb-3 block">
@@ -94,6 +314,85 @@ export function CompressionSettings() {
                         </button>
                     ))}
                 </div>
+
+                {/* Saved presets */}
+                {customPresets.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                        {customPresets.map(preset => (
+                            <div
+                                key={preset.id}
+                                className={`flex items-center text-xs block-border-sm ${settings.preset === preset.id
+                                    ? 'bg-secondary text-text'
+                                    : 'bg-surface-light text-text-muted'
+                                    }`}
+                            >
+                                <button
+                                    onClick={() => actions.setPreset(preset.id)}
+                                    className="px-2 py-1 hover:text-text"
+                                    title={`${preset.settings.outputFormat?.toUpperCase()} · Q${preset.settings.quality}`}
+                                >
+                                    {preset.name}
+                                </button>
+                                <button
+                                    onClick={() => actions.deletePreset(preset.id)}
+                                    className="px-1.5 py-1 hover:text-primary"
+                                    title="Delete preset"
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <div className="flex gap-2 mt-2">
+                    <input
+                        type="text"
+                        value={presetName}
+                        onChange={(e) => setPresetName(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSavePreset()}
+                        placeholder="Preset name"
+                        className="flex-1 min-w-0 px-3 py-2 bg-surface-light block-inset text-text text-xs focus:outline-none"
+                    />
+                    <button
+                        onClick={handleSavePreset}
+                        disabled={!presetName.trim()}
+                        className={`px-3 py-2 text-xs block-border-sm ${presetName.trim()
+                            ? 'bg-primary text-text'
+                            : 'bg-surface-light text-text-muted/40 cursor-not-allowed'
+                            }`}
+                        title="Save all current settings as a preset"
+                    >
+                        SAVE
+                    </button>
+                </div>
+
+                <div className="grid grid-cols-2 gap-2 mt-2">
+                    <button
+                        onClick={() => presetInputRef.current?.click()}
+                        className="py-1 text-xs bg-surface-light block-border-sm text-text-muted hover:text-text"
+                    >
+                        ⇧ IMPORT
+                    </button>
+                    <button
+                        onClick={handleExportPresets}
+                        disabled={customPresets.length === 0}
+                        className={`py-1 text-xs block-border-sm ${customPresets.length > 0
+                            ? 'bg-surface-light text-text-muted hover:text-text'
+                            : 'bg-surface-light text-text-muted/40 cursor-not-allowed'
+                            }`}
+                    >
+                        ⇩ EXPORT
+                    </button>
+                </div>
+                <input
+                    ref={presetInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleImportPresets}
+                    className="hidden"
+                />
+                {presetError && <p className="text-xs text-primary mt-1">⚠️ {presetError}</p>}
             </div>
 
             {/* Quality */}
@@ -110,8 +409,8 @@ export function CompressionSettings() {
                     max="100"
                     value={settings.quality}
                     onChange={(e) => actions.setQuality(parseInt(e.target.value))}
-                    disabled={settings.lossless}
-                    className={`w-full ${settings.lossless ? 'opacity-40' : ''}`}
+                    disabled={settings.lossless || settings.targetSize.enabled}
+                    className={`w-full ${settings.lossless || settings.targetSize.enabled ? 'opacity-40' : ''}`}
                 />
                 <div className="flex justify-between text-xs text-text-muted mt-1">
                     <span>SMALLER</span>
@@ -119,6 +418,758 @@ export function CompressionSettings() {
                 </div>
             </div>
 
+            {/* Quality floor */}
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <label className="pixel-text text-sm text-text-secondary tracking-wider">
+                        QUALITY FLOOR
+                    </label>
+                    <span className="pixel-text text-lg text-text">
+                        {settings.minQualityScore > 0 ? `SSIM ≥ ${settings.minQualityScore.toFixed(2)}` : 'OFF'}
+                    </span>
+                </div>
+                <input
+                    type="range"
+                    min="0"
+                    max="0.99"
+                    step="0.01"
+                    value={settings.minQualityScore}
+                    onChange={(e) => actions.setSettings({ minQualityScore: parseFloat(e.target.value) })}
+                    className="w-full"
+                />
+                <p className="text-xs text-text-muted mt-1">
+                    Fallbacks never go below this similarity to the source
+                </p>
+            </div>
+
+            {/* Fallback policy */}
+            <div>
+                <label className="pixel-text text-sm text-text-secondary tracking-wider mb-3 block">
+                    IF LARGER THAN ORIGINAL
+                </label>
+                <div className="space-y-2">
+                    <div className="grid grid-cols-2 gap-2">
+                        {[
+                            { value: false, label: 'KEEP SIZE' },
+                            { value: true, label: 'ALLOW DOWNSCALE' }
+                        ].map(option => (
+                            <button
+                                key={option.label}
+                                onClick={() => setFallbacks({ downscale: option.value })}
+                                className={`py-2 text-xs block-border-sm ${settings.fallbacks.downscale === option.value
+                                    ? 'bg-secondary text-text'
+                                    : 'bg-surface-light text-text-muted hover:text-text'
+                                    }`}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+                    {settings.fallbacks.downscale && (
+                        <label className="flex items-center gap-2 text-xs text-text-muted">
+                            DOWN TO
+                            <input
+                                type="number"
+                                min="5"
+                                max="95"
+                                value={settings.fallbacks.minScale}
+                                onChange={(e) => setFallbacks({ minScale: Math.max(5, Math.min(95, parseInt(e.target.value) || 5)) })}
+                                className="w-full min-w-0 px-2 py-1 bg-surface-light block-inset text-text text-xs focus:outline-none"
+                            />
+                            %
+                        </label>
+                    )}
+                    <label className="flex items-center gap-2 text-xs text-text-muted cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={settings.fallbacks.formats}
+                            onChange={(e) => setFallbacks({ formats: e.target.checked })}
+                            className="accent-primary"
+                        />
+                        Allow format fallback (WebP, then JPEG)
+                    </label>
+                </div>
+                <p className="text-xs text-text-muted mt-1">
+                    {settings.fallbacks.downscale
+                        ? `Dimensions may shrink to ${settings.fallbacks.minScale}% when nothing at full size beats the original`
+                        : 'Dimensions are never changed to beat the original size'}
+                </p>
+            </div>
+
+            {/* Target size */}
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <label className="pixel-text text-sm text-text-secondary tracking-wider">
+                        TARGET SIZE
+                    </label>
+                    <button
+                        onClick={() => setTargetSize({ enabled: !settings.targetSize.enabled })}
+                        className={`px-3 py-1 text-xs block-border-sm ${settings.targetSize.enabled ? 'bg-primary text-text' : 'bg-surface-light text-text-muted'}`}
+                    >
+                        {settings.targetSize.enabled ? 'ON' : 'OFF'}
+                    </button>
+                </div>
+
+                {settings.targetSize.enabled && (
+                    <div className="space-y-2">
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="number"
+                                min="1"
+                                value={settings.targetSize.sizeKB}
+                                onChange={(e) => setTargetSize({ sizeKB: Math.max(1, parseInt(e.target.value) || 1) })}
+                                className="flex-1 px-4 py-2 bg-surface-light block-inset text-text text-sm focus:outline-none"
+                            />
+                            <span className="pixel-text text-lg text-text-muted">KB</span>
+                        </div>
+                        <div className="grid grid-cols-2 gap-2">
+                            {[
+                                { value: 'file', label: 'PER FILE' },
+                                { value: 'total', label: 'BATCH TOTAL' }
+                            ].map(scope => (
+                                <button
+                                    key={scope.value}
+                                    onClick={() => setTargetSize({ scope: scope.value })}
+                                    className={`py-2 text-xs block-border-sm ${settings.targetSize.scope === scope.value
+                                        ? 'bg-secondary text-text'
+                                        : 'bg-surface-light text-text-muted hover:text-text'
+                                        }`}
+                                >
+                                    {scope.label}
+                                </button>
+                            ))}
+                        </div>
+                        <label className="flex items-center gap-2 text-xs text-text-muted cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={settings.targetSize.allowResize}
+                                onChange={(e) => setTargetSize({ allowResize: e.target.checked })}
+                                className="accent-primary"
+                            />
+                            Allow shrinking dimensions when quality alone can't reach it
+                        </label>
+                    </div>
+                )}
+            </div>
+
+            {/* Responsive set (srcset) */}
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <label className="pixel-text text-sm text-text-secondary tracking-wider">
+                        SRCSET EXPORT
+                    </label>
+                    <button
+                        onClick={() => setSrcset({ enabled: !settings.srcset.enabled })}
+                        className={`px-3 py-1 text-xs block-border-sm ${settings.srcset.enabled ? 'bg-primary text-text' : 'bg-surface-light text-text-muted'}`}
+                    >
+                        {settings.srcset.enabled ? 'ON' : 'OFF'}
+                    </button>
+                </div>
+
+                {settings.srcset.enabled && (
+                    <div className="space-y-2">
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="text"
+                                value={srcsetWidths}
+                                onChange={(e) => setSrcsetWidths(e.target.value)}
+                                onBlur={commitSrcsetWidths}
+                                onKeyDown={(e) => e.key === 'Enter' && commitSrcsetWidths()}
+                                placeholder="320, 640, 1280"
+                                className="flex-1 min-w-0 px-4 py-2 bg-surface-light block-inset text-text text-sm focus:outline-none"
+                            />
+                            <span className="pixel-text text-lg text-text-muted">W</span>
+                        </div>
+                        <div className="grid grid-cols-4 gap-2">
+                            {SRCSET_FORMATS.map(format => {
+                                const supported = canEncode(encoderSupport, format, settings.encoder);
+                                return (
+                                    <button
+                                        key={format}
+                                        onClick={() => toggleSrcsetFormat(format)}
+                                        title={supported ? undefined : `This browser can't encode ${format.toUpperCase()}`}
+                                        className={`py-2 text-xs block-border-sm ${settings.srcset.formats.includes(format)
+                                            ? 'bg-secondary text-text'
+                                            : 'bg-surface-light text-text-muted hover:text-text'
+                                            } ${supported ? '' : 'opacity-50'}`}
+                                    >
+                                        {format.toUpperCase()}
+                                    </button>
+                                );
+                            })}
+                        </div>
+                        <input
+                            type="text"
+                            value={settings.srcset.sizes}
+                            onChange={(e) => setSrcset({ sizes: e.target.value })}
+                            placeholder="100vw"
+                            title="sizes attribute for the generated <picture> markup"
+                            className="w-full px-4 py-2 bg-surface-light block-inset text-text text-xs focus:outline-none"
+                        />
+                        <p className="text-xs text-text-muted">
+                            Widths above a file's own width are skipped. The ZIP gets a srcset/ folder with every rendition, picture.html and manifest.json.
+                        </p>
+                    </div>
+                )}
+            </div>
+
+            {/* Sprite / contact sheet */}
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <label className="pixel-text text-sm text-text-secondary tracking-wider">
+                        SPRITE SHEET
+                    </label>
+                    <button
+                        onClick={() => setSheet({ enabled: !settings.sheet.enabled })}
+                        className={`px-3 py-1 text-xs block-border-sm ${settings.sheet.enabled ? 'bg-primary text-text' : 'bg-surface-light text-text-muted'}`}
+                    >
+                        {settings.sheet.enabled ? 'ON' : 'OFF'}
+                    </button>
+                </div>
+
+                {settings.sheet.enabled && (
+                    <div className="space-y-2">
+                        <div className="grid grid-cols-2 gap-2">
+                            {[
+                                { value: 'grid', label: 'GRID' },
+                                { value: 'packed', label: 'PACKED' }
+                            ].map(layout => (
+                                <button
+                                    key={layout.value}
+                                    onClick={() => setSheet({ layout: layout.value })}
+                                    className={`py-1 text-xs block-border-sm ${settings.sheet.layout === layout.value
+                                        ? 'bg-secondary text-text'
+                                        : 'bg-surface-light text-text-muted hover:text-text'
+                                        }`}
+                                >
+                                    {layout.label}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="grid grid-cols-3 gap-2">
+                            {[
+                                { key: 'columns', label: 'COLS', max: 50, hidden: settings.sheet.layout !== 'grid', title: '0 = about square' },
+                                { key: 'cellSize', label: 'CELL', max: 4096, title: 'Longest edge per image in px, 0 = native size' },
+                                { key: 'padding', label: 'PAD', max: 256, title: 'Gap around each image in px' }
+                            ].filter(field => !field.hidden).map(field => (
+                                <label key={field.key} className="flex flex-col gap-1 text-xs text-text-muted" title={field.title}>
+                                    {field.label}
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max={field.max}
+                                        value={settings.sheet[field.key]}
+                                        onChange={(e) => setSheet({ [field.key]: Math.max(0, Math.min(field.max, parseInt(e.target.value) || 0)) })}
+                                        className="w-full min-w-0 px-2 py-1 bg-surface-light block-inset text-text text-xs focus:outline-none"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                        <div className="flex items-center gap-3 text-xs text-text-muted">
+                            <input
+                                type="color"
+                                value={settings.sheet.background}
+                                onChange={(e) => setSheet({ background: e.target.value })}
+                                disabled={settings.sheet.transparent}
+                                className={`w-8 h-8 bg-surface-light block-border-sm cursor-pointer ${settings.sheet.transparent ? 'opacity-40' : ''}`}
+                            />
+                            <label className="flex items-center gap-2 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.sheet.transparent}
+                                    onChange={(e) => setSheet({ transparent: e.target.checked })}
+                                    className="accent-primary"
+                                />
+                                Transparent
+                            </label>
+                            <label className="flex items-center gap-2 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.sheet.captions}
+                                    onChange={(e) => setSheet({ captions: e.target.checked })}
+                                    className="accent-primary"
+                                />
+                                Captions
+                            </label>
+                        </div>
+                        <p className="text-xs text-text-muted">
+                            ⊞ SHEET adds the combined image to the list, where it converts like any file. Its card offers CSS and JSON coordinate maps.
+                        </p>
+                    </div>
+                )}
+            </div>
+
+            {/* PDF export */}
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <label className="pixel-text text-sm text-text-secondary tracking-wider">
+                        PDF EXPORT
+                    </label>
+                    <button
+                        onClick={() => setPdf({ enabled: !settings.pdf.enabled })}
+                        className={`px-3 py-1 text-xs block-border-sm ${settings.pdf.enabled ? 'bg-primary text-text' : 'bg-surface-light text-text-muted'}`}
+                    >
+                        {settings.pdf.enabled ? 'ON' : 'OFF'}
+                    </button>
+                </div>
+
+                {settings.pdf.enabled && (
+                    <div className="space-y-2">
+                        {[
+                            {
+                                key: 'layout',
+                                options: [
+                                    { value: 'pages', label: '1 PER PAGE' },
+                                    { value: 'sheet', label: 'CONTACT SHEET' }
+                                ]
+                            },
+                            {
+                                key: 'pageSize',
+                                options: Object.entries(PAGE_SIZES).map(([value, size]) => ({ value, label: size.label }))
+                            },
+                            {
+                                key: 'orientation',
+                                options: [
+                                    { value: 'auto', label: 'AUTO' },
+                                    { value: 'portrait', label: 'PORTRAIT' },
+                                    { value: 'landscape', label: 'LANDSCAPE' }
+                                ]
+                            },
+                            {
+                                key: 'fit',
+                                options: [
+                                    { value: 'fit', label: 'FIT' },
+                                    { value: 'fill', label: 'FILL' }
+                                ]
+                            }
+                        ].map(group => (
+                            <div key={group.key} className="flex flex-wrap gap-2">
+                                {group.options.map(option => (
+                                    <button
+                                        key={option.value}
+                                        onClick={() => setPdf({ [group.key]: option.value })}
+                                        className={`flex-1 py-1 text-xs block-border-sm ${settings.pdf[group.key] === option.value
+                                            ? 'bg-secondary text-text'
+                                            : 'bg-surface-light text-text-muted hover:text-text'
+                                            }`}
+                                    >
+                                        {option.label}
+                                    </button>
+                                ))}
+                            </div>
+                        ))}
+                        <div className="grid grid-cols-2 gap-2">
+                            <label className="flex items-center gap-2 text-xs text-text-muted">
+                                MARGIN
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="50"
+                                    value={settings.pdf.margin}
+                                    onChange={(e) => setPdf({ margin: Math.max(0, Math.min(50, parseInt(e.target.value) || 0)) })}
+                                    className="w-full min-w-0 px-2 py-1 bg-surface-light block-inset text-text text-xs focus:outline-none"
+                                />
+                                MM
+                            </label>
+                            {settings.pdf.layout === 'sheet' && (
+                                <label className="flex items-center gap-2 text-xs text-text-muted">
+                                    COLUMNS
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max="8"
+                                        value={settings.pdf.columns}
+                                        onChange={(e) => setPdf({ columns: Math.max(1, Math.min(8, parseInt(e.target.value) || 1)) })}
+                                        className="w-full min-w-0 px-2 py-1 bg-surface-light block-inset text-text text-xs focus:outline-none"
+                                    />
+                                </label>
+                            )}
+                        </div>
+                        <p className="text-xs text-text-muted">
+                            Pages follow the file list order. JPEG outputs are embedded as-is, other formats losslessly.
+                        </p>
+                    </div>
+                )}
+            </div>
+
+            {/* Icon package */}
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <label className="pixel-text text-sm text-text-secondary tracking-wider">
+                        ICON PACKAGE
+                    </label>
+                    <button
+                        onClick={() => setIcons({ enabled: !settings.icons.enabled })}
+                        className={`px-3 py-1 text-xs block-border-sm ${settings.icons.enabled ? 'bg-primary text-text' : 'bg-surface-light text-text-muted'}`}
+                    >
+                        {settings.icons.enabled ? 'ON' : 'OFF'}
+                    </button>
+                </div>
+
+                {settings.icons.enabled && (
+                    <div className="space-y-2">
+                        <div className="flex items-center gap-2 text-xs text-text-muted">
+                            <input
+                                type="color"
+                                value={settings.icons.background}
+                                onChange={(e) => setIcons({ background: e.target.value })}
+                                className="w-8 h-8 bg-surface-light block-border-sm cursor-pointer"
+                            />
+                            <span>Background for apple-touch and maskable icons</span>
+                        </div>
+                        <div className="flex justify-between text-xs text-text-muted">
+                            <span>Maskable padding</span>
+                            <span className="pixel-text text-text">{settings.icons.maskablePadding}%</span>
+                        </div>
+                        <input
+                            type="range"
+                            min="0"
+                            max="25"
+                            value={settings.icons.maskablePadding}
+                            onChange={(e) => setIcons({ maskablePadding: parseInt(e.target.value) })}
+                            className="w-full"
+                        />
+                        <p className="text-xs text-text-muted">
+                            The ◈ ICONS button zips favicon.ico (16/32/48), PNG favicons, apple-touch-icon, 192/512 PWA icons and a manifest.webmanifest snippet.
+                        </p>
+                    </div>
+                )}
+            </div>
+
+            {/* Resize */}
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <label className="pixel-text text-sm text-text-secondary tracking-wider">
+                        RESIZE
+                    </label>
+                    <button
+                        onClick={() => setResize({ enabled: !settings.resize.enabled })}
+                        className={`px-3 py-1 text-xs block-border-sm ${settings.resize.enabled ? 'bg-primary text-text' : 'bg-surface-light text-text-muted'}`}
+                    >
+                        {settings.resize.enabled ? 'ON' : 'OFF'}
+                    </button>
+                </div>
+
+                {settings.resize.enabled && (
+                    <div className="space-y-2">
+                        <div className="grid grid-cols-3 gap-2">
+                            {RESIZE_MODES.map(mode => (
+                                <button
+                                    key={mode.value}
+                                    onClick={() => setResize({ mode: mode.value })}
+                                    className={`py-1 text-xs block-border-sm ${settings.resize.mode === mode.value
+                                        ? 'bg-secondary text-text'
+                                        : 'bg-surface-light text-text-muted hover:text-text'
+                                        }`}
+                                >
+                                    {mode.label.toUpperCase()}
+                                </button>
+                            ))}
+                        </div>
+
+                        {settings.resize.mode === 'percentage' && (
+                            <label className="flex items-center gap-2 text-xs text-text-muted">
+                                SCALE
+                                <input
+                                    type="number"
+                                    min="1"
+                                    max="400"
+                                    value={settings.resize.percentage}
+                                    onChange={(e) => setResize({ percentage: Math.max(1, Math.min(400, parseInt(e.target.value) || 1)) })}
+                                    className="w-full min-w-0 px-2 py-1 bg-surface-light block-inset text-text text-xs focus:outline-none"
+                                />
+                                %
+                            </label>
+                        )}
+
+                        {settings.resize.mode === 'maxEdge' && (
+                            <label className="flex items-center gap-2 text-xs text-text-muted">
+                                LONGEST EDGE
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={settings.resize.maxEdge || ''}
+                                    onChange={(e) => setResize({ maxEdge: toSize(e.target.value) })}
+                                    className="w-full min-w-0 px-2 py-1 bg-surface-light block-inset text-text text-xs focus:outline-none"
+                                />
+                                PX
+                            </label>
+                        )}
+
+                        {(settings.resize.mode === 'dimensions' || BOX_MODES.includes(settings.resize.mode)) && (
+                            <div className="grid grid-cols-2 gap-2">
+                                {['width', 'height'].map(key => (
+                                    <label key={key} className="flex items-center gap-2 text-xs text-text-muted">
+                                        {key === 'width' ? 'W' : 'H'}
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={settings.resize[key] || ''}
+                                            onChange={(e) => setResize({ [key]: toSize(e.target.value) })}
+                                            className="w-full min-w-0 px-2 py-1 bg-surface-light block-inset text-text text-xs focus:outline-none"
+                                        />
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+
+                        {settings.resize.mode === 'dimensions' && (
+                            <label className="flex items-center gap-2 text-xs text-text-muted cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={settings.resize.lockAspect}
+                                    onChange={(e) => setResize({ lockAspect: e.target.checked })}
+                                    className="accent-primary"
+                                />
+                                Lock aspect ratio (the width wins when both are set)
+                            </label>
+                        )}
+
+                        {(settings.resize.mode === 'fill' || settings.resize.mode === 'contain') && (
+                            <div className="flex items-center gap-3 text-xs text-text-muted">
+                                ANCHOR
+                                <div className="grid grid-cols-3 gap-1">
+                                    {Object.keys(ANCHORS).map(anchor => (
+                                        <button
+                                            key={anchor}
+                                            onClick={() => setResize({ anchor })}
+                                            title={anchor}
+                                            className={`w-4 h-4 block-border-sm ${settings.resize.anchor === anchor ? 'bg-secondary' : 'bg-surface-light'}`}
+                                        />
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        {settings.resize.mode === 'contain' && (
+                            <div className="flex items-center gap-3 text-xs text-text-muted">
+                                PADDING
+                                <input
+                                    type="color"
+                                    value={settings.resize.background}
+                                    disabled={settings.resize.transparent}
+                                    onChange={(e) => setResize({ background: e.target.value })}
+                                    className="w-8 h-6 bg-transparent disabled:opacity-40"
+                                />
+                                <label className="flex items-center gap-2 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={settings.resize.transparent}
+                                        onChange={(e) => setResize({ transparent: e.target.checked })}
+                                        className="accent-primary"
+                                    />
+                                    Transparent
+                                </label>
+                            </div>
+                        )}
+
+                        <label className="flex items-center gap-2 text-xs text-text-muted cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={settings.resize.allowUpscale}
+                                onChange={(e) => setResize({ allowUpscale: e.target.checked })}
+                                className="accent-primary"
+                            />
+                            Allow upscaling smaller images
+                        </label>
+                        <p className="text-xs text-text-muted">
+                            Files resized in the editor keep their own resize
+                        </p>
+                    </div>
+                )}
+            </div>
+
+            {/* Resampling */}
+            <div>
+                <label className="pixel-text text-sm text-text-secondary tracking-wider mb-3 block">
+                    RESAMPLING
+                </label>
+                <div className="grid grid-cols-3 gap-2">
+                    {RESAMPLE_FILTERS.map(filter => (
+                        <button
+                            key={filter.value}
+                            onClick={() => setResampling({ filter: filter.value })}
+                            className={`py-1 text-xs block-border-sm ${settings.resampling.filter === filter.value
+                                ? 'bg-secondary text-text'
+                                : 'bg-surface-light text-text-muted hover:text-text'
+                                }`}
+                        >
+                            {filter.label}
+                        </button>
+                    ))}
+                </div>
+
+                {settings.resampling.filter !== 'browser' && (
+                    <div className="space-y-2 mt-3">
+                        <label className="flex items-center gap-2 text-xs text-text-muted cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={settings.resampling.sharpen.enabled}
+                                onChange={(e) => setSharpen({ enabled: e.target.checked })}
+                                className="accent-primary"
+                            />
+                            Sharpen after downscaling
+                        </label>
+                        {settings.resampling.sharpen.enabled && [
+                            { key: 'amount', label: 'AMOUNT', min: 0, max: 200, step: 5, unit: '%' },
+                            { key: 'radius', label: 'RADIUS', min: 0.3, max: 3, step: 0.1, unit: 'PX' },
+                            { key: 'threshold', label: 'THRESHOLD', min: 0, max: 32, step: 1, unit: '' }
+                        ].map(field => (
+                            <div key={field.key}>
+                                <div className="flex justify-between text-xs text-text-muted mb-1">
+                                    <span>{field.label}</span>
+                                    <span>{settings.resampling.sharpen[field.key]}{field.unit}</span>
+                                </div>
+                                <input
+                                    type="range"
+                                    min={field.min}
+                                    max={field.max}
+                                    step={field.step}
+                                    value={settings.resampling.sharpen[field.key]}
+                                    onChange={(e) => setSharpen({ [field.key]: parseFloat(e.target.value) })}
+                                    className="w-full"
+                                />
+                            </div>
+                        ))}
+                    </div>
+                )}
+                <p className="text-xs text-text-muted mt-1">
+                    {settings.resampling.filter === 'browser'
+                        ? 'Scaling is left to the browser, which can alias on large reductions'
+                        : 'Used whenever the output is resized, including format fallbacks'}
+                </p>
+            </div>
+
+            {/* Encoder */}
+            <div>
+                <label className="pixel-text text-sm text-text-secondary tracking-wider mb-3 block">
+                    ENCODER
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                    {[
+                        { value: 'browser', label: 'BROWSER' },
+                        { value: 'wasm', label: 'WASM' }
+                    ].map(encoder => (
+                        <button
+                            key={encoder.value}
+                            onClick={() => actions.setSettings({ encoder: encoder.value })}
+                            className={`py-2 text-xs block-border-sm ${settings.encoder === encoder.value
+                                ? 'bg-secondary text-text'
+                                : 'bg-surface-light text-text-muted hover:text-text'
+                                }`}
+                        >
+                            {encoder.label}
+                        </button>
+                    ))}
+                </div>
+
+                {settings.encoder === 'wasm' && codecOptions && (
+                    <div className="space-y-2 mt-3">
+                        {settings.outputFormat === 'jpeg' && (
+                            <>
+                                <label className="flex items-center gap-2 text-xs text-text-muted cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={codecOptions.progressive}
+                                        onChange={(e) => setEncoderOptions('jpeg', { progressive: e.target.checked })}
+                                        className="accent-primary"
+                                    />
+                                    Progressive
+                                </label>
+                                <label className="flex items-center gap-2 text-xs text-text-muted cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={codecOptions.trellis}
+                                        onChange={(e) => setEncoderOptions('jpeg', { trellis: e.target.checked })}
+                                        className="accent-primary"
+                                    />
+                                    Trellis quantization
+                                </label>
+                            </>
+                        )}
+
+                        {(settings.outputFormat === 'jpeg' || settings.outputFormat === 'avif') && (
+                            <div className="grid grid-cols-2 gap-2">
+                                {['4:2:0', '4:4:4'].map(subsampling => (
+                                    <button
+                                        key={subsampling}
+                                        onClick={() => setEncoderOptions(settings.outputFormat, { chromaSubsampling: subsampling })}
+                                        className={`py-1 text-xs block-border-sm ${codecOptions.chromaSubsampling === subsampling
+                                            ? 'bg-primary text-text'
+                                            : 'bg-surface-light text-text-muted hover:text-text'
+                                            }`}
+                                    >
+                                        {subsampling}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
+
+                        {(settings.outputFormat === 'webp' || settings.outputFormat === 'avif') && (
+                            <div>
+                                <div className="flex justify-between text-xs text-text-muted mb-1">
+                                    <span>EFFORT</span>
+                                    <span>{codecOptions.effort}</span>
+                                </div>
+                                <input
+                                    type="range"
+                                    min="0"
+                                    max={settings.outputFormat === 'webp' ? 6 : 10}
+                                    value={codecOptions.effort}
+                                    onChange={(e) => setEncoderOptions(settings.outputFormat, { effort: parseInt(e.target.value) })}
+                                    className="w-full"
+                                />
+                            </div>
+                        )}
+
+                        {settings.outputFormat === 'webp' && (
+                            <label className="flex items-center gap-2 text-xs text-text-muted cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={codecOptions.sharpYuv}
+                                    onChange={(e) => setEncoderOptions('webp', { sharpYuv: e.target.checked })}
+                                    className="accent-primary"
+                                />
+                                Sharp YUV conversion
+                            </label>
+                        )}
+
+                        {settings.outputFormat === 'png' && (
+                            <>
+                                <div>
+                                    <div className="flex justify-between text-xs text-text-muted mb-1">
+                                        <span>OPTIMIZATION LEVEL</span>
+                                        <span>{codecOptions.level}</span>
+                                    </div>
+                                    <input
+                                        type="range"
+                                        min="0"
+                                        max="6"
+                                        value={codecOptions.level}
+                                        onChange={(e) => setEncoderOptions('png', { level: parseInt(e.target.value) })}
+                                        className="w-full"
+                                    />
+                                </div>
+                                <label className="flex items-center gap-2 text-xs text-text-muted cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={codecOptions.interlace}
+                                        onChange={(e) => setEncoderOptions('png', { interlace: e.target.checked })}
+                                        className="accent-primary"
+                                    />
+                                    Interlaced (Adam7)
+                                </label>
+                            </>
+                        )}
+                    </div>
+                )}
+                <p className="text-xs text-text-muted mt-1">
+                    {settings.encoder === 'wasm'
+                        ? 'Bundled MozJPEG, libwebp, libavif and OxiPNG codecs, run in the background worker'
+                        : 'Uses the browser\'s built-in canvas encoders'}
+                </p>
+            </div>
+
             {/* Toggles */}
             <div className="grid grid-cols-2 gap-3">
                 {(settings.outputFormat === 'webp' || settings.outputFormat === 'png') && (
@@ -146,8 +1197,50 @@ export function CompressionSettings() {
                     <span className="block text-xs text-text-secondary mb-1">EXIF</span>
                     <span className="pixel-text text-lg">{settings.preserveMetadata ? 'KEEP' : 'STRIP'}</span>
                 </button>
+
+                {hasAnimated && (
+                    <button
+                        onClick={() => actions.setSettings({ preserveAnimation: !settings.preserveAnimation })}
+                        className={`
+              p-3 text-left transition-all
+              ${settings.preserveAnimation ? 'bg-secondary text-text' : 'bg-surface-light text-text-muted'}
+              block-border-sm
+            `}
+                        title="WebP outputs animated WebP, PNG outputs APNG; other formats keep the first frame"
+                    >
+                        <span className="block text-xs text-text-secondary mb-1">ANIMATION</span>
+                        <span className="pixel-text text-lg">{settings.preserveAnimation ? 'KEEP' : '1ST FRAME'}</span>
+                    </button>
+                )}
             </div>
 
+            {/* Metadata privacy */}
+            {settings.preserveMetadata && (
+                <div className="grid grid-cols-2 gap-3">
+                    {[
+                        { key: 'stripGps', label: 'GPS' },
+                        { key: 'stripSerials', label: 'SERIALS' }
+                    ].map(option => (
+                        <button
+                            key={option.key}
+                            onClick={() => actions.setSettings({
+                                metadataPrivacy: {
+                                    ...settings.metadataPrivacy,
+                                    [option.key]: !settings.metadataPrivacy[option.key]
+                                }
+                            })}
+                            className={`
+              p-2 text-left transition-all block-border-sm
+              ${settings.metadataPrivacy[option.key] ? 'bg-primary text-text' : 'bg-surface-light text-text-muted'}
+            `}
+                        >
+                            <span className="block text-xs text-text-secondary">{option.label}</span>
+                            <span className="pixel-text text-base">{settings.metadataPrivacy[option.key] ? 'REMOVE' : 'KEEP'}</span>
+                        </button>
+                    ))}
+                </div>
+            )}
+
             {/* Filename */}
             <div>
                 <label className="pixel-text text-sm text-text-secondary tracking-wider mb-2 block">
@@ -161,7 +1254,7 @@ export function CompressionSettings() {
                     className="w-full px-4 py-3 bg-surface-light block-inset text-text text-sm focus:outline-none"
                 />
                 <p className="text-xs text-text-muted mt-1">
-                    Variables: {'{name}'} {'{date}'} {'{format}'}
+                    Variables: {'{name}'} {'{date}'} {'{format}'} {'{index}'} {'{width}'} {'{height}'} {'{quality}'} {'{origext}'}
                 </p>
             </div>
         </div>
@@ -0,0 +1,116 @@
+import { useRef, useState } from 'react';
+import { CURVE_CHANNELS, buildCurve } from '../utils/filters';
+
+const CHANNEL_COLORS = { rgb: '#e5e5e5', r: '#ef4444', g: '#22c55e', b: '#3b82f6' };
+const IDENTITY = [[0, 0], [255, 255]];
+// In curve units (0-255), roughly a fingertip on the 256px-wide editor
+const HIT_RADIUS = 12;
+
+const clampValue = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+// Tone curve per channel: click to add a point, drag to move, double-click to remove
+export function CurvesEditor({ curves, onChange }) {
+    const [channel, setChannel] = useState('rgb');
+    const svgRef = useRef(null);
+    const dragRef = useRef(null);
+    const points = curves[channel];
+    const lut = buildCurve(points);
+    const path = Array.from(lut, (y, x) => `${x === 0 ? 'M' : 'L'}${x} ${255 - y}`).join(' ');
+
+    const toCurvePoint = (e) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        return [
+            clampValue(((e.clientX - rect.left) / rect.width) * 255),
+            clampValue(255 - ((e.clientY - rect.top) / rect.height) * 255)
+        ];
+    };
+
+    const findPoint = ([x, y]) => points.findIndex(([px, py]) => Math.hypot(px - x, py - y) < HIT_RADIUS);
+
+    const handlePointerDown = (e) => {
+        const point = toCurvePoint(e);
+        let index = findPoint(point);
+        let next = points;
+
+        if (index === -1) {
+            next = [...points, point].sort((a, b) => a[0] - b[0]);
+            index = next.indexOf(point);
+            onChange(channel, next, 'Add curve point');
+        }
+
+        dragRef.current = { index, points: next };
+        svgRef.current.setPointerCapture(e.pointerId);
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+
+        // Points stay between their neighbours so the curve stays a function of x
+        const [x, y] = toCurvePoint(e);
+        const next = drag.points.map(point => [...point]);
+        const min = drag.index > 0 ? next[drag.index - 1][0] + 1 : 0;
+        const max = drag.index < next.length - 1 ? next[drag.index + 1][0] - 1 : 255;
+        next[drag.index] = [Math.max(min, Math.min(max, x)), y];
+        drag.points = next;
+        onChange(channel, next, 'Adjust curve');
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    const handleDoubleClick = (e) => {
+        const index = findPoint(toCurvePoint(e));
+        if (index === -1 || points.length <= 2) return;
+        onChange(channel, points.filter((_, i) => i !== index), 'Remove curve point');
+    };
+
+    return (
+        <div>
+            <div className="flex gap-2 mb-2">
+                {CURVE_CHANNELS.map(c => (
+                    <button
+                        key={c}
+                        onClick={() => setChannel(c)}
+                        className={`flex-1 py-1 rounded text-xs ${channel === c
+                                ? 'bg-primary text-text'
+                                : 'bg-surface-light text-text-muted hover:text-text'
+                            }`}
+                    >
+                        {c.toUpperCase()}
+                    </button>
+                ))}
+            </div>
+
+            <svg
+                ref={svgRef}
+                viewBox="0 0 255 255"
+                className="w-full aspect-square bg-surface-light rounded touch-none cursor-crosshair"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onDoubleClick={handleDoubleClick}
+            >
+                {[64, 128, 192].map(v => (
+                    <g key={v} stroke="currentColor" className="text-text-muted/20" strokeWidth="1">
+                        <line x1={v} y1="0" x2={v} y2="255" />
+                        <line x1="0" y1={v} x2="255" y2={v} />
+                    </g>
+                ))}
+                <line x1="0" y1="255" x2="255" y2="0" stroke="currentColor" className="text-text-muted/30" strokeDasharray="4 4" />
+                <path d={path} fill="none" stroke={CHANNEL_COLORS[channel]} strokeWidth="2" />
+                {points.map(([x, y], i) => (
+                    <circle key={i} cx={x} cy={255 - y} r="5" fill={CHANNEL_COLORS[channel]} stroke="#0c0c0c" strokeWidth="1.5" />
+                ))}
+            </svg>
+
+            <button
+                onClick={() => onChange(channel, IDENTITY, 'Reset curve')}
+                className="w-full mt-2 py-1 rounded text-xs bg-surface-light text-text-muted hover:text-text"
+            >
+                Reset {channel.toUpperCase()} curve
+            </button>
+        </div>
+    );
+}
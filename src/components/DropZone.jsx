@@ -1,5 +1,9 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
 import { useImageContext } from '../context/ImageContext';
+import { decodeImageFileInWorker } from '../workers/decodeInWorker';
+import { detectAnimation } from '../utils/animation';
+import { createFileEntry } from '../utils/fileEntry';
+import { RAW_FORMATS } from '../utils/decoders';
 
 const ACCEPTED_FORMATS = {
     'image/png': ['.png'],
@@ -8,9 +12,17 @@ const ACCEPTED_FORMATS = {
     'image/bmp': ['.bmp'],
     'image/tiff': ['.tiff', '.tif'],
     'image/svg+xml': ['.svg'],
-    'image/webp': ['.webp']
+    'image/webp': ['.webp'],
+    'image/heic': ['.heic'],
+    'image/heif': ['.heif'],
+    ...Object.fromEntries(Object.entries(RAW_FORMATS).map(([extension, mime]) => [mime, [`.${extension}`]]))
 };
 
+const ACCEPTED_EXTENSIONS = Object.values(ACCEPTED_FORMATS).flat();
+
+// Formats that may hold more than one frame
+const ANIMATABLE_TYPES = ['image/gif', 'image/webp', 'image/png', 'image/apng'];
+
 const ACCEPT_STRING = Object.entries(ACCEPTED_FORMATS).map(([mime, exts]) => [mime, ...exts]).flat().join(',');
 
 export function DropZone() {
@@ -19,37 +31,47 @@ export function DropZone() {
     const fileInputRef = useRef(null);
 
     const processFiles = useCallback(async (fileList) => {
+        // HEIC and RAW files usually arrive without a MIME type, so extensions count too
         const validFiles = Array.from(fileList).filter(file =>
-            Object.keys(ACCEPTED_FORMATS).includes(file.type) || file.name.endsWith('.svg')
+            Object.keys(ACCEPTED_FORMATS).includes(file.type) ||
+            ACCEPTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))
         );
         if (validFiles.length === 0) return;
 
-        const newFiles = await Promise.all(validFiles.map(async (file) => {
+        const entries = await Promise.all(validFiles.map(async (file) => {
             const url = URL.createObjectURL(file);
             const dimensions = await new Promise((resolve) => {
                 const img = new Image();
                 img.onload = () => resolve({ width: img.width, height: img.height });
-                img.onerror = () => resolve({ width: 0, height: 0 });
+                img.onerror = () => resolve(null);
                 img.src = url;
             });
 
-            return {
-                id: crypto.randomUUID(),
-                originalFile: file,
-                originalName: file.name,
-                originalSize: file.size,
-                originalFormat: file.type.split('/')[1] || 'unknown',
-                previewUrl: url,
-                width: dimensions.width,
-                height: dimensions.height,
-                isConverting: false,
-                isConverted: false,
-                convertedBlob: null,
-                convertedSize: null,
-                webpUrl: null,
-                error: null
-            };
+            if (dimensions) {
+                const animation = ANIMATABLE_TYPES.includes(file.type)
+                    ? detectAnimation(new Uint8Array(await file.arrayBuffer()))
+                    : null;
+                return [createFileEntry(file, url, dimensions, { animation })];
+            }
+
+            // Native decode failed: try the TIFF/HEIC/RAW decoders, one entry per page
+            let pages = null;
+            try {
+                pages = await decodeImageFileInWorker(file);
+            } catch (error) {
+                console.error(`Failed to decode ${file.name}:`, error);
+            }
+            if (!pages?.length) return [createFileEntry(file, url, { width: 0, height: 0 })];
+
+            URL.revokeObjectURL(url);
+            const baseName = file.name.replace(/\.[^/.]+$/, '');
+            const extension = file.name.slice(baseName.length);
+            return pages.map((page, i) => createFileEntry(file, URL.createObjectURL(page.blob), page, {
+                originalName: pages.length > 1 ? `${baseName}_page${i + 1}${extension}` : file.name,
+                decodedBlob: page.blob
+            }));
         }));
+        const newFiles = entries.flat();
 
         // Extract and update input formats
         const inputFormats = [...new Set(newFiles.map(file => file.originalFormat))];
@@ -1,4 +1,14 @@
-export function FileCard({ file, onEdit, onDownload, onRemove }) {
+import { canDecodeFrames } from '../utils/animation';
+
+// Changes the conversion made to the requested output (see utils/conversionChain)
+const ADJUSTMENT_ICONS = {
+    format: '⇄',
+    quality: '◐',
+    dimensions: '⤡',
+    size: '⚠️'
+};
+
+export function FileCard({ file, onEdit, onDownload, onRemove, onCopyEdits, onToggleSelect, onExtractFrames, onDownloadSpriteMap, selectedCount = 0 }) {
     const formatFileSize = (bytes) => {
         if (bytes === 0) return '0 B';
         const k = 1024;
@@ -9,18 +19,21 @@ export function FileCard({ file, onEdit, onDownload, onRemove }) {
 
     const savings = file.isConverted ? Math.round((1 - file.convertedSize / file.originalSize) * 100) : null;
     
-    // Determine if format fallback occurred
-    const originalFormat = file.originalFormat?.toLowerCase();
-    const outputFormat = file.outputFormat?.toLowerCase();
-    const isFormatFallback = file.isConverted && originalFormat && outputFormat && originalFormat !== outputFormat;
-    
     // Determine if aggressive compression was used
     const isAggressiveCompression = file.isConverted && savings && savings < 10 && savings > 0;
-    const isSizeIncrease = savings && savings < 0;
+    const isSizeIncrease = savings && savings < 0 && !file.adjustments?.some(adjustment => adjustment.kind === 'size');
 
     return (
         <div className="bg-surface block-border-sm p-4 block-hover">
             <div className="flex gap-4">
+                <input
+                    type="checkbox"
+                    checked={!!file.isSelected}
+                    onChange={() => onToggleSelect(file)}
+                    className="w-4 h-4 accent-primary self-center shrink-0"
+                    title="Select"
+                />
+
                 <div className="relative w-14 h-14 bg-surface-light block-inset shrink-0 overflow-hidden">
                     <img
                         src={file.previewUrl}
@@ -30,6 +43,10 @@ export function FileCard({ file, onEdit, onDownload, onRemove }) {
                     {file.isConverting && (
                         <div className="absolute inset-0 bg-background/90 flex items-center justify-center">
                             <div className="w-6 h-6 border-2 border-primary border-t-transparent animate-spin" style={{ borderRadius: 0 }} />
+                            <div
+                                className="absolute bottom-0 left-0 h-1 bg-primary transition-all duration-200"
+                                style={{ width: `${(file.conversionProgress || 0) * 100}%` }}
+                            />
                         </div>
                     )}
                 </div>
@@ -39,6 +56,73 @@ export function FileCard({ file, onEdit, onDownload, onRemove }) {
                         {file.originalName}
                     </h4>
 
+                    {file.animation && (
+                        <div className="flex items-center gap-2 text-xs mb-1">
+                            <span className="pixel-text text-secondary-light">
+                                ▶ ANIMATED {file.animation.frameCount} FRAMES
+                            </span>
+                            {canDecodeFrames() && (
+                                <button
+                                    onClick={() => onExtractFrames(file)}
+                                    className="px-1.5 py-0.5 bg-surface-light block-border-sm text-text-muted hover:bg-secondary hover:text-text"
+                                    title="Download every frame as PNG in a ZIP"
+                                >
+                                    ⇩ FRAMES
+                                </button>
+                            )}
+                        </div>
+                    )}
+
+                    {file.spriteMap && (
+                        <div className="flex items-center gap-2 text-xs mb-1">
+                            <span className="pixel-text text-secondary-light">
+                                ▦ SHEET {file.spriteMap.map.length} IMAGES
+                            </span>
+                            {file.isConverted && file.spriteMapIssue && (
+                                <span
+                                    className="text-primary"
+                                    title="Sprite coordinates would not match the converted sheet; convert it without crop, rotation, flip, fill or contain"
+                                >
+                                    ⚠️ {file.spriteMapIssue}, no CSS/JSON map
+                                </span>
+                            )}
+                            {file.isConverted && !file.spriteMapIssue && ['css', 'json'].map(kind => (
+                                <button
+                                    key={kind}
+                                    onClick={() => onDownloadSpriteMap(file, kind)}
+                                    className="px-1.5 py-0.5 bg-surface-light block-border-sm text-text-muted hover:bg-secondary hover:text-text"
+                                    title={`Download the sprite coordinates as ${kind.toUpperCase()}`}
+                                >
+                                    ⇩ {kind.toUpperCase()}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+
+                    {file.edits && (
+                        <div className="flex items-center gap-2 text-xs mb-1">
+                            <span className="pixel-text text-secondary-light">✎ EDITED</span>
+                            <button
+                                onClick={() => onCopyEdits(file, 'all')}
+                                className="px-1.5 py-0.5 bg-surface-light block-border-sm text-text-muted hover:bg-secondary hover:text-text"
+                                title="Copy edits to all files"
+                            >
+                                ⧉ ALL
+                            </button>
+                            <button
+                                onClick={() => onCopyEdits(file, 'selected')}
+                                disabled={selectedCount === 0}
+                                className={`px-1.5 py-0.5 block-border-sm ${selectedCount > 0
+                                        ? 'bg-surface-light text-text-muted hover:bg-secondary hover:text-text'
+                                        : 'bg-surface-light text-text-muted/40 cursor-not-allowed'
+                                    }`}
+                                title="Copy edits to selected files"
+                            >
+                                ⧉ SELECTED ({selectedCount})
+                            </button>
+                        </div>
+                    )}
+
                     <div className="flex items-center gap-2 text-xs">
                         <span className="text-text-muted">{formatFileSize(file.originalSize)}</span>
 
@@ -54,6 +138,24 @@ export function FileCard({ file, onEdit, onDownload, onRemove }) {
                                         {file.outputFormat.toUpperCase()}
                                     </span>
                                 )}
+                                {file.score != null && (
+                                    <span
+                                        className={file.scoreBelowFloor ? 'text-primary' : 'text-text-muted'}
+                                        title="Structural similarity to the source (1 = identical)"
+                                    >
+                                        SSIM {file.score.toFixed(3)}
+                                    </span>
+                                )}
+                                {file.qualityUsed !== undefined && file.qualityUsed !== null && (
+                                    <span className="text-text-muted" title="Encoder quality used">
+                                        Q{Math.round(file.qualityUsed * 100)}
+                                    </span>
+                                )}
+                                {file.encoder && (
+                                    <span className="text-text-muted" title="Encoder that produced this file">
+                                        {file.encoder}
+                                    </span>
+                                )}
                             </>
                         )}
 
@@ -63,9 +165,25 @@ export function FileCard({ file, onEdit, onDownload, onRemove }) {
                     {/* Warnings and notifications */}
                     {file.isConverted && (
                         <div className="mt-2 space-y-1">
-                            {isFormatFallback && (
-                                <div className="text-xs text-secondary-light bg-secondary/20 px-2 py-1 rounded">
-                                    ⚠️ Format optimized for compression
+                            {file.adjustments?.map((adjustment, i) => (
+                                <div
+                                    key={i}
+                                    className={`text-xs px-2 py-1 rounded ${adjustment.kind === 'size'
+                                            ? 'text-primary bg-primary/10'
+                                            : 'text-secondary-light bg-secondary/20'
+                                        }`}
+                                >
+                                    {ADJUSTMENT_ICONS[adjustment.kind]} {adjustment.detail}
+                                </div>
+                            ))}
+                            {file.animationNote && (
+                                <div className="text-xs text-text-muted bg-surface-light px-2 py-1 rounded">
+                                    ℹ️ {file.animationNote}
+                                </div>
+                            )}
+                            {file.requestedFormat && (
+                                <div className="text-xs text-primary bg-primary/10 px-2 py-1 rounded">
+                                    ⚠️ Browser can't encode {file.requestedFormat.toUpperCase()}, produced {file.outputFormat?.toUpperCase()}
                                 </div>
                             )}
                             {isAggressiveCompression && (
@@ -73,9 +191,34 @@ export function FileCard({ file, onEdit, onDownload, onRemove }) {
                                     ⚡ Aggressive compression applied
                                 </div>
                             )}
+                            {file.scoreBelowFloor && (
+                                <div className="text-xs text-primary bg-primary/10 px-2 py-1 rounded">
+                                    ⚠️ Below quality floor even at your chosen settings
+                                </div>
+                            )}
+                            {file.targetBytes && (
+                                <div className={`text-xs px-2 py-1 rounded ${file.targetMet
+                                        ? 'text-secondary-light bg-secondary/20'
+                                        : 'text-primary bg-primary/10'
+                                    }`}>
+                                    {file.targetMet
+                                        ? `🎯 Under target ${formatFileSize(file.targetBytes)}`
+                                        : `⚠️ Couldn't reach target ${formatFileSize(file.targetBytes)}`}
+                                </div>
+                            )}
+                            {file.metadataStatus === 'unsupported' && (
+                                <div className="text-xs text-text-muted bg-surface-light px-2 py-1 rounded">
+                                    ℹ️ Metadata can't be embedded in {file.outputFormat?.toUpperCase()}
+                                </div>
+                            )}
+                            {file.metadataStatus === 'error' && (
+                                <div className="text-xs text-primary bg-primary/10 px-2 py-1 rounded">
+                                    ⚠️ Metadata couldn't be read, saved without it
+                                </div>
+                            )}
                             {isSizeIncrease && (
                                 <div className="text-xs text-primary bg-primary/10 px-2 py-1 rounded">
-                                    ⚠️ Size reduced with fallback format
+                                    ⚠️ Larger than the original
                                 </div>
                             )}
                         </div>
@@ -2,7 +2,7 @@ import { useState, useRef } from 'react';
 import { useImageContext } from '../context/ImageContext';
 import { FileCard } from './FileCard';
 
-export function FileList({ onEdit, onDownload, onRemove }) {
+export function FileList({ onEdit, onDownload, onRemove, onCopyEdits, onToggleSelect, onExtractFrames, onDownloadSpriteMap }) {
     const { state, actions } = useImageContext();
     const { files } = state;
     const [draggedIndex, setDraggedIndex] = useState(null);
@@ -11,6 +11,8 @@ export function FileList({ onEdit, onDownload, onRemove }) {
 
     if (files.length === 0) return null;
 
+    const selectedCount = files.filter(f => f.isSelected).length;
+
     const handleDragStart = (e, index) => {
         setDraggedIndex(index);
         dragNodeRef.current = e.target;
@@ -43,6 +45,7 @@ export function FileList({ onEdit, onDownload, onRemove }) {
             <div className="flex items-center justify-between text-sm">
                 <span className="text-text-muted">
                     {files.length} file{files.length !== 1 ? 's' : ''}
+                    {selectedCount > 0 && ` • ${selectedCount} selected`}
                 </span>
                 <span className="text-text-muted text-xs">
                     Drag to reorder
@@ -70,6 +73,11 @@ export function FileList({ onEdit, onDownload, onRemove }) {
                         onEdit={onEdit}
                         onDownload={onDownload}
                         onRemove={onRemove}
+                        onCopyEdits={onCopyEdits}
+                        onToggleSelect={onToggleSelect}
+                        onExtractFrames={onExtractFrames}
+                        onDownloadSpriteMap={onDownloadSpriteMap}
+                        selectedCount={selectedCount - (file.isSelected ? 1 : 0)}
                     />
                 </div>
             ))}
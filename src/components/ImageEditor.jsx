@@ -1,33 +1,83 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { Fragment, useState, useRef, useEffect, useCallback } from 'react';
+import { ASPECT_PRESETS, getAspectRatio, normalizeCrop, fitCropToAspect, dragCropRect } from '../utils/crop';
+import { createDefaultEdits, getFileSettings, pickEdits } from '../utils/editSettings';
+import { useImageContext } from '../context/ImageContext';
+import { useEditHistory } from '../hooks/useEditHistory';
+import { computeHistogram, normalizeFilters } from '../utils/filters';
+import { createDomCanvas, drawOutput, planOutput } from '../utils/pipeline';
+import { ANCHORS, RESIZE_MODES } from '../utils/resize';
+import { CurvesEditor } from './CurvesEditor';
+import { LevelsControl } from './LevelsControl';
+
+const getAspectLabel = (aspect) => ASPECT_PRESETS.find(preset => preset.value === aspect)?.label || aspect;
+
+// Slider adjustments; grayscale, levels and curves have their own controls
+const ADJUSTMENTS = [
+    { key: 'exposure', label: 'Exposure', min: -3, max: 3, step: 0.1 },
+    { key: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1 },
+    { key: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1 },
+    { key: 'gamma', label: 'Gamma', min: 0.1, max: 3, step: 0.05 },
+    { key: 'temperature', label: 'Temperature', min: -100, max: 100, step: 1 },
+    { key: 'tint', label: 'Tint', min: -100, max: 100, step: 1 },
+    { key: 'saturation', label: 'Saturation', min: -100, max: 100, step: 1 },
+    { key: 'vibrance', label: 'Vibrance', min: -100, max: 100, step: 1 },
+    { key: 'hue', label: 'Hue', min: -180, max: 180, step: 1 }
+];
+
+// Longest edge of the copy the levels histogram is computed from
+const HISTOGRAM_EDGE = 256;
+
+const CROP_HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'];
+
+const HANDLE_POSITIONS = {
+    nw: 'top-0 left-0 cursor-nwse-resize',
+    n: 'top-0 left-1/2 cursor-ns-resize',
+    ne: 'top-0 left-full cursor-nesw-resize',
+    e: 'top-1/2 left-full cursor-ew-resize',
+    se: 'top-full left-full cursor-nwse-resize',
+    s: 'top-full left-1/2 cursor-ns-resize',
+    sw: 'top-full left-0 cursor-nesw-resize',
+    w: 'top-1/2 left-0 cursor-ew-resize'
+};
 
 export function ImageEditor({ file, onSave, onClose }) {
-    const [settings, setSettings] = useState({
-        resize: {
-            enabled: false,
-            mode: 'percentage',
-            percentage: 100,
-            width: file.width,
-            height: file.height,
-            lockAspect: true
-        },
-        rotate: 0,
-        flip: { horizontal: false, vertical: false },
-        filters: {
-            grayscale: false,
-            brightness: 0,
-            contrast: 0
-        },
-        crop: {
-            enabled: false,
-            x: 0,
-            y: 0,
-            width: file.width,
-            height: file.height
-        }
-    });
+    const { edits: settings, touched, entries, index, history, apply, reset, undo, redo, jumpTo, canUndo, canRedo } = useEditHistory(file);
+    const { state: { settings: globalSettings } } = useImageContext();
+    const [isCropping, setIsCropping] = useState(false);
+    const [histogram, setHistogram] = useState(null);
 
     const canvasRef = useRef(null);
-    const originalAspect = file.width / file.height;
+    const overlayRef = useRef(null);
+    const cropDragRef = useRef(null);
+    const cropRect = normalizeCrop(settings.crop, file.width, file.height);
+    const originalAspect = cropRect ? cropRect.width / cropRect.height : file.width / file.height;
+    const showCropOverlay = settings.crop.enabled && isCropping;
+    const filters = normalizeFilters(settings.filters);
+
+    const updateFilters = (key, label, changes) => apply(key, label, s => ({
+        ...s,
+        filters: { ...normalizeFilters(s.filters), ...changes }
+    }));
+
+    // Histogram of the unedited source for the levels control
+    useEffect(() => {
+        let cancelled = false;
+        const img = new Image();
+        img.onload = () => {
+            if (cancelled) return;
+            const scale = Math.min(1, HISTOGRAM_EDGE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            setHistogram(computeHistogram(ctx.getImageData(0, 0, canvas.width, canvas.height).data));
+        };
+        img.src = file.previewUrl;
+        return () => {
+            cancelled = true;
+        };
+    }, [file.previewUrl]);
 
     // Update preview
     useEffect(() => {
@@ -38,93 +88,99 @@ export function ImageEditor({ file, onSave, onClose }) {
         img.onload = () => {
             const ctx = canvas.getContext('2d');
 
-            let width = img.width;
-            let height = img.height;
-
-            // Apply resize
-            if (settings.resize.enabled) {
-                if (settings.resize.mode === 'percentage') {
-                    width = Math.round(width * (settings.resize.percentage / 100));
-                    height = Math.round(height * (settings.resize.percentage / 100));
-                } else {
-                    width = settings.resize.width || width;
-                    height = settings.resize.height || height;
-                }
+            // While adjusting the crop, show the untouched source under the overlay
+            if (showCropOverlay) {
+                canvas.width = img.width;
+                canvas.height = img.height;
+                ctx.drawImage(img, 0, 0);
+                return;
             }
 
-            // Handle rotation dimensions
-            if (settings.rotate === 90 || settings.rotate === 270) {
-                canvas.width = height;
-                canvas.height = width;
-            } else {
-                canvas.width = width;
-                canvas.height = height;
-            }
-
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            ctx.save();
-            ctx.translate(canvas.width / 2, canvas.height / 2);
+            // Same settings and pipeline the conversion uses (global resize and resampling
+            // included), so the preview matches the output
+            const outputSettings = getFileSettings(globalSettings, { edits: pickEdits(settings, touched) });
+            const plan = planOutput(outputSettings, img.width, img.height);
+            canvas.width = plan.width;
+            canvas.height = plan.height;
+            drawOutput(ctx, img, outputSettings, plan, plan.width, plan.height, createDomCanvas);
+        };
+        img.src = file.previewUrl;
+    }, [file.previewUrl, settings, touched, globalSettings, showCropOverlay]);
+
+    const updateCrop = useCallback((key, label, changes) => {
+        apply(key, label, s => ({ ...s, crop: { ...s.crop, ...changes } }));
+    }, [apply]);
+
+    // Drag math runs in image pixels, scaled from the overlay's on-screen size
+    const handleCropPointerDown = (e, handle) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const rect = overlayRef.current.getBoundingClientRect();
+        cropDragRef.current = {
+            handle,
+            startX: e.clientX,
+            startY: e.clientY,
+            startCrop: cropRect,
+            scale: file.width / rect.width
+        };
+    };
 
-            if (settings.rotate) {
-                ctx.rotate((settings.rotate * Math.PI) / 180);
-            }
+    useEffect(() => {
+        if (!showCropOverlay) return;
+
+        const handleMove = (e) => {
+            const drag = cropDragRef.current;
+            if (!drag) return;
+            updateCrop('crop-drag', 'Adjust crop', dragCropRect(
+                drag.startCrop,
+                drag.handle,
+                (e.clientX - drag.startX) * drag.scale,
+                (e.clientY - drag.startY) * drag.scale,
+                getAspectRatio(settings.crop.aspect),
+                file.width,
+                file.height
+            ));
+        };
+        const handleUp = () => { cropDragRef.current = null; };
 
-            ctx.scale(
-                settings.flip.horizontal ? -1 : 1,
-                settings.flip.vertical ? -1 : 1
-            );
-
-            ctx.translate(-width / 2, -height / 2);
-            ctx.drawImage(img, 0, 0, width, height);
-            ctx.restore();
-
-            // Apply filters
-            if (settings.filters.grayscale || settings.filters.brightness !== 0 || settings.filters.contrast !== 0) {
-                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                const data = imageData.data;
-
-                for (let i = 0; i < data.length; i += 4) {
-                    let r = data[i];
-                    let g = data[i + 1];
-                    let b = data[i + 2];
-
-                    if (settings.filters.grayscale) {
-                        const gray = 0.299 * r + 0.587 * g + 0.114 * b;
-                        r = g = b = gray;
-                    }
-
-                    if (settings.filters.brightness !== 0) {
-                        const brightness = (settings.filters.brightness / 100) * 255;
-                        r += brightness;
-                        g += brightness;
-                        b += brightness;
-                    }
-
-                    if (settings.filters.contrast !== 0) {
-                        const contrast = (settings.filters.contrast + 100) / 100;
-                        const factor = (259 * (contrast * 255 + 255)) / (255 * (259 - contrast * 255));
-                        r = factor * (r - 128) + 128;
-                        g = factor * (g - 128) + 128;
-                        b = factor * (b - 128) + 128;
-                    }
-
-                    data[i] = Math.max(0, Math.min(255, r));
-                    data[i + 1] = Math.max(0, Math.min(255, g));
-                    data[i + 2] = Math.max(0, Math.min(255, b));
-                }
-
-                ctx.putImageData(imageData, 0, 0);
-            }
+        window.addEventListener('pointermove', handleMove);
+        window.addEventListener('pointerup', handleUp);
+        return () => {
+            window.removeEventListener('pointermove', handleMove);
+            window.removeEventListener('pointerup', handleUp);
         };
-        img.src = file.previewUrl;
-    }, [file.previewUrl, settings]);
+    }, [showCropOverlay, settings.crop.aspect, file.width, file.height, updateCrop]);
+
+    const handleCropToggle = (enabled) => {
+        updateCrop('crop-toggle', enabled ? 'Crop on' : 'Crop off', enabled && (!settings.crop.width || !settings.crop.height)
+            ? { enabled, ...fitCropToAspect(getAspectRatio(settings.crop.aspect), file.width, file.height) }
+            : { enabled });
+        setIsCropping(enabled);
+    };
+
+    const handleAspectChange = (aspect) => {
+        updateCrop('crop-aspect', `Crop ${getAspectLabel(aspect)}`, { aspect, ...fitCropToAspect(getAspectRatio(aspect), file.width, file.height) });
+    };
+
+    const handleCropInput = (key, value) => {
+        const number = Math.max(0, parseInt(value) || 0);
+        const ratio = getAspectRatio(settings.crop.aspect);
+        const changes = { [key]: number };
+        if (ratio && key === 'width') changes.height = Math.round(number / ratio);
+        if (ratio && key === 'height') changes.width = Math.round(number * ratio);
+        updateCrop(`crop-${key}`, `Crop ${key.toUpperCase()} ${number}`, changes);
+    };
+
+    const updateResize = (key, label, changes) => {
+        apply(key, label, s => ({ ...s, resize: { ...s.resize, ...changes } }));
+    };
 
     const handleWidthChange = (value) => {
         const width = parseInt(value) || 0;
         const height = settings.resize.lockAspect
             ? Math.round(width / originalAspect)
             : settings.resize.height;
-        setSettings(s => ({
+        apply('resize-dimensions', `Resize ${width}×${height}`, s => ({
             ...s,
             resize: { ...s.resize, width, height }
         }));
@@ -135,14 +191,14 @@ export function ImageEditor({ file, onSave, onClose }) {
         const width = settings.resize.lockAspect
             ? Math.round(height * originalAspect)
             : settings.resize.width;
-        setSettings(s => ({
+        apply('resize-dimensions', `Resize ${width}×${height}`, s => ({
             ...s,
             resize: { ...s.resize, width, height }
         }));
     };
 
     const handleSave = () => {
-        onSave(settings);
+        onSave(pickEdits(settings, touched), history);
         onClose();
     };
 
@@ -152,6 +208,22 @@ export function ImageEditor({ file, onSave, onClose }) {
             <div className="flex items-center justify-between p-4 border-b border-surface-light">
                 <h2 className="text-text text-xl font-bold">Edit Image</h2>
                 <div className="flex gap-3">
+                    <button
+                        onClick={undo}
+                        disabled={!canUndo}
+                        title="Undo (Ctrl+Z)"
+                        className={`px-3 py-2 rounded-lg bg-surface-light text-text-muted ${canUndo ? 'hover:text-text' : 'opacity-40 cursor-not-allowed'}`}
+                    >
+                        ↶
+                    </button>
+                    <button
+                        onClick={redo}
+                        disabled={!canRedo}
+                        title="Redo (Ctrl+Shift+Z)"
+                        className={`px-3 py-2 rounded-lg bg-surface-light text-text-muted ${canRedo ? 'hover:text-text' : 'opacity-40 cursor-not-allowed'}`}
+                    >
+                        ↷
+                    </button>
                     <button
                         onClick={onClose}
                         className="px-4 py-2 rounded-lg bg-surface-light text-text-muted hover:text-text"
@@ -170,11 +242,37 @@ export function ImageEditor({ file, onSave, onClose }) {
             <div className="flex-1 flex overflow-hidden">
                 {/* Preview */}
                 <div className="flex-1 flex items-center justify-center p-4 overflow-auto">
-                    <canvas
-                        ref={canvasRef}
-                        className="max-w-full max-h-full object-contain rounded-lg shadow-2xl"
-                        style={{ background: 'repeating-conic-gradient(#333 0% 25%, #444 0% 50%) 50% / 20px 20px' }}
-                    />
+                    <div className="relative max-w-full">
+                        <canvas
+                            ref={canvasRef}
+                            className="block max-w-full max-h-[75vh] object-contain rounded-lg shadow-2xl"
+                            style={{ background: 'repeating-conic-gradient(#333 0% 25%, #444 0% 50%) 50% / 20px 20px' }}
+                        />
+
+                        {showCropOverlay && cropRect && (
+                            <div ref={overlayRef} className="absolute inset-0 overflow-hidden touch-none">
+                                <div
+                                    onPointerDown={(e) => handleCropPointerDown(e, 'move')}
+                                    className="absolute border-2 border-primary cursor-move"
+                                    style={{
+                                        left: `${(cropRect.x / file.width) * 100}%`,
+                                        top: `${(cropRect.y / file.height) * 100}%`,
+                                        width: `${(cropRect.width / file.width) * 100}%`,
+                                        height: `${(cropRect.height / file.height) * 100}%`,
+                                        boxShadow: '0 0 0 9999px rgba(12, 12, 12, 0.6)'
+                                    }}
+                                >
+                                    {CROP_HANDLES.map(handle => (
+                                        <div
+                                            key={handle}
+                                            onPointerDown={(e) => handleCropPointerDown(e, handle)}
+                                            className={`absolute w-3 h-3 bg-primary border border-background -translate-x-1/2 -translate-y-1/2 ${HANDLE_POSITIONS[handle]}`}
+                                        />
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+                    </div>
                 </div>
 
                 {/* Controls */}
@@ -185,7 +283,7 @@ export function ImageEditor({ file, onSave, onClose }) {
                             <input
                                 type="checkbox"
                                 checked={settings.resize.enabled}
-                                onChange={(e) => setSettings(s => ({
+                                onChange={(e) => apply('resize-toggle', e.target.checked ? 'Resize on' : 'Resize off', s => ({
                                     ...s,
                                     resize: { ...s.resize, enabled: e.target.checked }
                                 }))}
@@ -196,31 +294,19 @@ export function ImageEditor({ file, onSave, onClose }) {
 
                         {settings.resize.enabled && (
                             <div className="space-y-3 pl-7">
-                                <div className="flex gap-2">
-                                    <button
-                                        onClick={() => setSettings(s => ({
-                                            ...s,
-                                            resize: { ...s.resize, mode: 'percentage' }
-                                        }))}
-                                        className={`px-3 py-1.5 rounded text-sm ${settings.resize.mode === 'percentage'
-                                                ? 'bg-primary text-text'
-                                                : 'bg-surface-light text-text-muted'
-                                            }`}
-                                    >
-                                        Percentage
-                                    </button>
-                                    <button
-                                        onClick={() => setSettings(s => ({
-                                            ...s,
-                                            resize: { ...s.resize, mode: 'dimensions' }
-                                        }))}
-                                        className={`px-3 py-1.5 rounded text-sm ${settings.resize.mode === 'dimensions'
-                                                ? 'bg-primary text-text'
-                                                : 'bg-surface-light text-text-muted'
-                                            }`}
-                                    >
-                                        Dimensions
-                                    </button>
+                                <div className="flex flex-wrap gap-2">
+                                    {RESIZE_MODES.map(mode => (
+                                        <button
+                                            key={mode.value}
+                                            onClick={() => updateResize('resize-mode', `Resize mode ${mode.label}`, { mode: mode.value })}
+                                            className={`px-3 py-1.5 rounded text-sm ${settings.resize.mode === mode.value
+                                                    ? 'bg-primary text-text'
+                                                    : 'bg-surface-light text-text-muted'
+                                                }`}
+                                        >
+                                            {mode.label}
+                                        </button>
+                                    ))}
                                 </div>
 
                                 {settings.resize.mode === 'percentage' ? (
@@ -230,7 +316,7 @@ export function ImageEditor({ file, onSave, onClose }) {
                                             min="10"
                                             max="200"
                                             value={settings.resize.percentage}
-                                            onChange={(e) => setSettings(s => ({
+                                            onChange={(e) => apply('resize-percentage', `Resize ${e.target.value}%`, s => ({
                                                 ...s,
                                                 resize: { ...s.resize, percentage: parseInt(e.target.value) }
                                             }))}
@@ -240,7 +326,7 @@ export function ImageEditor({ file, onSave, onClose }) {
                                             {settings.resize.percentage}%
                                         </div>
                                     </div>
-                                ) : (
+                                ) : settings.resize.mode === 'dimensions' ? (
                                     <div className="space-y-2">
                                         <div className="flex items-center gap-2">
                                             <input
@@ -263,7 +349,7 @@ export function ImageEditor({ file, onSave, onClose }) {
                                             <input
                                                 type="checkbox"
                                                 checked={settings.resize.lockAspect}
-                                                onChange={(e) => setSettings(s => ({
+                                                onChange={(e) => apply('resize-lock', e.target.checked ? 'Lock aspect' : 'Unlock aspect', s => ({
                                                     ...s,
                                                     resize: { ...s.resize, lockAspect: e.target.checked }
                                                 }))}
@@ -272,7 +358,155 @@ export function ImageEditor({ file, onSave, onClose }) {
                                             Lock aspect ratio
                                         </label>
                                     </div>
+                                ) : settings.resize.mode === 'maxEdge' ? (
+                                    <label className="flex items-center gap-2 text-sm text-text-muted">
+                                        Longest edge
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            value={settings.resize.maxEdge || ''}
+                                            onChange={(e) => {
+                                                const maxEdge = Math.max(1, parseInt(e.target.value) || 0);
+                                                updateResize('resize-max-edge', `Max edge ${maxEdge}`, { maxEdge });
+                                            }}
+                                            className="flex-1 min-w-0 px-3 py-2 rounded bg-surface-light text-text text-sm"
+                                        />
+                                        px
+                                    </label>
+                                ) : (
+                                    <div className="space-y-2">
+                                        <div className="flex items-center gap-2">
+                                            {['width', 'height'].map((key, i) => (
+                                                <Fragment key={key}>
+                                                    {i > 0 && <span className="text-text-muted">×</span>}
+                                                    <input
+                                                        type="number"
+                                                        min="1"
+                                                        value={settings.resize[key] || ''}
+                                                        onChange={(e) => {
+                                                            const value = Math.max(1, parseInt(e.target.value) || 0);
+                                                            updateResize('resize-box', `Box ${key} ${value}`, { [key]: value });
+                                                        }}
+                                                        placeholder={key === 'width' ? 'Width' : 'Height'}
+                                                        className="flex-1 min-w-0 px-3 py-2 rounded bg-surface-light text-text text-sm"
+                                                    />
+                                                </Fragment>
+                                            ))}
+                                        </div>
+
+                                        {settings.resize.mode !== 'fit' && (
+                                            <div className="flex items-center gap-3">
+                                                <span className="text-sm text-text-muted">Anchor</span>
+                                                <div className="grid grid-cols-3 gap-1">
+                                                    {Object.keys(ANCHORS).map(anchor => (
+                                                        <button
+                                                            key={anchor}
+                                                            onClick={() => updateResize('resize-anchor', `Anchor ${anchor}`, { anchor })}
+                                                            title={anchor}
+                                                            className={`w-5 h-5 rounded-sm ${(settings.resize.anchor || 'center') === anchor
+                                                                    ? 'bg-primary'
+                                                                    : 'bg-surface-light hover:bg-text-muted/40'
+                                                                }`}
+                                                        />
+                                                    ))}
+                                                </div>
+                                            </div>
+                                        )}
+
+                                        {settings.resize.mode === 'contain' && (
+                                            <div className="flex items-center gap-3 text-sm text-text-muted">
+                                                <input
+                                                    type="color"
+                                                    value={settings.resize.background || '#ffffff'}
+                                                    disabled={settings.resize.transparent}
+                                                    onChange={(e) => updateResize('resize-background', `Padding ${e.target.value}`, { background: e.target.value })}
+                                                    className="w-8 h-8 bg-transparent disabled:opacity-40"
+                                                />
+                                                <label className="flex items-center gap-2">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={!!settings.resize.transparent}
+                                                        onChange={(e) => updateResize('resize-transparent', e.target.checked ? 'Transparent padding' : 'Coloured padding', { transparent: e.target.checked })}
+                                                        className="accent-primary"
+                                                    />
+                                                    Transparent
+                                                </label>
+                                            </div>
+                                        )}
+                                    </div>
                                 )}
+
+                                <label className="flex items-center gap-2 text-sm text-text-muted">
+                                    <input
+                                        type="checkbox"
+                                        checked={!!settings.resize.allowUpscale}
+                                        onChange={(e) => updateResize('resize-upscale', e.target.checked ? 'Allow upscaling' : 'No upscaling', { allowUpscale: e.target.checked })}
+                                        className="accent-primary"
+                                    />
+                                    Allow upscaling
+                                </label>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Crop */}
+                    <div>
+                        <label className="flex items-center gap-3 cursor-pointer mb-3">
+                            <input
+                                type="checkbox"
+                                checked={settings.crop.enabled}
+                                onChange={(e) => handleCropToggle(e.target.checked)}
+                                className="w-4 h-4 accent-primary"
+                            />
+                            <span className="text-text font-medium">Crop</span>
+                        </label>
+
+                        {settings.crop.enabled && (
+                            <div className="space-y-3 pl-7">
+                                <div className="flex gap-2">
+                                    {ASPECT_PRESETS.map(preset => (
+                                        <button
+                                            key={preset.value}
+                                            onClick={() => handleAspectChange(preset.value)}
+                                            className={`flex-1 py-1.5 rounded text-xs ${settings.crop.aspect === preset.value
+                                                    ? 'bg-primary text-text'
+                                                    : 'bg-surface-light text-text-muted hover:text-text'
+                                                }`}
+                                        >
+                                            {preset.label}
+                                        </button>
+                                    ))}
+                                </div>
+
+                                <div className="grid grid-cols-2 gap-2">
+                                    {[
+                                        { key: 'x', label: 'X' },
+                                        { key: 'y', label: 'Y' },
+                                        { key: 'width', label: 'W' },
+                                        { key: 'height', label: 'H' }
+                                    ].map(field => (
+                                        <label key={field.key} className="flex items-center gap-2 text-sm text-text-muted">
+                                            <span className="w-4">{field.label}</span>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                value={settings.crop[field.key]}
+                                                onChange={(e) => handleCropInput(field.key, e.target.value)}
+                                                className="w-full px-2 py-1.5 rounded bg-surface-light text-text text-sm"
+                                            />
+                                        </label>
+                                    ))}
+                                </div>
+
+                                <button
+                                    onClick={() => setIsCropping(c => !c)}
+                                    className={`w-full py-1.5 rounded text-sm ${isCropping
+                                            ? 'bg-primary text-text'
+                                            : 'bg-surface-light text-text-muted hover:text-text'
+                                        }`}
+                                >
+                                    {isCropping ? 'Done Adjusting' : 'Adjust Crop'}
+                                </button>
                             </div>
                         )}
                     </div>
@@ -284,7 +518,7 @@ export function ImageEditor({ file, onSave, onClose }) {
                             {[0, 90, 180, 270].map(deg => (
                                 <button
                                     key={deg}
-                                    onClick={() => setSettings(s => ({ ...s, rotate: deg }))}
+                                    onClick={() => apply('rotate', `Rotate ${deg}°`, s => ({ ...s, rotate: deg }))}
                                     className={`flex-1 py-2 rounded text-sm ${settings.rotate === deg
                                             ? 'bg-primary text-text'
                                             : 'bg-surface-light text-text-muted hover:text-text'
@@ -301,7 +535,7 @@ export function ImageEditor({ file, onSave, onClose }) {
                         <span className="text-text font-medium block mb-3">Flip</span>
                         <div className="flex gap-2">
                             <button
-                                onClick={() => setSettings(s => ({
+                                onClick={() => apply('flip-horizontal', 'Flip horizontal', s => ({
                                     ...s,
                                     flip: { ...s.flip, horizontal: !s.flip.horizontal }
                                 }))}
@@ -313,7 +547,7 @@ export function ImageEditor({ file, onSave, onClose }) {
                                 ↔ Horizontal
                             </button>
                             <button
-                                onClick={() => setSettings(s => ({
+                                onClick={() => apply('flip-vertical', 'Flip vertical', s => ({
                                     ...s,
                                     flip: { ...s.flip, vertical: !s.flip.vertical }
                                 }))}
@@ -327,70 +561,92 @@ export function ImageEditor({ file, onSave, onClose }) {
                         </div>
                     </div>
 
-                    {/* Filters */}
+                    {/* Adjustments */}
                     <div>
-                        <span className="text-text font-medium block mb-3">Filters</span>
+                        <span className="text-text font-medium block mb-3">Adjustments</span>
                         <div className="space-y-4">
                             <label className="flex items-center gap-3 cursor-pointer">
                                 <input
                                     type="checkbox"
-                                    checked={settings.filters.grayscale}
-                                    onChange={(e) => setSettings(s => ({
-                                        ...s,
-                                        filters: { ...s.filters, grayscale: e.target.checked }
-                                    }))}
+                                    checked={filters.grayscale}
+                                    onChange={(e) => updateFilters('grayscale', e.target.checked ? 'Grayscale on' : 'Grayscale off', { grayscale: e.target.checked })}
                                     className="w-4 h-4 accent-primary"
                                 />
                                 <span className="text-text-muted text-sm">Grayscale</span>
                             </label>
 
-                            <div>
-                                <div className="flex justify-between text-sm mb-1">
-                                    <span className="text-text-muted">Brightness</span>
-                                    <span className="text-text">{settings.filters.brightness}</span>
-                                </div>
-                                <input
-                                    type="range"
-                                    min="-100"
-                                    max="100"
-                                    value={settings.filters.brightness}
-                                    onChange={(e) => setSettings(s => ({
-                                        ...s,
-                                        filters: { ...s.filters, brightness: parseInt(e.target.value) }
-                                    }))}
-                                    className="w-full accent-primary"
-                                />
-                            </div>
-
-                            <div>
-                                <div className="flex justify-between text-sm mb-1">
-                                    <span className="text-text-muted">Contrast</span>
-                                    <span className="text-text">{settings.filters.contrast}</span>
+                            {ADJUSTMENTS.map(adjustment => (
+                                <div key={adjustment.key}>
+                                    <div className="flex justify-between text-sm mb-1">
+                                        <span className="text-text-muted">{adjustment.label}</span>
+                                        <span className="text-text">{filters[adjustment.key]}</span>
+                                    </div>
+                                    <input
+                                        type="range"
+                                        min={adjustment.min}
+                                        max={adjustment.max}
+                                        step={adjustment.step}
+                                        value={filters[adjustment.key]}
+                                        onChange={(e) => updateFilters(
+                                            adjustment.key,
+                                            `${adjustment.label} ${e.target.value}`,
+                                            { [adjustment.key]: parseFloat(e.target.value) }
+                                        )}
+                                        className="w-full accent-primary"
+                                    />
                                 </div>
-                                <input
-                                    type="range"
-                                    min="-100"
-                                    max="100"
-                                    value={settings.filters.contrast}
-                                    onChange={(e) => setSettings(s => ({
-                                        ...s,
-                                        filters: { ...s.filters, contrast: parseInt(e.target.value) }
-                                    }))}
-                                    className="w-full accent-primary"
-                                />
-                            </div>
+                            ))}
                         </div>
                     </div>
 
+                    {/* Levels */}
+                    <div>
+                        <span className="text-text font-medium block mb-3">Levels</span>
+                        <LevelsControl
+                            levels={filters.levels}
+                            histogram={histogram}
+                            onChange={(key, label, changes) => updateFilters(`levels-${key}`, label, {
+                                levels: { ...filters.levels, ...changes }
+                            })}
+                        />
+                    </div>
+
+                    {/* Curves */}
+                    <div>
+                        <span className="text-text font-medium block mb-3">Curves</span>
+                        <CurvesEditor
+                            curves={filters.curves}
+                            onChange={(channel, points, label) => updateFilters(`curves-${channel}`, label, {
+                                curves: { ...filters.curves, [channel]: points }
+                            })}
+                        />
+                    </div>
+
+                    {/* History */}
+                    <div>
+                        <span className="text-text font-medium block mb-3">History</span>
+                        <ol className="max-h-48 overflow-y-auto space-y-1">
+                            {entries.map((entry, i) => (
+                                <li key={entry.id}>
+                                    <button
+                                        onClick={() => jumpTo(i)}
+                                        className={`w-full text-left px-3 py-1.5 rounded text-sm truncate ${i === index
+                                                ? 'bg-primary text-text'
+                                                : i > index
+                                                    ? 'bg-surface-light text-text-muted/50 hover:text-text'
+                                                    : 'bg-surface-light text-text-muted hover:text-text'
+                                            }`}
+                                    >
+                                        {entry.label}
+                                    </button>
+                                </li>
+                            ))}
+                        </ol>
+                    </div>
+
                     {/* Reset */}
                     <button
-                        onClick={() => setSettings({
-                            resize: { enabled: false, mode: 'percentage', percentage: 100, width: file.width, height: file.height, lockAspect: true },
-                            rotate: 0,
-                            flip: { horizontal: false, vertical: false },
-                            filters: { grayscale: false, brightness: 0, contrast: 0 },
-                            crop: { enabled: false, x: 0, y: 0, width: file.width, height: file.height }
-                        })}
+                        onClick={() => reset(createDefaultEdits(file))}
                         className="w-full py-2 rounded-lg bg-surface-light text-text-muted hover:text-text text-sm"
                     >
                         Reset All
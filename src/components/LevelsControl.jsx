@@ -0,0 +1,50 @@
+const LEVEL_FIELDS = [
+    { key: 'inputBlack', label: 'Input black', min: 0, max: 254, step: 1 },
+    { key: 'inputWhite', label: 'Input white', min: 1, max: 255, step: 1 },
+    { key: 'gamma', label: 'Midtones', min: 0.1, max: 3, step: 0.05 },
+    { key: 'outputBlack', label: 'Output black', min: 0, max: 255, step: 1 },
+    { key: 'outputWhite', label: 'Output white', min: 0, max: 255, step: 1 }
+];
+
+// Luma histogram of the source with the input black/white points marked
+function histogramPath(counts) {
+    const peak = Math.max(1, ...counts);
+    const heights = Array.from(counts, count => 100 - Math.sqrt(count / peak) * 100);
+    return `M0 100 ${heights.map((h, x) => `L${x} ${h.toFixed(1)}`).join(' ')} L255 100 Z`;
+}
+
+export function LevelsControl({ levels, histogram, onChange }) {
+    return (
+        <div className="space-y-3">
+            <svg viewBox="0 0 255 100" preserveAspectRatio="none" className="w-full h-20 bg-surface-light rounded">
+                {histogram && <path d={histogramPath(histogram.luma)} fill="currentColor" className="text-text-muted/60" />}
+                <line x1={levels.inputBlack} y1="0" x2={levels.inputBlack} y2="100" stroke="currentColor" className="text-primary" strokeWidth="2" />
+                <line x1={levels.inputWhite} y1="0" x2={levels.inputWhite} y2="100" stroke="currentColor" className="text-primary" strokeWidth="2" />
+            </svg>
+
+            {LEVEL_FIELDS.map(field => (
+                <div key={field.key}>
+                    <div className="flex justify-between text-sm mb-1">
+                        <span className="text-text-muted">{field.label}</span>
+                        <span className="text-text">{levels[field.key]}</span>
+                    </div>
+                    <input
+                        type="range"
+                        min={field.min}
+                        max={field.max}
+                        step={field.step}
+                        value={levels[field.key]}
+                        onChange={(e) => {
+                            const value = parseFloat(e.target.value);
+                            // Input points can't cross, or the levels range would be empty
+                            if (field.key === 'inputBlack' && value >= levels.inputWhite) return;
+                            if (field.key === 'inputWhite' && value <= levels.inputBlack) return;
+                            onChange(field.key, `${field.label} ${value}`, { [field.key]: value });
+                        }}
+                        className="w-full accent-primary"
+                    />
+                </div>
+            ))}
+        </div>
+    );
+}
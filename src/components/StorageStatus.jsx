@@ -0,0 +1,61 @@
+import { useImageContext } from '../context/ImageContext';
+
+export function StorageStatus() {
+    const { state, actions } = useImageContext();
+    const { files, storage } = state;
+
+    const formatFileSize = (bytes) => {
+        if (!bytes) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    };
+
+    const usedPercent = storage.quota ? Math.min(100, (storage.usage / storage.quota) * 100) : 0;
+
+    // Clears the saved copy and the queue it mirrors
+    const clearStorage = async () => {
+        files.forEach(f => {
+            URL.revokeObjectURL(f.previewUrl);
+            if (f.webpUrl) URL.revokeObjectURL(f.webpUrl);
+        });
+        actions.clearFiles();
+        await actions.clearStorage();
+    };
+
+    return (
+        <div className="bg-surface block-border p-4">
+            <div className="flex items-center justify-between mb-2">
+                <span className="pixel-text text-sm text-text-secondary tracking-wider">OFFLINE STORAGE</span>
+                <button
+                    onClick={clearStorage}
+                    className="px-2 py-1 text-xs bg-surface-light block-border-sm text-text-muted hover:bg-primary hover:text-text"
+                    title="Delete saved files and settings from this device"
+                >
+                    ✕ CLEAR
+                </button>
+            </div>
+
+            {storage.quota ? (
+                <>
+                    <div className="h-2 bg-surface-light block-inset">
+                        <div
+                            className={`h-full ${usedPercent > 90 ? 'bg-primary' : 'bg-secondary'}`}
+                            style={{ width: `${usedPercent}%` }}
+                        />
+                    </div>
+                    <p className="text-xs text-text-muted mt-1">
+                        {formatFileSize(storage.usage)} of {formatFileSize(storage.quota)} used
+                    </p>
+                </>
+            ) : (
+                <p className="text-xs text-text-muted">Queue is saved on this device</p>
+            )}
+
+            {storage.error && (
+                <p className="text-xs text-primary mt-1">⚠️ {storage.error}</p>
+            )}
+        </div>
+    );
+}
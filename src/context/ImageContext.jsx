@@ -1,39 +1,115 @@
-import { createContext, useContext, useReducer, useCallback } from 'react';
+import { createContext, useContext, useReducer, useCallback, useEffect } from 'react';
+import { probeEncoderSupport } from '../utils/encoderSupport';
+import { usePersistence } from '../hooks/usePersistence';
+import { createDefaultFilters } from '../utils/filters';
+import { createPreset, loadPresets, mergePresets, savePresets } from '../utils/presets';
 
 // Initial state
 const initialState = {
     files: [],
     inputFormats: [], // Track formats of uploaded files
+    encoderSupport: null, // { webp: bool, ... } once the startup probe finishes
+    customPresets: [], // [{ id, name, settings }], loaded from localStorage
     settings: {
         outputFormat: 'webp',
         quality: 80,
         lossless: false,
         preserveMetadata: false,
+        preserveAnimation: true, // Re-encode every frame of animated GIF/WebP/APNG inputs
+        metadataPrivacy: {
+            stripGps: false,
+            stripSerials: false
+        },
         preset: 'custom', // 'web', 'high', 'smallest', 'custom'
         resize: {
             enabled: false,
-            mode: 'percentage', // 'percentage' or 'dimensions'
+            mode: 'percentage', // 'percentage', 'dimensions', 'fit', 'fill', 'contain' or 'maxEdge'
             percentage: 100,
-            width: null,
+            width: null, // Target size, or the box for fit / fill / contain
             height: null,
-            lockAspect: true
+            lockAspect: true,
+            maxEdge: 2048, // Longest edge for 'maxEdge'
+            anchor: 'center', // Gravity for fill's crop and contain's padding (utils/resize ANCHORS)
+            background: '#ffffff', // Padding colour for 'contain'
+            transparent: false, // Leave contain's padding transparent instead
+            allowUpscale: false // Otherwise no mode ever enlarges the image
+        },
+        resampling: {
+            filter: 'browser', // 'browser' (drawImage), 'nearest', 'bilinear', 'bicubic', 'lanczos3' or 'mitchell'
+            sharpen: {
+                enabled: false, // Unsharp mask after downscaling
+                amount: 50, // %
+                radius: 1, // px
+                threshold: 0 // 0-255
+            }
         },
         rotate: 0, // 0, 90, 180, 270
         flip: {
             horizontal: false,
             vertical: false
         },
-        filters: {
-            grayscale: false,
-            brightness: 0,
-            contrast: 0
-        },
+        filters: createDefaultFilters(),
         crop: {
             enabled: false,
             x: 0,
             y: 0,
             width: 0,
-            height: 0
+            height: 0,
+            aspect: 'free'
+        },
+        minQualityScore: 0, // SSIM floor for fallbacks, 0 = off
+        fallbacks: {
+            formats: true, // Try WebP, then JPEG, when the chosen format can't beat the original size
+            downscale: false, // Shrink dimensions as a last resort; off means dimensions never change
+            minScale: 50 // % of the planned size downscaling may go down to
+        },
+        encoder: 'browser', // 'browser' (canvas) or 'wasm' (bundled codecs, worker only)
+        encoderOptions: {
+            jpeg: { progressive: true, chromaSubsampling: '4:2:0', trellis: false },
+            webp: { effort: 4, sharpYuv: false },
+            avif: { effort: 4, chromaSubsampling: '4:2:0' },
+            png: { level: 2, interlace: false }
+        },
+        srcset: {
+            enabled: false, // Adds a srcset/ folder of responsive renditions to the ZIP
+            widths: [320, 640, 1280, 1920],
+            formats: ['avif', 'webp', 'jpeg'],
+            sizes: '100vw'
+        },
+        icoOutput: {
+            sizes: [16, 32, 48, 256], // Entries written into .ico/.cur outputs
+            payloads: { 16: 'bmp', 24: 'bmp', 32: 'bmp', 48: 'bmp', 64: 'png', 128: 'png', 256: 'png' },
+            hotspot: { x: 0, y: 0 } // CUR click point, % of width/height
+        },
+        icons: {
+            enabled: false, // Adds a favicon / app icon package export next to the ZIP
+            background: '#ffffff', // Apple touch and maskable icons can't be transparent
+            maskablePadding: 10 // % per side, keeps the artwork inside the maskable safe zone
+        },
+        pdf: {
+            enabled: false, // Adds a PDF export of the converted files, in list order
+            layout: 'pages', // 'pages' (one image per page) or 'sheet' (contact sheet grid)
+            pageSize: 'a4', // 'a4', 'letter', 'legal', 'a3' or 'image'
+            orientation: 'auto', // 'auto', 'portrait' or 'landscape'
+            margin: 10, // mm
+            fit: 'fit', // 'fit' (whole image) or 'fill' (cover the area, cropped)
+            columns: 3 // contact sheet columns
+        },
+        sheet: {
+            enabled: false, // Adds a sprite / contact sheet compositor next to the ZIP
+            layout: 'grid', // 'grid' or 'packed'
+            columns: 0, // 0 = about square
+            cellSize: 0, // px cap on each image's longest edge, 0 = native size
+            padding: 8,
+            background: '#ffffff',
+            transparent: false,
+            captions: false // Filename under each image
+        },
+        targetSize: {
+            enabled: false,
+            sizeKB: 200,
+            scope: 'file', // 'file' or 'total'
+            allowResize: false
         },
         filenamePattern: '{name}'
     },
@@ -44,6 +120,12 @@ const initialState = {
         isPaused: false,
         progress: 0,
         currentFile: null
+    },
+    storage: {
+        restored: false, // Children render once IndexedDB has been read
+        usage: null,
+        quota: null,
+        error: null
     }
 };
 
@@ -54,6 +136,7 @@ const ActionTypes = {
     REMOVE_FILE: 'REMOVE_FILE',
     CLEAR_FILES: 'CLEAR_FILES',
     REORDER_FILES: 'REORDER_FILES',
+    COPY_EDITS: 'COPY_EDITS',
     SET_SETTINGS: 'SET_SETTINGS',
     SET_QUALITY: 'SET_QUALITY',
     SET_OUTPUT_FORMAT: 'SET_OUTPUT_FORMAT',
@@ -63,7 +146,13 @@ const ActionTypes = {
     CLEAR_HISTORY: 'CLEAR_HISTORY',
     SET_PROCESSING: 'SET_PROCESSING',
     UPDATE_PROGRESS: 'UPDATE_PROGRESS',
-    UPDATE_INPUT_FORMATS: 'UPDATE_INPUT_FORMATS'
+    UPDATE_INPUT_FORMATS: 'UPDATE_INPUT_FORMATS',
+    SET_ENCODER_SUPPORT: 'SET_ENCODER_SUPPORT',
+    RESTORE_STATE: 'RESTORE_STATE',
+    SET_STORAGE_STATUS: 'SET_STORAGE_STATUS',
+    SAVE_PRESET: 'SAVE_PRESET',
+    DELETE_PRESET: 'DELETE_PRESET',
+    IMPORT_PRESETS: 'IMPORT_PRESETS'
 };
 
 // Presets configuration
@@ -102,6 +191,15 @@ const formatSpecificPresets = {
     }
 };
 
+// Saved presets replace every setting they carry, not just quality/resize
+function applyCustomPreset(state, id) {
+    const preset = state.customPresets.find(item => item.id === id);
+    return {
+        ...state,
+        settings: { ...mergeSettings(state.settings, preset.settings), preset: id }
+    };
+}
+
 // Reducer
 function imageReducer(state, action) {
     switch (action.type) {
@@ -146,6 +244,19 @@ function imageReducer(state, action) {
                 files: reorderedFiles
             };
 
+        case ActionTypes.COPY_EDITS: {
+            const source = state.files.find(file => file.id === action.payload.sourceId);
+            if (!source) return state;
+            return {
+                ...state,
+                files: state.files.map(file =>
+                    action.payload.targetIds.includes(file.id)
+                        ? { ...file, edits: source.edits ? structuredClone(source.edits) : null }
+                        : file
+                )
+            };
+        }
+
         case ActionTypes.SET_SETTINGS:
             return {
                 ...state,
@@ -169,6 +280,10 @@ function imageReducer(state, action) {
             };
 
         case ActionTypes.SET_PRESET:
+            if (state.customPresets.some(preset => preset.id === action.payload)) {
+                return applyCustomPreset(state, action.payload);
+            }
+
             const currentFormat = state.settings.outputFormat;
             const formatPresets = formatSpecificPresets[currentFormat] || presets;
             const presetConfig = formatPresets[action.payload] || presets[action.payload];
@@ -217,17 +332,81 @@ function imageReducer(state, action) {
                 inputFormats: action.payload
             };
 
+        case ActionTypes.SET_ENCODER_SUPPORT:
+            return {
+                ...state,
+                encoderSupport: action.payload
+            };
+
+        case ActionTypes.RESTORE_STATE: {
+            const { files, settings, error = null } = action.payload;
+            return {
+                ...state,
+                files: [...files, ...state.files],
+                inputFormats: [...new Set([...files, ...state.files].map(file => file.originalFormat))],
+                settings: settings ? mergeSettings(state.settings, settings) : state.settings,
+                storage: { ...state.storage, restored: true, error }
+            };
+        }
+
+        case ActionTypes.SAVE_PRESET: {
+            const preset = createPreset(action.payload, state.settings);
+            return {
+                ...state,
+                customPresets: mergePresets(state.customPresets, [preset]),
+                settings: { ...state.settings, preset: preset.id }
+            };
+        }
+
+        case ActionTypes.DELETE_PRESET:
+            return {
+                ...state,
+                customPresets: state.customPresets.filter(preset => preset.id !== action.payload),
+                settings: state.settings.preset === action.payload
+                    ? { ...state.settings, preset: 'custom' }
+                    : state.settings
+            };
+
+        case ActionTypes.IMPORT_PRESETS:
+            return {
+                ...state,
+                customPresets: mergePresets(state.customPresets, action.payload)
+            };
+
+        case ActionTypes.SET_STORAGE_STATUS:
+            return {
+                ...state,
+                storage: { ...state.storage, ...action.payload }
+            };
+
         default:
             return state;
     }
 }
 
+// Saved settings over the defaults, one level deep so newly added nested options keep their defaults
+function mergeSettings(defaults, saved) {
+    const merged = { ...defaults };
+    for (const [key, value] of Object.entries(saved)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject && defaults[key] ? { ...defaults[key], ...value } : value;
+    }
+    return merged;
+}
+
 // Context
 const ImageContext = createContext(null);
 
 // Provider component
 export function ImageProvider({ children }) {
-    const [state, dispatch] = useReducer(imageReducer, initialState);
+    const [state, dispatch] = useReducer(imageReducer, initialState, (initial) => ({
+        ...initial,
+        customPresets: loadPresets()
+    }));
+
+    useEffect(() => {
+        savePresets(state.customPresets);
+    }, [state.customPresets]);
 
     // Action creators
     const addFiles = useCallback((files) => {
@@ -250,6 +429,10 @@ export function ImageProvider({ children }) {
         dispatch({ type: ActionTypes.REORDER_FILES, payload: { sourceIndex, destinationIndex } });
     }, []);
 
+    const copyEdits = useCallback((sourceId, targetIds) => {
+        dispatch({ type: ActionTypes.COPY_EDITS, payload: { sourceId, targetIds } });
+    }, []);
+
     const setSettings = useCallback((settings) => {
         dispatch({ type: ActionTypes.SET_SETTINGS, payload: settings });
     }, []);
@@ -266,6 +449,18 @@ export function ImageProvider({ children }) {
         dispatch({ type: ActionTypes.SET_PRESET, payload: preset });
     }, []);
 
+    const savePreset = useCallback((name) => {
+        dispatch({ type: ActionTypes.SAVE_PRESET, payload: name });
+    }, []);
+
+    const deletePreset = useCallback((id) => {
+        dispatch({ type: ActionTypes.DELETE_PRESET, payload: id });
+    }, []);
+
+    const importPresets = useCallback((presets) => {
+        dispatch({ type: ActionTypes.IMPORT_PRESETS, payload: presets });
+    }, []);
+
     const setTheme = useCallback((theme) => {
         dispatch({ type: ActionTypes.SET_THEME, payload: theme });
     }, []);
@@ -290,6 +485,28 @@ export function ImageProvider({ children }) {
         dispatch({ type: ActionTypes.UPDATE_INPUT_FORMATS, payload: formats });
     }, []);
 
+    const restoreState = useCallback((restored) => {
+        dispatch({ type: ActionTypes.RESTORE_STATE, payload: restored });
+    }, []);
+
+    const setStorageStatus = useCallback((status) => {
+        dispatch({ type: ActionTypes.SET_STORAGE_STATUS, payload: status });
+    }, []);
+
+    const persistence = usePersistence(state, { onRestore: restoreState, onStatus: setStorageStatus });
+    const clearStorage = persistence.clear;
+
+    // Check once which output types the browser really encodes
+    useEffect(() => {
+        let cancelled = false;
+        probeEncoderSupport().then(support => {
+            if (!cancelled) dispatch({ type: ActionTypes.SET_ENCODER_SUPPORT, payload: support });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
     const value = {
         state,
         dispatch,
@@ -299,22 +516,27 @@ export function ImageProvider({ children }) {
             removeFile,
             clearFiles,
             reorderFiles,
+            copyEdits,
             setSettings,
             setQuality,
             setOutputFormat,
             setPreset,
+            savePreset,
+            deletePreset,
+            importPresets,
             setTheme,
             addToHistory,
             clearHistory,
             setProcessing,
             updateProgress,
-            updateInputFormats
+            updateInputFormats,
+            clearStorage
         }
     };
 
     return (
         <ImageContext.Provider value={value}>
-            {children}
+            {state.storage.restored && children}
         </ImageContext.Provider>
     );
 }
@@ -0,0 +1,114 @@
+import { useState, useCallback, useEffect } from 'react';
+import { EDIT_KEYS, createDefaultEdits, getChangedKeys, pickEdits } from '../utils/editSettings';
+
+const MAX_ENTRIES = 100;
+
+// Slider drags and crop drags arrive as a stream of changes; steps with the same key
+// inside this window fold into one history entry
+const COALESCE_MS = 1000;
+
+// touched: the edit keys changed since the original (or the last reset), i.e. the ones saved
+const createEntry = (key, label, edits, touched, time = Date.now()) => ({ id: crypto.randomUUID(), key, label, edits, touched, time });
+
+const sameEdits = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The saved stack, or a fresh one; edits changed outside the editor (copied from
+// another file) are added as a step so the stack still ends at what the file uses
+function getInitialHistory(file) {
+    const original = createEntry('original', 'Original', createDefaultEdits(file), [], 0);
+    const history = file.editHistory || { entries: [original], index: 0 };
+    const current = history.entries[history.index];
+
+    if (!sameEdits(pickEdits(current.edits, current.touched), file.edits ?? null)) {
+        const edits = { ...createDefaultEdits(file), ...file.edits };
+        const external = createEntry('external', 'Applied edits', edits, Object.keys(file.edits ?? {}), 0);
+        const entries = [...history.entries.slice(0, history.index + 1), external];
+        return { entries, index: entries.length - 1 };
+    }
+    return history;
+}
+
+// Snapshot stack of the editor's edits: every change is a labelled step that can be
+// undone, redone or jumped back to; the source image itself is never touched
+export function useEditHistory(file) {
+    const [history, setHistory] = useState(() => getInitialHistory(file));
+
+    const apply = useCallback((key, label, update) => {
+        const now = Date.now();
+        setHistory(h => {
+            const current = h.entries[h.index];
+            const edits = update(current.edits);
+            if (sameEdits(edits, current.edits)) return h;
+            const changed = getChangedKeys(current.edits, edits);
+            const touched = EDIT_KEYS.filter(key => current.touched.includes(key) || changed.includes(key));
+
+            const isLatest = h.index === h.entries.length - 1;
+            if (isLatest && h.index > 0 && current.key === key && now - current.time < COALESCE_MS) {
+                const entries = [...h.entries];
+                entries[h.index] = { ...current, label, edits, touched, time: now };
+                return { entries, index: h.index };
+            }
+
+            const entries = [...h.entries.slice(0, h.index + 1), createEntry(key, label, edits, touched, now)].slice(-MAX_ENTRIES);
+            return { entries, index: entries.length - 1 };
+        });
+    }, []);
+
+    // Back to the original: nothing touched, so the global settings apply again
+    const reset = useCallback((defaults) => {
+        setHistory(h => {
+            const current = h.entries[h.index];
+            if (sameEdits(defaults, current.edits) && current.touched.length === 0) return h;
+            const entries = [...h.entries.slice(0, h.index + 1), createEntry('reset', 'Reset all', defaults, [])].slice(-MAX_ENTRIES);
+            return { entries, index: entries.length - 1 };
+        });
+    }, []);
+
+    const jumpTo = useCallback((index) => {
+        setHistory(h => index >= 0 && index < h.entries.length ? { ...h, index } : h);
+    }, []);
+
+    const undo = useCallback(() => {
+        setHistory(h => h.index > 0 ? { ...h, index: h.index - 1 } : h);
+    }, []);
+
+    const redo = useCallback(() => {
+        setHistory(h => h.index < h.entries.length - 1 ? { ...h, index: h.index + 1 } : h);
+    }, []);
+
+    // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) while the editor is open
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            // Text fields keep their own undo
+            const { tagName, isContentEditable } = e.target;
+            if (isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(tagName)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo]);
+
+    return {
+        edits: history.entries[history.index].edits,
+        touched: history.entries[history.index].touched,
+        entries: history.entries,
+        index: history.index,
+        history,
+        apply,
+        reset,
+        undo,
+        redo,
+        jumpTo,
+        canUndo: history.index > 0,
+        canRedo: history.index < history.entries.length - 1
+    };
+}
@@ -1,17 +1,60 @@
 import { useCallback, useRef, useEffect } from 'react';
 import { useImageContext } from '../context/ImageContext';
+import { BROWSER_ENCODER, getEncoderSettings, getProducedFormat, runConversionChain, runSingleEncode, runTargetSizeSearch } from '../utils/conversionChain';
+import { applyMetadata } from '../utils/metadata';
+import { getFileSettings } from '../utils/editSettings';
+import { createScorer } from '../utils/ssim';
+import { createDomCanvas, createRenderer, planOutput } from '../utils/pipeline';
+import { getSrcsetWidths, sortByFormat } from '../utils/srcset';
+import { encodeIconFile, isIconFormat } from '../utils/icons';
+import { getSpriteMapIssue } from '../utils/compositor';
+import { createWorkerPool, isWorkerPoolSupported } from '../workers/workerPool';
+
+// Workers can't decode SVG, so those are rasterized here and transferred as bitmaps
+const getWorkerSource = async (file) => {
+    if (file.originalFile?.type !== 'image/svg+xml') {
+        // TIFF/HEIC/RAW inputs were decoded on import
+        return { blob: file.decodedBlob || file.originalFile };
+    }
+
+    const img = new Image();
+    img.src = file.previewUrl;
+    await img.decode();
+    return { bitmap: await createImageBitmap(img) };
+};
+
+// Size after crop and rotation but before any resize, which srcset widths are measured against
+const getSourceSize = (file, settings) => planOutput({ ...settings, resize: null }, file.width, file.height);
+
+// Resize to an output width, given on the pre-rotation side that becomes the output width
+const getWidthResize = (width, rotate) => ({
+    enabled: true,
+    mode: 'dimensions',
+    lockAspect: true,
+    width: rotate === 90 || rotate === 270 ? null : width,
+    height: rotate === 90 || rotate === 270 ? width : null
+});
 
 export function useImageProcessor() {
     const { state, actions } = useImageContext();
     const processingRef = useRef(false);
     const settingsRef = useRef(state.settings);
+    const filesRef = useRef(state.files);
+    const poolRef = useRef(null);
+    const abortRef = useRef(null);
+    const pauseRef = useRef(null);
+    const pendingRef = useRef(new Set());
 
     // Keep settings ref always up to date
     useEffect(() => {
         settingsRef.current = state.settings;
     }, [state.settings]);
 
-    const processImage = useCallback(async (file, settings) => {
+    useEffect(() => {
+        filesRef.current = state.files;
+    }, [state.files]);
+
+    const processImage = useCallback(async (file, settings, { onProgress, signal } = {}) => {
         return new Promise((resolve, reject) => {
             const img = new Image();
             img.crossOrigin = 'anonymous';
@@ -22,143 +65,37 @@ export function useImageProcessor() {
                         outputFormat = 'webp',
                         quality = 80,
                         lossless = false,
-                        resize,
-                        rotate = 0,
-                        flip,
-                        filters
+                        preserveMetadata = false,
+                        metadataPrivacy,
+                        targetSize,
+                        targetBytes,
+                        exactOutput = false,
+                        minQualityScore = 0,
+                        fallbacks,
+                        icoOutput
                     } = settings;
 
-                    let width = img.width;
-                    let height = img.height;
-
-                    // Apply resize
-                    if (resize?.enabled) {
-                        if (resize.mode === 'percentage') {
-                            width = Math.round(width * (resize.percentage / 100));
-                            height = Math.round(height * (resize.percentage / 100));
-                        } else {
-                            const aspectRatio = img.width / img.height;
-                            if (resize.lockAspect) {
-                                if (resize.width) {
-                                    width = resize.width;
-                                    height = Math.round(resize.width / aspectRatio);
-                                } else if (resize.height) {
-                                    height = resize.height;
-                                    width = Math.round(resize.height * aspectRatio);
-                                }
-                            } else {
-                                width = resize.width || width;
-                                height = resize.height || height;
-                            }
-                        }
-                    }
-
-                    // Swap dimensions for 90/270 rotation
-                    const finalWidth = (rotate === 90 || rotate === 270) ? height : width;
-                    const finalHeight = (rotate === 90 || rotate === 270) ? width : height;
-
-                    const createCanvas = (w, h) => {
-                        const canvas = document.createElement('canvas');
-                        canvas.width = w;
-                        canvas.height = h;
-                        const ctx = canvas.getContext('2d');
-
-                        // Apply transforms
-                        ctx.save();
-                        ctx.translate(w / 2, h / 2);
-
-                        if (rotate) {
-                            ctx.rotate((rotate * Math.PI) / 180);
-                        }
-
-                        if (flip?.horizontal || flip?.vertical) {
-                            ctx.scale(flip.horizontal ? -1 : 1, flip.vertical ? -1 : 1);
-                        }
-
-                        // Draw image centered
-                        ctx.drawImage(img, -w / 2, -h / 2, w, h);
-                        ctx.restore();
-
-                        // Apply filters
-                        if (filters?.grayscale || filters?.brightness || filters?.contrast) {
-                            const imageData = ctx.getImageData(0, 0, w, h);
-                            const data = imageData.data;
-
-                            for (let i = 0; i < data.length; i += 4) {
-                                let r = data[i];
-                                let g = data[i + 1];
-                                let b = data[i + 2];
-
-                                if (filters.grayscale) {
-                                    const gray = 0.299 * r + 0.587 * g + 0.114 * b;
-                                    r = g = b = gray;
-                                }
-
-                                if (filters.brightness) {
-                                    const brightness = (filters.brightness / 100) * 255;
-                                    r += brightness;
-                                    g += brightness;
-                                    b += brightness;
-                                }
-
-                                if (filters.contrast) {
-                                    const factor = (259 * (filters.contrast + 255)) / (255 * (259 - filters.contrast));
-                                    r = factor * (r - 128) + 128;
-                                    g = factor * (g - 128) + 128;
-                                    b = factor * (b - 128) + 128;
-                                }
-
-                                data[i] = Math.max(0, Math.min(255, r));
-                                data[i + 1] = Math.max(0, Math.min(255, g));
-                                data[i + 2] = Math.max(0, Math.min(255, b));
-                            }
-
-                            ctx.putImageData(imageData, 0, 0);
-                        }
-
-                        return canvas;
-                    };
-
-                    // Size validation and fallback system
-                    const attemptConversion = async (format, qualityValue, canvasWidth, canvasHeight) => {
-                        let mimeType, finalQuality = qualityValue;
-
-                        switch (format) {
-                            case 'webp': 
-                                mimeType = 'image/webp';
-                                if (!lossless) {
-                                    finalQuality = Math.min(0.85, Math.max(0.5, qualityValue));
-                                } else {
-                                    finalQuality = 1;
-                                }
-                                break;
-                            case 'avif': 
-                                mimeType = 'image/avif';
-                                finalQuality = Math.min(0.4, Math.max(0.15, qualityValue));
-                                break;
-                            case 'jpeg': 
-                                mimeType = 'image/jpeg';
-                                finalQuality = Math.min(0.92, Math.max(0.6, qualityValue));
-                                break;
-                            case 'png': 
-                                mimeType = 'image/png'; 
-                                finalQuality = undefined;
-                                break;
-                        }
+                    const { width: finalWidth, height: finalHeight, render: createCanvas } = createRenderer(img, settings, createDomCanvas);
 
+                    const attemptConversion = async (format, qualityValue, canvasWidth, canvasHeight, encoderOptions) => {
+                        signal?.throwIfAborted();
+                        const { mimeType, quality: finalQuality } = getEncoderSettings(format, qualityValue, lossless, encoderOptions);
                         const canvas = createCanvas(canvasWidth, canvasHeight);
-                        
+
                         return new Promise((resolveConvert) => {
                             canvas.toBlob(
                                 (blob) => {
                                     if (blob) {
+                                        const producedFormat = getProducedFormat(format, blob);
                                         resolveConvert({
                                             convertedBlob: blob,
                                             convertedSize: blob.size,
                                             width: canvasWidth,
                                             height: canvasHeight,
-                                            format: format,
-                                            qualityUsed: finalQuality
+                                            format: producedFormat,
+                                            requestedFormat: producedFormat !== format ? format : null,
+                                            qualityUsed: finalQuality,
+                                            encoder: BROWSER_ENCODER
                                         });
                                     } else {
                                         resolveConvert(null);
@@ -170,173 +107,376 @@ export function useImageProcessor() {
                         });
                     };
 
-                    // Aggressive dimension optimization for AVIF
-                    let optimizedWidth = finalWidth;
-                    let optimizedHeight = finalHeight;
-                    
-                    if (outputFormat === 'avif') {
-                        const maxDimension = Math.max(finalWidth, finalHeight);
-                        if (maxDimension > 1024) {
-                            // More aggressive scaling for AVIF
-                            const scale = Math.max(0.4, 1024 / maxDimension);
-                            optimizedWidth = Math.round(finalWidth * scale);
-                            optimizedHeight = Math.round(finalHeight * scale);
-                        }
-                    }
-
-                    // Conversion attempt chain with fallbacks
-                    const originalSize = file.originalSize || file.size;
-                    let result = null;
-                    let attempts = [];
-
-                    // Primary format attempt
-                    result = await attemptConversion(outputFormat, quality / 100, optimizedWidth, optimizedHeight);
-                    attempts.push({ format: outputFormat, quality: quality / 100, result });
-
-                    if (result && result.convertedSize < originalSize) {
+                    if (isIconFormat(outputFormat)) {
+                        const result = await encodeIconFile(outputFormat, {
+                            width: finalWidth,
+                            height: finalHeight,
+                            options: icoOutput,
+                            render: createCanvas,
+                            toPng: (canvas) => new Promise((resolvePng, rejectPng) => canvas.toBlob(
+                                blob => blob ? resolvePng(blob) : rejectPng(new Error('Failed to create PNG entry')),
+                                'image/png'
+                            )),
+                            onProgress
+                        });
+                        if (file.animation) result.animationNote = `${outputFormat.toUpperCase()} can't be animated, first frame only`;
                         resolve(result);
                         return;
                     }
 
-                    // Fallback 1: Same format with lower quality
-                    if (outputFormat !== 'png') {
-                        const lowerQuality = Math.max(0.1, (quality / 100) * 0.5);
-                        result = await attemptConversion(outputFormat, lowerQuality, optimizedWidth, optimizedHeight);
-                        attempts.push({ format: outputFormat, quality: lowerQuality, result });
+                    // Outputs are scored against the full-size render before encoding
+                    const score = createScorer(createCanvas(finalWidth, finalHeight), createDomCanvas);
+
+                    const result = targetBytes
+                        ? await runTargetSizeSearch({
+                            outputFormat,
+                            lossless,
+                            width: finalWidth,
+                            height: finalHeight,
+                            targetBytes,
+                            allowResize: targetSize?.allowResize,
+                            attempt: attemptConversion,
+                            onProgress,
+                            score,
+                            minScore: minQualityScore
+                        })
+                        : exactOutput
+                            ? await runSingleEncode({ outputFormat, quality, width: finalWidth, height: finalHeight, attempt: attemptConversion, onProgress, score })
+                            : await runConversionChain({
+                                outputFormat,
+                                quality,
+                                width: finalWidth,
+                                height: finalHeight,
+                                originalSize: file.originalSize || file.size,
+                                attempt: attemptConversion,
+                                onProgress,
+                                score,
+                                minScore: minQualityScore,
+                                policy: fallbacks
+                            });
+
+                    if (preserveMetadata) {
+                        const { blob, status } = await applyMetadata(file.originalFile, result.convertedBlob, metadataPrivacy);
+                        result.convertedBlob = blob;
+                        result.convertedSize = blob.size;
+                        result.metadataStatus = status;
+                    }
 
-                        if (result && result.convertedSize < originalSize) {
-                            resolve(result);
-                            return;
-                        }
+                    // Frame-by-frame encoding only exists in the worker
+                    if (file.animation) {
+                        result.animationNote = 'Animation needs background workers, first frame only';
                     }
 
-                    // Fallback 2: Try WebP (usually best compression)
-                    if (outputFormat !== 'webp') {
-                        const webpQuality = Math.min(0.6, quality / 100);
-                        result = await attemptConversion('webp', webpQuality, optimizedWidth, optimizedHeight);
-                        attempts.push({ format: 'webp', quality: webpQuality, result });
+                    resolve(result);
+                } catch (error) {
+                    reject(error);
+                }
+            };
 
-                        if (result && result.convertedSize < originalSize) {
-                            resolve(result);
-                            return;
-                        }
-                    }
+            img.onerror = () => reject(new Error('Failed to load image'));
+            img.src = file.previewUrl;
+        });
+    }, []);
 
-                    // Fallback 3: WebP with very low quality
-                    result = await attemptConversion('webp', 0.3, optimizedWidth, optimizedHeight);
-                    attempts.push({ format: 'webp', quality: 0.3, result });
+    const getPool = useCallback(() => {
+        if (!poolRef.current && isWorkerPoolSupported()) {
+            poolRef.current = createWorkerPool();
+        }
+        return poolRef.current;
+    }, []);
 
-                    if (result && result.convertedSize < originalSize) {
-                        resolve(result);
-                        return;
-                    }
+    useEffect(() => () => {
+        poolRef.current?.terminate();
+        poolRef.current = null;
+    }, []);
 
-                    // Fallback 4: JPEG with maximum compression
-                    result = await attemptConversion('jpeg', 0.4, optimizedWidth, optimizedHeight);
-                    attempts.push({ format: 'jpeg', quality: 0.4, result });
+    // Convert in a worker when possible, otherwise on the main thread
+    const convertFile = useCallback(async (file, settings, { onProgress, signal } = {}) => {
+        const pool = getPool();
+        if (!pool) return processImage(file, settings, { onProgress, signal });
+
+        const source = await getWorkerSource(file);
+        return pool.run(
+            { id: file.id, originalSize: file.originalSize, animated: !!file.animation, ...source },
+            settings,
+            { onProgress, signal, transfer: source.bitmap ? [source.bitmap] : [] }
+        );
+    }, [getPool, processImage]);
+
+    // One batch run; processBatch makes sure only one runs at a time
+    const runBatch = useCallback(async (files) => {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        pauseRef.current = null;
+        actions.setProcessing({ isProcessing: true, isPaused: false, progress: 0, currentFile: null });
 
-                    if (result && result.convertedSize < originalSize) {
-                        resolve(result);
-                        return;
-                    }
+        // Get current settings at the time of processing
+        const currentSettings = settingsRef.current;
+        const concurrency = Math.min(getPool()?.size || 1, files.length);
+        const queue = [...files];
+        const fileProgress = new Map();
+        const running = [];
+
+        // A batch-total target covers every file in the list, not just this batch: files
+        // that keep their converted output use up their bytes, and the rest of the budget
+        // is shared out in proportion to original size among files still to convert
+        const { targetSize } = currentSettings;
+        const targetTotal = targetSize?.enabled ? targetSize.sizeKB * 1024 : 0;
+        const batchIds = new Set(files.map(f => f.id));
+        const others = filesRef.current.filter(f => !batchIds.has(f.id));
+        const usedBytes = others.reduce((sum, f) => sum + (f.isConverted ? f.convertedSize : 0), 0);
+        const originalTotal = [...files, ...others.filter(f => !f.isConverted)].reduce((sum, f) => sum + f.originalSize, 0);
+        const getTargetBytes = (file) => {
+            if (!targetTotal) return null;
+            if (targetSize.scope === 'total') {
+                return Math.max(1, Math.floor(Math.max(0, targetTotal - usedBytes) * (file.originalSize / originalTotal)));
+            }
+            return targetTotal;
+        };
+
+        const reportCurrentFile = () => {
+            actions.setProcessing({ currentFile: running[0]?.originalName || null });
+        };
+
+        const reportProgress = () => {
+            let total = 0;
+            fileProgress.forEach(value => { total += value; });
+            actions.updateProgress(total / files.length);
+        };
+
+        const convertNext = async () => {
+            while (queue.length > 0) {
+                // Paused batches let running conversions finish but start no new ones
+                if (pauseRef.current) await pauseRef.current.promise;
+                if (controller.signal.aborted) return;
+
+                const file = queue.shift();
+                running.push(file);
+                reportCurrentFile();
+                actions.updateFile(file.id, { isConverting: true, conversionProgress: 0 });
 
-                    // Fallback 5: Reduce dimensions significantly and try again
-                    const emergencyScale = 0.5;
-                    const emergencyWidth = Math.round(optimizedWidth * emergencyScale);
-                    const emergencyHeight = Math.round(optimizedHeight * emergencyScale);
-                    
-                    result = await attemptConversion('webp', 0.4, emergencyWidth, emergencyHeight);
-                    attempts.push({ format: 'webp', quality: 0.4, dimensions: `${emergencyWidth}x${emergencyHeight}`, result });
+                try {
+                    const fileSettings = { ...getFileSettings(currentSettings, file), targetBytes: getTargetBytes(file) };
+                    const result = await convertFile(file, fileSettings, {
+                        signal: controller.signal,
+                        onProgress: (progress) => {
+                            fileProgress.set(file.id, progress);
+                            actions.updateFile(file.id, { conversionProgress: progress });
+                            reportProgress();
+                        }
+                    });
 
-                    if (result && result.convertedSize < originalSize) {
-                        resolve(result);
-                        return;
+                    // Revoke old URL if exists
+                    if (file.webpUrl) {
+                        URL.revokeObjectURL(file.webpUrl);
                     }
 
-                    // If all attempts failed, return the smallest result we got
-                    const validResults = attempts.filter(a => a.result).map(a => a.result);
-                    if (validResults.length > 0) {
-                        const smallestResult = validResults.reduce((min, curr) => 
-                            curr.convertedSize < min.convertedSize ? curr : min
-                        );
-                        resolve(smallestResult);
+                    actions.updateFile(file.id, {
+                        convertedBlob: result.convertedBlob,
+                        convertedSize: result.convertedSize,
+                        convertedWidth: result.width,
+                        convertedHeight: result.height,
+                        outputFormat: result.format,
+                        qualityUsed: result.qualityUsed,
+                        encoder: result.encoder || null,
+                        requestedFormat: result.requestedFormat || null,
+                        adjustments: result.adjustments?.length ? result.adjustments : null,
+                        frameCount: result.frameCount || null,
+                        animationNote: result.animationNote || null,
+                        targetBytes: result.targetBytes || null,
+                        targetMet: result.targetBytes ? result.convertedSize <= result.targetBytes : null,
+                        score: result.score ?? null,
+                        scoreBelowFloor: !!(fileSettings.minQualityScore && result.score != null && result.score < fileSettings.minQualityScore),
+                        metadataStatus: result.metadataStatus || null,
+                        spriteMapIssue: file.spriteMap ? getSpriteMapIssue(fileSettings, file.spriteMap) : null,
+                        webpUrl: URL.createObjectURL(result.convertedBlob),
+                        isConverting: false,
+                        isConverted: true,
+                        addedToHistory: false, // Reset so it gets added to history again
+                        error: null
+                    });
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        // Cancelled files keep whatever result they had before
+                        actions.updateFile(file.id, { isConverting: false, conversionProgress: 0 });
                     } else {
-                        reject(new Error('Failed to create compressed image'));
+                        console.error('Conversion error:', error);
+                        actions.updateFile(file.id, {
+                            isConverting: false,
+                            error: error.message
+                        });
                     }
-
-                } catch (error) {
-                    reject(error);
                 }
-            };
 
-            img.onerror = () => reject(new Error('Failed to load image'));
-            img.src = file.previewUrl;
+                running.splice(running.indexOf(file), 1);
+                reportCurrentFile();
+
+                if (controller.signal.aborted) return;
+                fileProgress.set(file.id, 1);
+                reportProgress();
+            }
+        };
+
+        await Promise.all(Array.from({ length: concurrency }, convertNext));
+
+        if (abortRef.current === controller) abortRef.current = null;
+        pauseRef.current = null;
+        actions.setProcessing({
+            isProcessing: false,
+            isPaused: false,
+            currentFile: null,
+            progress: controller.signal.aborted ? 0 : 1
         });
-    }, []);
+    }, [actions, convertFile, getPool]);
 
     // Process batch of files - uses settingsRef to always get latest settings
+    // Files requested while a batch (or srcset run) is going are queued and converted
+    // when it ends, from their latest entries, so Pause/Cancel always reach the running batch
     const processBatch = useCallback(async (files) => {
-        if (processingRef.current || files.length === 0) return;
+        let batch = files;
+        if (processingRef.current) {
+            batch.forEach(file => pendingRef.current.add(file.id));
+            return;
+        }
 
         processingRef.current = true;
-        actions.setProcessing({ isProcessing: true, isPaused: false, progress: 0 });
+        while (batch.length > 0) {
+            await runBatch(batch);
+            const ids = pendingRef.current;
+            pendingRef.current = new Set();
+            batch = filesRef.current.filter(f => ids.has(f.id));
+        }
+        processingRef.current = false;
+    }, [runBatch]);
+
+    // Renders every file at each srcset width in each format, exactly as requested
+    // Resolves to [{ file, renditions, missingFormats }], or null when cancelled
+    const generateResponsiveSet = useCallback(async (files) => {
+        if (processingRef.current || files.length === 0) return null;
 
-        let processed = 0;
-        // Get current settings at the time of processing
         const currentSettings = settingsRef.current;
+        const { widths, formats } = currentSettings.srcset;
+        const results = files.map(file => ({ file, renditions: [], missingFormats: [] }));
+        const jobs = results.flatMap(entry => {
+            const fileSettings = getFileSettings(currentSettings, entry.file);
+            const source = getSourceSize(entry.file, fileSettings);
+            return getSrcsetWidths(widths, source.width).flatMap(width =>
+                sortByFormat(formats).map(format => ({ entry, width, format, fileSettings }))
+            );
+        });
+        if (jobs.length === 0) return results;
+
+        processingRef.current = true;
+        const controller = new AbortController();
+        abortRef.current = controller;
+        pauseRef.current = null;
+        actions.setProcessing({ isProcessing: true, isPaused: false, progress: 0, currentFile: null });
 
-        for (const file of files) {
-            actions.updateFile(file.id, { isConverting: true });
+        const queue = [...jobs];
+        let done = 0;
 
-            try {
-                const result = await processImage(file, currentSettings);
+        const renderNext = async () => {
+            while (queue.length > 0) {
+                if (pauseRef.current) await pauseRef.current.promise;
+                if (controller.signal.aborted) return;
 
-                // Revoke old URL if exists
-                if (file.webpUrl) {
-                    URL.revokeObjectURL(file.webpUrl);
+                const { entry, width, format, fileSettings } = queue.shift();
+                actions.setProcessing({ currentFile: `${entry.file.originalName} → ${width}w ${format.toUpperCase()}` });
+
+                try {
+                    const result = await convertFile(entry.file, {
+                        ...fileSettings,
+                        outputFormat: format,
+                        resize: getWidthResize(width, fileSettings.rotate),
+                        targetBytes: null,
+                        exactOutput: true
+                    }, { signal: controller.signal });
+
+                    // A browser that can't encode the format hands back PNG, which would break the <source> type
+                    if (result.requestedFormat) {
+                        if (!entry.missingFormats.includes(format)) entry.missingFormats.push(format);
+                    } else {
+                        entry.renditions.push({
+                            format,
+                            width: result.width,
+                            height: result.height,
+                            size: result.convertedSize,
+                            blob: result.convertedBlob
+                        });
+                    }
+                } catch (error) {
+                    if (error.name === 'AbortError') return;
+                    console.error('Srcset rendition error:', error);
+                    if (!entry.missingFormats.includes(format)) entry.missingFormats.push(format);
                 }
 
-                actions.updateFile(file.id, {
-                    convertedBlob: result.convertedBlob,
-                    convertedSize: result.convertedSize,
-                    convertedWidth: result.width,
-                    convertedHeight: result.height,
-                    outputFormat: result.format,
-                    webpUrl: URL.createObjectURL(result.convertedBlob),
-                    isConverting: false,
-                    isConverted: true,
-                    addedToHistory: false, // Reset so it gets added to history again
-                    error: null
-                });
-            } catch (error) {
-                console.error('Conversion error:', error);
-                actions.updateFile(file.id, {
-                    isConverting: false,
-                    error: error.message
-                });
+                actions.updateProgress(++done / jobs.length);
             }
+        };
 
-            processed++;
-            actions.updateProgress(processed / files.length);
-        }
+        const concurrency = Math.min(getPool()?.size || 1, jobs.length);
+        await Promise.all(Array.from({ length: concurrency }, renderNext));
 
-        actions.setProcessing({ isProcessing: false, progress: 1 });
+        if (abortRef.current === controller) abortRef.current = null;
+        pauseRef.current = null;
+        actions.setProcessing({ isProcessing: false, isPaused: false, currentFile: null, progress: controller.signal.aborted ? 0 : 1 });
         processingRef.current = false;
-    }, [actions, processImage]);
 
-    // Reconvert all files with current settings
+        // Conversions requested during the run
+        const pending = filesRef.current.filter(f => pendingRef.current.has(f.id));
+        pendingRef.current = new Set();
+        if (pending.length > 0) processBatch(pending);
+
+        return controller.signal.aborted ? null : results;
+    }, [actions, convertFile, getPool, processBatch]);
+
+    const pauseBatch = useCallback(() => {
+        if (!processingRef.current || pauseRef.current) return;
+        let resume;
+        const promise = new Promise(resolve => { resume = resolve; });
+        pauseRef.current = { promise, resume };
+        actions.setProcessing({ isPaused: true });
+    }, [actions]);
+
+    const resumeBatch = useCallback(() => {
+        if (!pauseRef.current) return;
+        pauseRef.current.resume();
+        pauseRef.current = null;
+        actions.setProcessing({ isPaused: false });
+    }, [actions]);
+
+    // Aborts running conversions and drops the rest of the queue
+    const cancelBatch = useCallback(() => {
+        if (!abortRef.current) return;
+        pendingRef.current = new Set();
+        abortRef.current.abort();
+        pauseRef.current?.resume();
+    }, []);
+
+    // Reconvert all files with current settings; a running batch is stale, so it's
+    // cancelled and everything is converted again once it has settled
     const reconvertAll = useCallback(() => {
-        const filesToConvert = state.files.filter(f => !f.isConverting);
-        if (filesToConvert.length > 0) {
-            processingRef.current = false; // Reset processing flag to allow reconversion
-            processBatch(filesToConvert);
-        }
-    }, [state.files, processBatch]);
+        const filesToConvert = filesRef.current;
+        if (filesToConvert.length === 0) return;
+        if (processingRef.current) cancelBatch();
+        processBatch(filesToConvert);
+    }, [processBatch, cancelBatch]);
+
+    // Reconvert specific files, reading the latest file entries (e.g. fresh edits)
+    const reconvertFiles = useCallback((ids) => {
+        const filesToConvert = filesRef.current.filter(f => ids.includes(f.id));
+        if (filesToConvert.length > 0) processBatch(filesToConvert);
+    }, [processBatch]);
 
     return {
         processImage,
         processBatch,
         reconvertAll,
+        reconvertFiles,
+        generateResponsiveSet,
+        pauseBatch,
+        resumeBatch,
+        cancelBatch,
         isProcessing: state.processing.isProcessing,
         isPaused: state.processing.isPaused,
         progress: state.processing.progress
@@ -0,0 +1,134 @@
+import { useEffect, useRef, useCallback } from 'react';
+import {
+    BLOB_FIELDS,
+    isStorageSupported,
+    toRecord,
+    loadQueue,
+    saveQueue,
+    saveSettings,
+    clearStorage,
+    getStorageEstimate
+} from '../utils/storage';
+
+const SAVE_DELAY = 500;
+
+const getSaveError = (error) => error?.name === 'QuotaExceededError'
+    ? 'Storage is full, new changes are not being saved'
+    : 'Could not save to storage';
+
+// Mirrors files and settings into IndexedDB and restores them once on startup
+export function usePersistence(state, { onRestore, onStatus }) {
+    // id -> { file, order, blobs } as last written, so only changes are saved
+    const savedRef = useRef(new Map());
+    const { files, settings } = state;
+    const restored = state.storage.restored;
+
+    const refreshEstimate = useCallback(async (error = null) => {
+        const estimate = await getStorageEstimate().catch(() => ({ usage: null, quota: null }));
+        onStatus({ ...estimate, error });
+    }, [onStatus]);
+
+    useEffect(() => {
+        if (!isStorageSupported()) {
+            onRestore({ files: [], settings: null });
+            return;
+        }
+
+        let cancelled = false;
+        // Ask the browser not to evict the queue under storage pressure
+        navigator.storage?.persist?.().catch(() => {});
+
+        loadQueue()
+            .then(({ files: storedFiles, settings: storedSettings }) => {
+                if (cancelled) return;
+                const restoredFiles = storedFiles.map(file => ({
+                    ...file,
+                    previewUrl: URL.createObjectURL(file.decodedBlob || file.originalFile),
+                    webpUrl: file.convertedBlob ? URL.createObjectURL(file.convertedBlob) : null,
+                    isConverting: false
+                }));
+
+                restoredFiles.forEach((file, order) => {
+                    savedRef.current.set(file.id, {
+                        file,
+                        order,
+                        blobs: Object.fromEntries(BLOB_FIELDS.map(field => [field, file[field]]))
+                    });
+                });
+
+                onRestore({ files: restoredFiles, settings: storedSettings });
+                refreshEstimate();
+            })
+            .catch(error => {
+                console.error('Failed to restore saved files:', error);
+                if (!cancelled) onRestore({ files: [], settings: null, error: 'Saved files could not be restored' });
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [onRestore, refreshEstimate]);
+
+    // Files: write what changed since the last save, debounced
+    useEffect(() => {
+        if (!restored || !isStorageSupported()) return;
+
+        const timer = setTimeout(async () => {
+            const saved = savedRef.current;
+            const records = [];
+            const blobs = [];
+            const currentIds = new Set(files.map(file => file.id));
+            const removedIds = [...saved.keys()].filter(id => !currentIds.has(id));
+
+            files.forEach((file, order) => {
+                const previous = saved.get(file.id);
+                // Progress updates mid-conversion are saved once the file settles
+                if (file.isConverting || (previous?.file === file && previous.order === order)) return;
+
+                const fileBlobs = Object.fromEntries(BLOB_FIELDS.map(field => [field, file[field] || null]));
+                records.push(toRecord(file, order));
+                BLOB_FIELDS.forEach(field => {
+                    if (previous?.blobs[field] !== fileBlobs[field]) blobs.push([`${file.id}:${field}`, fileBlobs[field]]);
+                });
+                saved.set(file.id, { file, order, blobs: fileBlobs });
+            });
+            removedIds.forEach(id => saved.delete(id));
+
+            if (records.length === 0 && removedIds.length === 0) return;
+
+            try {
+                await saveQueue({ records, blobs, removedIds });
+                refreshEstimate();
+            } catch (error) {
+                console.error('Failed to save files:', error);
+                // Forget what failed so the next change retries it
+                records.forEach(record => saved.delete(record.id));
+                refreshEstimate(getSaveError(error));
+            }
+        }, SAVE_DELAY);
+
+        return () => clearTimeout(timer);
+    }, [files, restored, refreshEstimate]);
+
+    useEffect(() => {
+        if (!restored || !isStorageSupported()) return;
+
+        const timer = setTimeout(() => {
+            saveSettings(settings).catch(error => {
+                console.error('Failed to save settings:', error);
+                refreshEstimate(getSaveError(error));
+            });
+        }, SAVE_DELAY);
+
+        return () => clearTimeout(timer);
+    }, [settings, restored, refreshEstimate]);
+
+    const clear = useCallback(async () => {
+        if (!isStorageSupported()) return;
+        savedRef.current.clear();
+        await clearStorage();
+        refreshEstimate();
+    }, [refreshEstimate]);
+
+    return { clear };
+}
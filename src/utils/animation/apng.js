@@ -0,0 +1,120 @@
+// Assembles separately encoded PNG frames into one APNG
+import { concat, deflate, pngChunk, readPngChunks } from '../binary';
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// Ancillary chunks from the first frame that apply to the whole animation
+const SHARED_CHUNKS = ['PLTE', 'tRNS', 'gAMA', 'cHRM', 'sRGB', 'iCCP'];
+
+const uint32 = (...values) => {
+    const out = new Uint8Array(values.length * 4);
+    const view = new DataView(out.buffer);
+    values.forEach((value, i) => view.setUint32(i * 4, value));
+    return out;
+};
+
+function frameControl(sequence, width, height, duration) {
+    const data = new Uint8Array(26);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, sequence);
+    view.setUint32(4, width);
+    view.setUint32(8, height);
+    // x/y offsets stay 0: every frame covers the full canvas
+    view.setUint16(20, Math.min(0xFFFF, Math.max(1, Math.round(duration))));
+    view.setUint16(22, 1000);
+    // dispose_op NONE, blend_op SOURCE
+    return pngChunk('fcTL', data);
+}
+
+const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+// One scanline under each PNG filter type; the one with the smallest absolute sum wins
+function filterRow(data, rowStart, rowBytes, prevStart) {
+    let best = null;
+    let bestScore = Infinity;
+
+    for (let type = 0; type <= 4; type++) {
+        const out = new Uint8Array(rowBytes + 1);
+        out[0] = type;
+        let score = 0;
+        for (let i = 0; i < rowBytes; i++) {
+            const x = data[rowStart + i];
+            const a = i >= 4 ? data[rowStart + i - 4] : 0;
+            const b = prevStart >= 0 ? data[prevStart + i] : 0;
+            const c = i >= 4 && prevStart >= 0 ? data[prevStart + i - 4] : 0;
+            const predicted = type === 0 ? 0 : type === 1 ? a : type === 2 ? b : type === 3 ? (a + b) >> 1 : paeth(a, b, c);
+            const value = (x - predicted) & 0xFF;
+            out[i + 1] = value;
+            score += value < 128 ? value : 256 - value;
+        }
+        if (score < bestScore) {
+            best = out;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+// Canvas encoders pick bit depth and colour type per image, but every APNG frame must share
+// the first frame's layout, so frames are written here as 8-bit RGBA from their pixels
+export async function encodeRgbaPng({ data, width, height }) {
+    const rowBytes = width * 4;
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        rows.push(filterRow(data, y * rowBytes, rowBytes, y > 0 ? (y - 1) * rowBytes : -1));
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8; // bit depth
+    header[9] = 6; // colour type RGBA
+
+    return concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', await deflate(concat(rows))),
+        pngChunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+// frames: [{ bytes, duration }] with identical IHDR (see encodeRgbaPng); loopCount 0 = forever
+export function writeApng(frames, { width, height, loopCount = 0 }) {
+    const parsed = frames.map(frame => readPngChunks(frame.bytes));
+    const header = parsed[0].find(chunk => chunk.type === 'IHDR');
+    const headerKey = header.data.join();
+
+    // Canvas encoders pick bit depth and colour type per image; APNG needs one layout
+    if (parsed.some(chunks => chunks.find(chunk => chunk.type === 'IHDR').data.join() !== headerKey)) {
+        throw new Error('Frames were encoded with different PNG layouts');
+    }
+
+    const out = [
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header.data),
+        pngChunk('acTL', uint32(frames.length, loopCount)),
+        ...parsed[0].filter(chunk => SHARED_CHUNKS.includes(chunk.type)).map(chunk => pngChunk(chunk.type, chunk.data))
+    ];
+
+    let sequence = 0;
+    parsed.forEach((chunks, i) => {
+        out.push(frameControl(sequence++, width, height, frames[i].duration));
+        for (const chunk of chunks.filter(chunk => chunk.type === 'IDAT')) {
+            // The first frame doubles as the default image; later ones go in fdAT
+            out.push(i === 0
+                ? pngChunk('IDAT', chunk.data)
+                : pngChunk('fdAT', concat([uint32(sequence++), chunk.data])));
+        }
+    });
+
+    out.push(pngChunk('IEND', new Uint8Array(0)));
+    return concat(out);
+}
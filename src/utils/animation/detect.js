@@ -0,0 +1,67 @@
+// Cheap header scan on import: is this GIF, WebP or PNG animated, and how many frames?
+import { ascii, readPngChunks, readRiffChunks } from '../binary';
+
+function countGifFrames(bytes) {
+    let offset = 13;
+    // Global colour table
+    if (bytes[10] & 0x80) offset += 3 * (2 << (bytes[10] & 0x07));
+
+    const skipSubBlocks = () => {
+        while (offset < bytes.length && bytes[offset] !== 0) offset += bytes[offset] + 1;
+        offset++;
+    };
+
+    let frames = 0;
+    while (offset < bytes.length) {
+        const block = bytes[offset];
+        if (block === 0x21) {
+            offset += 2;
+            skipSubBlocks();
+        } else if (block === 0x2C) {
+            frames++;
+            const packed = bytes[offset + 9];
+            offset += 10;
+            if (packed & 0x80) offset += 3 * (2 << (packed & 0x07));
+            offset++; // LZW minimum code size
+            skipSubBlocks();
+        } else {
+            break; // Trailer (0x3B) or corrupt data
+        }
+    }
+    return frames;
+}
+
+function countPngFrames(bytes) {
+    for (const chunk of readPngChunks(bytes)) {
+        // acTL has to come before the first IDAT to count
+        if (chunk.type === 'acTL') return new DataView(chunk.data.buffer, chunk.data.byteOffset).getUint32(0);
+        if (chunk.type === 'IDAT') return 1;
+    }
+    return 1;
+}
+
+function countWebpFrames(bytes) {
+    const chunks = readRiffChunks(bytes);
+    const vp8x = chunks.find(chunk => chunk.fourCC === 'VP8X');
+    if (!vp8x || !(vp8x.data[0] & 0x02)) return 1;
+    return chunks.filter(chunk => chunk.fourCC === 'ANMF').length;
+}
+
+// { format, frameCount } for animated files, null for stills and other formats
+export function detectAnimation(bytes) {
+    let format = null;
+    let frameCount = 1;
+
+    if (ascii(bytes, 0, 4) === 'GIF8') {
+        format = 'gif';
+        frameCount = countGifFrames(bytes);
+    } else if (bytes[0] === 0x89 && ascii(bytes, 1, 3) === 'PNG') {
+        format = 'png';
+        frameCount = countPngFrames(bytes);
+    } else if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') {
+        format = 'webp';
+        frameCount = countWebpFrames(bytes);
+    }
+
+    return format && frameCount > 1 ? { format, frameCount } : null;
+}
@@ -0,0 +1,47 @@
+// Frame-by-frame decoding through WebCodecs' ImageDecoder (composited frames with timing)
+
+const DEFAULT_FRAME_DURATION = 100;
+
+export function canDecodeFrames() {
+    return typeof ImageDecoder !== 'undefined';
+}
+
+// Calls onFrame(frame, { index, total, duration }) for each frame in order; frames are closed afterwards
+// Resolves to the track's loop count (Infinity = forever)
+export async function forEachFrame(blob, onFrame) {
+    const decoder = new ImageDecoder({ data: await blob.arrayBuffer(), type: blob.type });
+
+    try {
+        await decoder.completed;
+        const track = decoder.tracks.selectedTrack;
+        const total = track.frameCount;
+
+        for (let index = 0; index < total; index++) {
+            const { image } = await decoder.decode({ frameIndex: index });
+            try {
+                // VideoFrame durations are in microseconds
+                const duration = image.duration ? image.duration / 1000 : DEFAULT_FRAME_DURATION;
+                await onFrame(image, { index, total, duration });
+            } finally {
+                image.close();
+            }
+        }
+
+        return { frameCount: total, loopCount: track.repetitionCount };
+    } finally {
+        decoder.close();
+    }
+}
+
+// Every frame as a PNG blob, for the "extract frames" download
+export async function extractFrames(blob) {
+    const frames = [];
+
+    await forEachFrame(blob, async (frame, { duration }) => {
+        const canvas = new OffscreenCanvas(frame.displayWidth, frame.displayHeight);
+        canvas.getContext('2d').drawImage(frame, 0, 0);
+        frames.push({ blob: await canvas.convertToBlob({ type: 'image/png' }), duration });
+    });
+
+    return frames;
+}
@@ -0,0 +1,37 @@
+// Animated GIF/WebP/APNG inputs: detection on import, frame decoding and animated output writers
+import { writeApng } from './apng';
+import { writeAnimatedWebp } from './webp';
+import { canDecodeFrames } from './frames';
+
+export { detectAnimation } from './detect';
+export { encodeRgbaPng } from './apng';
+export { canDecodeFrames, extractFrames, forEachFrame } from './frames';
+
+// Output formats that can carry the animation. AVIF image sequences aren't written, so
+// animated inputs can't pick AVIF while animation is kept (see CompressionSettings)
+export const ANIMATED_OUTPUTS = {
+    webp: 'webp',
+    png: 'png'
+};
+
+export const canAnimate = (outputFormat) => outputFormat in ANIMATED_OUTPUTS;
+
+// ImageDecoder reports Infinity for "forever"; both containers use 0 for that
+export const toLoopCount = (repetitionCount) =>
+    Number.isFinite(repetitionCount) ? Math.min(0xFFFF, repetitionCount + 1) : 0;
+
+export function writeAnimation(format, frames, options) {
+    const bytes = format === 'png' ? writeApng(frames, options) : writeAnimatedWebp(frames, options);
+    return new Blob([bytes], { type: `image/${format}` });
+}
+
+// Output format for an animated input, or a note on why only the first frame is kept
+export function planAnimation(outputFormat, preserveAnimation) {
+    if (!preserveAnimation) return { format: null, note: 'Animation turned off, first frame only' };
+    if (!canDecodeFrames()) return { format: null, note: "This browser can't decode animation frames, first frame only" };
+
+    const format = ANIMATED_OUTPUTS[outputFormat];
+    if (!format) return { format: null, note: `${outputFormat.toUpperCase()} can't be animated, first frame only` };
+
+    return { format, note: null };
+}
@@ -0,0 +1,36 @@
+// Assembles separately encoded WebP frames into one animated WebP
+import { concat, readRiffChunks, riffChunk, riffFile, uint24 } from '../binary';
+
+// Bitstream chunks of a still WebP (ALPH + VP8, or VP8L)
+const FRAME_CHUNKS = ['ALPH', 'VP8 ', 'VP8L'];
+
+// frames: [{ bytes, duration }]; loopCount 0 = forever
+export function writeAnimatedWebp(frames, { width, height, loopCount = 0 }) {
+    let alpha = false;
+
+    const anmf = frames.map(frame => {
+        const chunks = readRiffChunks(frame.bytes).filter(chunk => FRAME_CHUNKS.includes(chunk.fourCC));
+        if (chunks.some(chunk => chunk.fourCC !== 'VP8 ')) alpha = true;
+
+        const header = new Uint8Array(16);
+        // Offsets stay 0: every frame covers the full canvas
+        header.set(uint24(width - 1), 6);
+        header.set(uint24(height - 1), 9);
+        header.set(uint24(Math.max(1, Math.round(frame.duration))), 12);
+        // Don't blend with the previous frame, no disposal
+        header[15] = 0x02;
+
+        return riffChunk('ANMF', concat([header, ...chunks.map(chunk => riffChunk(chunk.fourCC, chunk.data))]));
+    });
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = 0x02 | (alpha ? 0x10 : 0);
+    vp8x.set(uint24(width - 1), 4);
+    vp8x.set(uint24(height - 1), 7);
+
+    // Transparent background, then the loop count
+    const anim = new Uint8Array(6);
+    new DataView(anim.buffer).setUint16(4, loopCount, true);
+
+    return riffFile('WEBP', [riffChunk('VP8X', vp8x), riffChunk('ANIM', anim), ...anmf]);
+}
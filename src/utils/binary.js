@@ -0,0 +1,100 @@
+// Byte helpers shared by the container writers (metadata, animation, icons, PDF)
+
+const encoder = new TextEncoder();
+
+export const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+export const concat = (parts) => {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+};
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// zlib-wrapped deflate, as PNG IDAT/iCCP/zTXt and PDF FlateDecode expect
+export async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export function pngChunk(type, data) {
+    const typeAndData = concat([encoder.encode(type), data]);
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    out.set(typeAndData, 4);
+    view.setUint32(8 + data.length, crc32(typeAndData));
+    return out;
+}
+
+// Chunks after the 8-byte signature, as { type, data } views into bytes
+export function readPngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        chunks.push({ type: ascii(bytes, offset + 4, 4), data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+    }
+
+    return chunks;
+}
+
+export function riffChunk(fourCC, data) {
+    const header = new Uint8Array(8);
+    header.set(encoder.encode(fourCC));
+    new DataView(header.buffer).setUint32(4, data.length, true);
+    return data.length & 1 ? concat([header, data, new Uint8Array(1)]) : concat([header, data]);
+}
+
+// Chunks after the 12-byte RIFF/WEBP header, as { fourCC, data } views into bytes
+export function readRiffChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({ fourCC: ascii(bytes, offset, 4), data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size & 1);
+    }
+
+    return chunks;
+}
+
+export function riffFile(formType, chunks) {
+    const body = concat([encoder.encode(formType), ...chunks]);
+    const header = new Uint8Array(8);
+    header.set(encoder.encode('RIFF'));
+    new DataView(header.buffer).setUint32(4, body.length, true);
+    return concat([header, body]);
+}
+
+// Little-endian 24-bit field, as used by WebP headers
+export const uint24 = (value) => new Uint8Array([value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF]);
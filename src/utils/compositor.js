@@ -0,0 +1,214 @@
+// Sprite / contact sheet compositor: lays converted images out on one canvas and
+// describes where each one landed, for CSS sprites and JSON atlases
+
+import { normalizeCrop } from './crop';
+
+// Browsers refuse canvases much past this on a side
+const MAX_SHEET_EDGE = 16384;
+const CAPTION_FONT_SIZE = 12;
+const CAPTION_HEIGHT = CAPTION_FONT_SIZE + 6;
+
+// Each image keeps its own size unless a cell size caps its longest edge
+const fitInto = (width, height, cellSize) => {
+    if (!cellSize) return { width, height };
+    const scale = Math.min(1, cellSize / Math.max(width, height));
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+// Uniform cells sized to the largest image, images centered in their cell
+function layoutGrid(items, { columns, padding, captionHeight }) {
+    const cols = columns || Math.ceil(Math.sqrt(items.length));
+    const cellWidth = Math.max(...items.map(item => item.width));
+    const cellHeight = Math.max(...items.map(item => item.height));
+
+    const placements = items.map((item, i) => {
+        const left = padding + (i % cols) * (cellWidth + padding);
+        const top = padding + Math.floor(i / cols) * (cellHeight + captionHeight + padding);
+        return {
+            ...item,
+            x: left + Math.floor((cellWidth - item.width) / 2),
+            y: top + Math.floor((cellHeight - item.height) / 2),
+            captionBox: { x: left, y: top + cellHeight, width: cellWidth }
+        };
+    });
+
+    const rows = Math.ceil(items.length / cols);
+    return {
+        width: padding + Math.min(cols, items.length) * (cellWidth + padding),
+        height: padding + rows * (cellHeight + captionHeight + padding),
+        placements
+    };
+}
+
+// Shelf packing: tallest first, rows filled up to roughly a square sheet
+function layoutPacked(items, { padding, captionHeight }) {
+    const sorted = [...items].sort((a, b) => b.height - a.height);
+    const area = items.reduce((sum, item) => sum + (item.width + padding) * (item.height + captionHeight + padding), 0);
+    const rowWidth = Math.max(Math.max(...items.map(item => item.width)) + padding, Math.ceil(Math.sqrt(area)));
+
+    const placements = [];
+    let x = padding;
+    let y = padding;
+    let shelfHeight = 0;
+    let width = 0;
+
+    for (const item of sorted) {
+        if (x > padding && x + item.width > rowWidth) {
+            x = padding;
+            y += shelfHeight + captionHeight + padding;
+            shelfHeight = 0;
+        }
+        placements.push({ ...item, x, y, captionBox: { x, y: y + item.height, width: item.width } });
+        x += item.width + padding;
+        width = Math.max(width, x);
+        shelfHeight = Math.max(shelfHeight, item.height);
+    }
+
+    // Sprite maps list images in their original order, not packing order
+    placements.sort((a, b) => a.index - b.index);
+    return { width, height: y + shelfHeight + captionHeight + padding, placements };
+}
+
+const isDarkColor = (hex) => {
+    const value = parseInt(hex.slice(1), 16);
+    return 0.299 * (value >> 16) + 0.587 * ((value >> 8) & 0xFF) + 0.114 * (value & 0xFF) < 128;
+};
+
+function drawCaption(ctx, text, box, color) {
+    ctx.fillStyle = color;
+    let caption = text;
+    while (caption.length > 1 && ctx.measureText(caption).width > box.width) caption = caption.slice(0, -1);
+    if (caption !== text) caption = `${caption.slice(0, -1)}…`;
+    ctx.fillText(caption, box.x + box.width / 2, box.y + CAPTION_HEIGHT / 2);
+}
+
+// items: [{ blob, name }] in list order
+// options: { layout: 'grid' | 'packed', columns (0 = auto), cellSize (0 = native), padding, background, transparent, captions }
+// Resolves to { blob (PNG), width, height, map: [{ name, x, y, width, height }] }
+export async function composeSheet(items, options) {
+    const { layout = 'grid', columns = 0, cellSize = 0, padding = 0, background = '#ffffff', transparent = false, captions = false } = options;
+    const bitmaps = await Promise.all(items.map(item => createImageBitmap(item.blob)));
+    const sized = bitmaps.map((bitmap, index) => ({
+        index,
+        name: items[index].name,
+        bitmap,
+        ...fitInto(bitmap.width, bitmap.height, cellSize)
+    }));
+
+    const captionHeight = captions ? CAPTION_HEIGHT : 0;
+    const sheet = layout === 'packed'
+        ? layoutPacked(sized, { padding, captionHeight })
+        : layoutGrid(sized, { columns, padding, captionHeight });
+
+    if (sheet.width > MAX_SHEET_EDGE || sheet.height > MAX_SHEET_EDGE) {
+        bitmaps.forEach(bitmap => bitmap.close());
+        throw new Error(`Sheet would be ${sheet.width}×${sheet.height} px, too large for a canvas. Set a smaller cell size.`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = sheet.width;
+    canvas.height = sheet.height;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+
+    if (!transparent) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, sheet.width, sheet.height);
+    }
+
+    ctx.font = `${CAPTION_FONT_SIZE}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const captionColor = !transparent && isDarkColor(background) ? '#ffffff' : '#000000';
+
+    for (const placement of sheet.placements) {
+        ctx.drawImage(placement.bitmap, placement.x, placement.y, placement.width, placement.height);
+        if (captions) drawCaption(ctx, placement.name, placement.captionBox, captionColor);
+    }
+    bitmaps.forEach(bitmap => bitmap.close());
+
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => result ? resolve(result) : reject(new Error('Failed to render sheet')), 'image/png');
+    });
+
+    return {
+        blob,
+        width: sheet.width,
+        height: sheet.height,
+        map: sheet.placements.map(({ name, x, y, width, height }) => ({ name, x, y, width, height }))
+    };
+}
+
+// Why the map no longer matches the converted sheet, or null. Only plain resizes keep
+// it valid; crop, turns, flips and fill / contain move the images on the sheet
+export function getSpriteMapIssue(settings, spriteMap) {
+    if (normalizeCrop(settings.crop, spriteMap.width, spriteMap.height)) return 'Sheet is cropped';
+    if (settings.rotate || settings.flip?.horizontal || settings.flip?.vertical) return 'Sheet is rotated or flipped';
+    if (settings.resize?.enabled && ['fill', 'contain'].includes(settings.resize.mode)) {
+        return `Sheet is ${settings.resize.mode === 'fill' ? 'cropped' : 'padded'} by the resize`;
+    }
+    return null;
+}
+
+// Scales the map to the converted sheet, whose resize may not have kept the aspect ratio
+const scaleMap = (spriteMap, outputWidth, outputHeight) => {
+    const scaleX = outputWidth ? outputWidth / spriteMap.width : 1;
+    const scaleY = outputHeight ? outputHeight / spriteMap.height : 1;
+    return spriteMap.map.map(item => ({
+        ...item,
+        x: Math.round(item.x * scaleX),
+        y: Math.round(item.y * scaleY),
+        width: Math.round(item.width * scaleX),
+        height: Math.round(item.height * scaleY)
+    }));
+};
+
+const toClassName = (name) => name
+    .replace(/\.[^/.]+$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'image';
+
+const toOffset = (value) => value ? `-${value}px` : '0';
+
+// spriteMap: { width, height, map } as stored on the sheet's file entry
+export function buildSpriteCss(spriteMap, { imageUrl, outputWidth, outputHeight }) {
+    const used = new Set();
+    const rules = scaleMap(spriteMap, outputWidth, outputHeight).map(item => {
+        let className = `sprite-${toClassName(item.name)}`;
+        for (let n = 2; used.has(className); n++) className = `sprite-${toClassName(item.name)}-${n}`;
+        used.add(className);
+        return `.${className} {\n    width: ${item.width}px;\n    height: ${item.height}px;\n    background-position: ${toOffset(item.x)} ${toOffset(item.y)};\n}`;
+    });
+
+    return [
+        `.sprite {\n    display: inline-block;\n    background-image: url("${imageUrl}");\n    background-repeat: no-repeat;\n` +
+        `    background-size: ${outputWidth || spriteMap.width}px ${outputHeight || spriteMap.height}px;\n}`,
+        ...rules
+    ].join('\n\n') + '\n';
+}
+
+// TexturePacker-style "hash" atlas, read by most game and animation tools
+export function buildSpriteJson(spriteMap, { imageUrl, outputWidth, outputHeight }) {
+    const frames = {};
+    scaleMap(spriteMap, outputWidth, outputHeight).forEach(item => {
+        let key = item.name;
+        for (let n = 2; key in frames; n++) key = `${item.name} (${n})`;
+        frames[key] = {
+            frame: { x: item.x, y: item.y, w: item.width, h: item.height },
+            rotated: false,
+            trimmed: false,
+            sourceSize: { w: item.width, h: item.height }
+        };
+    });
+
+    return {
+        frames,
+        meta: {
+            app: 'comprangel',
+            image: imageUrl,
+            size: { w: outputWidth || spriteMap.width, h: outputHeight || spriteMap.height },
+            scale: '1'
+        }
+    };
+}
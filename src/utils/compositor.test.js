@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { buildSpriteCss, buildSpriteJson, getSpriteMapIssue } from './compositor';
+
+const spriteMap = {
+    width: 200,
+    height: 100,
+    map: [
+        { name: 'a.png', x: 0, y: 0, width: 100, height: 100 },
+        { name: 'b.png', x: 100, y: 40, width: 100, height: 60 }
+    ]
+};
+
+describe('sprite maps', () => {
+    it('keeps the coordinates when the sheet was not resized', () => {
+        const { frames, meta } = buildSpriteJson(spriteMap, { imageUrl: 'sheet.png', outputWidth: 200, outputHeight: 100 });
+        expect(frames['b.png'].frame).toEqual({ x: 100, y: 40, w: 100, h: 60 });
+        expect(meta.size).toEqual({ w: 200, h: 100 });
+    });
+
+    it('scales x and width by the width ratio, y and height by the height ratio', () => {
+        const { frames } = buildSpriteJson(spriteMap, { imageUrl: 'sheet.png', outputWidth: 100, outputHeight: 25 });
+        expect(frames['a.png'].frame).toEqual({ x: 0, y: 0, w: 50, h: 25 });
+        expect(frames['b.png'].frame).toEqual({ x: 50, y: 10, w: 50, h: 15 });
+    });
+
+    it('writes the scaled offsets and sheet size into the CSS', () => {
+        const css = buildSpriteCss(spriteMap, { imageUrl: 'sheet.png', outputWidth: 100, outputHeight: 25 });
+        expect(css).toContain('background-size: 100px 25px;');
+        expect(css).toContain('.sprite-b {\n    width: 50px;\n    height: 15px;\n    background-position: -50px -10px;\n}');
+    });
+});
+
+describe('getSpriteMapIssue', () => {
+    const settings = { resize: { enabled: true, mode: 'dimensions' }, rotate: 0, flip: { horizontal: false, vertical: false }, crop: null };
+
+    it('accepts plain resizes', () => {
+        expect(getSpriteMapIssue(settings, spriteMap)).toBeNull();
+        expect(getSpriteMapIssue({ ...settings, resize: { enabled: false, mode: 'contain' } }, spriteMap)).toBeNull();
+    });
+
+    it('flags crop, turns, flips and padding', () => {
+        expect(getSpriteMapIssue({ ...settings, crop: { enabled: true, x: 0, y: 0, width: 50, height: 50 } }, spriteMap)).toBe('Sheet is cropped');
+        expect(getSpriteMapIssue({ ...settings, rotate: 90 }, spriteMap)).toBe('Sheet is rotated or flipped');
+        expect(getSpriteMapIssue({ ...settings, flip: { horizontal: true, vertical: false } }, spriteMap)).toBe('Sheet is rotated or flipped');
+        expect(getSpriteMapIssue({ ...settings, resize: { enabled: true, mode: 'contain' } }, spriteMap)).toBe('Sheet is padded by the resize');
+        expect(getSpriteMapIssue({ ...settings, resize: { enabled: true, mode: 'fill' } }, spriteMap)).toBe('Sheet is cropped by the resize');
+    });
+});
@@ -0,0 +1,258 @@
+// Conversion fallback chain shared by the main-thread processor and the worker.
+// Callers provide `attempt(format, quality, width, height)`, which encodes once
+// and resolves to a result object (or null when the encoder produced nothing).
+
+export const MIME_TYPES = {
+    webp: 'image/webp',
+    avif: 'image/avif',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    // Written by utils/icons, not a canvas encoder
+    ico: 'image/x-icon',
+    cur: 'image/x-win-bitmap'
+};
+
+// Format of an encoded blob, which differs from the request when the browser fell back
+export function getProducedFormat(requestedFormat, blob) {
+    if (blob.type === MIME_TYPES[requestedFormat]) return requestedFormat;
+    return Object.keys(MIME_TYPES).find(format => MIME_TYPES[format] === blob.type) || requestedFormat;
+}
+
+// Reported on results produced by canvas toBlob / convertToBlob
+export const BROWSER_ENCODER = 'Browser canvas';
+
+// Clamp the requested quality into the range each encoder behaves well in
+// Target-size searches pass clamp: false so they can use the full range
+export function getEncoderSettings(format, qualityValue, lossless, { clamp = true } = {}) {
+    if (!clamp) {
+        return {
+            mimeType: MIME_TYPES[format] || MIME_TYPES.webp,
+            quality: format === 'png' ? undefined : (lossless && format === 'webp' ? 1 : qualityValue)
+        };
+    }
+
+    switch (format) {
+        case 'webp':
+            return {
+                mimeType: MIME_TYPES.webp,
+                quality: lossless ? 1 : Math.min(0.85, Math.max(0.5, qualityValue))
+            };
+        case 'avif':
+            return {
+                mimeType: MIME_TYPES.avif,
+                quality: Math.min(0.4, Math.max(0.15, qualityValue))
+            };
+        case 'jpeg':
+            return {
+                mimeType: MIME_TYPES.jpeg,
+                quality: Math.min(0.92, Math.max(0.6, qualityValue))
+            };
+        case 'png':
+            return { mimeType: MIME_TYPES.png, quality: undefined };
+        default:
+            return { mimeType: MIME_TYPES.webp, quality: qualityValue };
+    }
+}
+
+// Scales tried when downscaling is allowed, never below the user's minimum
+function getDownscales(minScale) {
+    const floor = Math.max(0.05, minScale / 100);
+    const scales = [0.75, 0.5, 0.25].filter(scale => scale > floor);
+    return [...scales, floor];
+}
+
+const toLabel = (format) => format.toUpperCase();
+const toQuality = (value) => `Q${Math.round(value * 100)}`;
+
+// Attempts in order; the first result smaller than the original wins. Each step carries
+// the adjustments it makes to the request, so the file can say what changed and why.
+// Format and dimension fallbacks only run when the user's policy allows them.
+function getChainSteps(outputFormat, quality, { formats = true, downscale = false, minScale = 50 } = {}) {
+    const primary = quality / 100;
+    const larger = `${toLabel(outputFormat)} ${toQuality(primary)} was larger than the original`;
+    const formatStep = (format, stepQuality) => ({
+        format,
+        quality: stepQuality,
+        adjustments: [{ kind: 'format', detail: `${toLabel(outputFormat)} → ${toLabel(format)} ${toQuality(stepQuality)}: ${larger}` }]
+    });
+    const downscaleFormat = formats ? 'webp' : outputFormat;
+    const downscaleQuality = formats ? 0.4 : Math.max(0.1, primary * 0.5);
+
+    return [
+        // Primary format attempt
+        { format: outputFormat, quality: primary, adjustments: [] },
+        // Same format with lower quality
+        outputFormat !== 'png' && {
+            format: outputFormat,
+            quality: Math.max(0.1, primary * 0.5),
+            adjustments: [{ kind: 'quality', detail: `Quality lowered to ${toQuality(Math.max(0.1, primary * 0.5))}: ${larger}` }]
+        },
+        // WebP (usually best compression), WebP at very low quality, then JPEG
+        formats && outputFormat !== 'webp' && formatStep('webp', Math.min(0.6, primary)),
+        formats && formatStep('webp', 0.3),
+        formats && formatStep('jpeg', 0.4),
+        // Smaller dimensions, down to the allowed minimum
+        ...(downscale ? getDownscales(minScale) : []).map(scale => ({
+            format: downscaleFormat,
+            quality: downscaleQuality,
+            scale,
+            adjustments: [{
+                kind: 'dimensions',
+                detail: `Scaled to ${Math.round(scale * 100)}% (${toLabel(downscaleFormat)} ${toQuality(downscaleQuality)}): nothing at full size was smaller than the original`
+            }]
+        }))
+    ].filter(Boolean);
+}
+
+// Scores only gate results when a floor is set; unknown scores (null) never block
+const meetsFloor = (result, minScore) => !minScore || result.score == null || result.score >= minScore;
+
+// Attach a score to the chosen result so it can be shown even without a floor
+async function withScore(result, score) {
+    if (score && result.score === undefined) result.score = await score(result);
+    return result;
+}
+
+// The encoders' quality clamp is a change too; it's reported when it moved the value
+function withClampNote(adjustments, requested, used) {
+    if (used == null || requested == null || Math.abs(used - requested) < 0.005) return adjustments;
+    return [...adjustments, { kind: 'quality', detail: `Quality ${toQuality(requested)} clamped to ${toQuality(used)}, the encoder's useful range` }];
+}
+
+export async function runConversionChain({ outputFormat, quality, width, height, originalSize, attempt, onProgress, score, minScore = 0, policy }) {
+    const steps = getChainSteps(outputFormat, quality, policy);
+    const results = [];
+
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const stepWidth = step.scale ? Math.max(1, Math.round(width * step.scale)) : width;
+        const stepHeight = step.scale ? Math.max(1, Math.round(height * step.scale)) : height;
+
+        const result = await attempt(step.format, step.quality, stepWidth, stepHeight);
+        if (result && minScore && score) result.score = await score(result);
+        onProgress?.((i + 1) / steps.length);
+
+        if (result) {
+            result.adjustments = withClampNote(step.adjustments, step.quality, result.qualityUsed);
+            if (result.convertedSize < originalSize && meetsFloor(result, minScore)) {
+                return withScore(result, score);
+            }
+            results.push(result);
+        }
+    }
+
+    const keptSmallest = (result) => ({
+        ...result,
+        adjustments: [...result.adjustments, { kind: 'size', detail: 'No attempt was smaller than the original, so the smallest one was kept' }]
+    });
+
+    // Nothing beat the original: return the smallest result that still meets the floor
+    const acceptable = results.filter(result => meetsFloor(result, minScore));
+    if (acceptable.length > 0) {
+        return withScore(keptSmallest(acceptable.reduce((min, curr) =>
+            curr.convertedSize < min.convertedSize ? curr : min
+        )), score);
+    }
+
+    // Even the primary attempt is under the floor: keep the best-looking one
+    if (results.length > 0) {
+        return results.reduce((top, curr) => (curr.score ?? 0) > (top.score ?? 0) ? curr : top);
+    }
+
+    throw new Error('Failed to create compressed image');
+}
+
+// One encode at exactly the requested format and size, for outputs that must match a spec
+// (srcset renditions): no fallback formats and no downscaling
+export async function runSingleEncode({ outputFormat, quality, width, height, attempt, onProgress, score }) {
+    const result = await attempt(outputFormat, quality / 100, width, height);
+    if (!result) throw new Error('Failed to create compressed image');
+    onProgress?.(1);
+    return withScore(result, score);
+}
+
+const QUALITY_SEARCH_STEPS = 7;
+const SCALE_SEARCH_STEPS = 6;
+const RESIZE_BASE_QUALITY = 0.5;
+
+// Highest value in [low, high] whose result fits, by bisection
+async function searchLargestFit(low, high, steps, encode, fits) {
+    let best = null;
+    let smallest = null;
+
+    for (let i = 0; i < steps; i++) {
+        const value = (low + high) / 2;
+        const result = await encode(value);
+        if (result && (!smallest || result.convertedSize < smallest.convertedSize)) smallest = result;
+
+        if (result && fits(result)) {
+            best = result;
+            low = value;
+        } else {
+            high = value;
+        }
+    }
+
+    return { best, smallest };
+}
+
+// Lands the output just under targetBytes: quality first, then dimensions if allowed
+export async function runTargetSizeSearch({ outputFormat, lossless, width, height, targetBytes, allowResize, attempt, onProgress, score, minScore = 0 }) {
+    const hasQuality = outputFormat !== 'png' && !(lossless && outputFormat === 'webp');
+    const totalSteps = 1 + (hasQuality ? QUALITY_SEARCH_STEPS : 0) + (allowResize ? SCALE_SEARCH_STEPS + (hasQuality ? QUALITY_SEARCH_STEPS : 0) : 0);
+    let step = 0;
+    const fits = (result) => result.convertedSize <= targetBytes && meetsFloor(result, minScore);
+    const finish = async (result, targetMet) => {
+        onProgress?.(1);
+        const adjustments = result.width !== width
+            ? [{ kind: 'dimensions', detail: `Scaled to ${Math.round((result.width / width) * 100)}% to get closer to the target size` }]
+            : [];
+        return { ...(await withScore(result, score)), targetBytes, targetMet, adjustments };
+    };
+
+    const encode = async (quality, scale = 1) => {
+        const result = await attempt(
+            outputFormat,
+            quality,
+            Math.max(1, Math.round(width * scale)),
+            Math.max(1, Math.round(height * scale)),
+            { clamp: false }
+        );
+        if (result && minScore && score) result.score = await score(result);
+        onProgress?.(Math.min(0.99, ++step / totalSteps));
+        return result;
+    };
+
+    // Best case: full quality already fits
+    const full = await encode(1);
+    if (!full) throw new Error('Failed to create compressed image');
+    if (fits(full)) return finish(full, true);
+
+    let smallest = full;
+    const keepSmallest = (result) => {
+        if (result && result.convertedSize < smallest.convertedSize) smallest = result;
+    };
+
+    if (hasQuality) {
+        const search = await searchLargestFit(0.02, 1, QUALITY_SEARCH_STEPS, (q) => encode(q), fits);
+        if (search.best) return finish(search.best, true);
+        keepSmallest(search.smallest);
+    }
+
+    if (allowResize) {
+        const baseQuality = hasQuality ? RESIZE_BASE_QUALITY : 1;
+        const scaleSearch = await searchLargestFit(0.05, 1, SCALE_SEARCH_STEPS, (scale) => encode(baseQuality, scale), fits);
+        keepSmallest(scaleSearch.smallest);
+
+        if (scaleSearch.best) {
+            if (!hasQuality) return finish(scaleSearch.best, true);
+
+            // Spend the leftover budget on quality at the chosen size
+            const scale = scaleSearch.best.width / width;
+            const refine = await searchLargestFit(baseQuality, 1, QUALITY_SEARCH_STEPS, (q) => encode(q, scale), fits);
+            return finish(refine.best || scaleSearch.best, true);
+        }
+    }
+
+    return finish(smallest, false);
+}
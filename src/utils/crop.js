@@ -0,0 +1,100 @@
+// Crop rectangle helpers shared by the editor and both conversion paths
+// Crop rects are in source image pixels, applied before resize/rotate/flip
+
+export const ASPECT_PRESETS = [
+    { value: 'free', label: 'FREE', ratio: null },
+    { value: '1:1', label: '1:1', ratio: 1 },
+    { value: '4:3', label: '4:3', ratio: 4 / 3 },
+    { value: '16:9', label: '16:9', ratio: 16 / 9 }
+];
+
+const MIN_CROP_SIZE = 8;
+
+export function getAspectRatio(aspect) {
+    return ASPECT_PRESETS.find(preset => preset.value === aspect)?.ratio || null;
+}
+
+// Returns a whole-pixel rect inside the image, or null when crop is off
+export function normalizeCrop(crop, imageWidth, imageHeight) {
+    if (!crop?.enabled || !crop.width || !crop.height) return null;
+
+    const x = Math.max(0, Math.min(imageWidth - 1, Math.round(crop.x)));
+    const y = Math.max(0, Math.min(imageHeight - 1, Math.round(crop.y)));
+    return {
+        x,
+        y,
+        width: Math.max(1, Math.min(imageWidth - x, Math.round(crop.width))),
+        height: Math.max(1, Math.min(imageHeight - y, Math.round(crop.height)))
+    };
+}
+
+// Largest centered rect of the given ratio
+export function fitCropToAspect(ratio, imageWidth, imageHeight) {
+    if (!ratio) return { x: 0, y: 0, width: imageWidth, height: imageHeight };
+
+    let width = imageWidth;
+    let height = Math.round(width / ratio);
+    if (height > imageHeight) {
+        height = imageHeight;
+        width = Math.round(height * ratio);
+    }
+    return {
+        x: Math.round((imageWidth - width) / 2),
+        y: Math.round((imageHeight - height) / 2),
+        width,
+        height
+    };
+}
+
+// Drag a handle ('move', 'n', 'se', ...) by dx/dy image pixels
+export function dragCropRect(start, handle, dx, dy, ratio, imageWidth, imageHeight) {
+    if (handle === 'move') {
+        return {
+            ...start,
+            x: Math.round(Math.max(0, Math.min(imageWidth - start.width, start.x + dx))),
+            y: Math.round(Math.max(0, Math.min(imageHeight - start.height, start.y + dy)))
+        };
+    }
+
+    const right = start.x + start.width;
+    const bottom = start.y + start.height;
+
+    // Edge limits keep the opposite edge anchored
+    let left = handle.includes('w') ? Math.max(0, Math.min(right - MIN_CROP_SIZE, start.x + dx)) : start.x;
+    let top = handle.includes('n') ? Math.max(0, Math.min(bottom - MIN_CROP_SIZE, start.y + dy)) : start.y;
+    let width = handle.includes('e') ? Math.max(MIN_CROP_SIZE, Math.min(imageWidth - left, start.width + dx)) : right - left;
+    let height = handle.includes('s') ? Math.max(MIN_CROP_SIZE, Math.min(imageHeight - top, start.height + dy)) : bottom - top;
+
+    if (ratio) {
+        const horizontalOnly = handle === 'e' || handle === 'w';
+        const verticalOnly = handle === 'n' || handle === 's';
+
+        if (verticalOnly) {
+            width = height * ratio;
+        } else if (horizontalOnly) {
+            height = width / ratio;
+        } else {
+            // Corners follow whichever side moved further
+            if (width / ratio > height) height = width / ratio;
+            else width = height * ratio;
+        }
+
+        // Shrink back inside the image without breaking the ratio
+        const maxWidth = handle.includes('w') ? right : imageWidth - left;
+        const maxHeight = handle.includes('n') ? bottom : imageHeight - top;
+        const scale = Math.min(1, maxWidth / width, maxHeight / height);
+        width *= scale;
+        height *= scale;
+
+        if (handle.includes('w')) left = right - width;
+        if (handle.includes('n')) top = bottom - height;
+    }
+
+    return {
+        ...start,
+        x: Math.round(left),
+        y: Math.round(top),
+        width: Math.round(width),
+        height: Math.round(height)
+    };
+}
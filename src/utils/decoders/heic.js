@@ -0,0 +1,25 @@
+import createLibheif from 'libheif-js/libheif-wasm/libheif-bundle.mjs';
+
+let libheif = null;
+
+// Primary image of an HEIC/HEIF container as 8-bit RGBA
+export async function decodeHeic(buffer) {
+    libheif ??= createLibheif();
+    const images = new libheif.HeifDecoder().decode(new Uint8Array(buffer));
+    if (images.length === 0) throw new Error('No images in HEIF file');
+
+    const image = images[0];
+    const width = image.get_width();
+    const height = image.get_height();
+    const target = { data: new Uint8ClampedArray(width * height * 4), width, height };
+
+    try {
+        await new Promise((resolve, reject) => {
+            image.display(target, (result) => result ? resolve() : reject(new Error('HEIF decode failed')));
+        });
+    } finally {
+        images.forEach(item => item.free());
+    }
+
+    return [{ rgba: target.data, width, height }];
+}
@@ -0,0 +1,70 @@
+// Fallback decoders for inputs the browser can't decode natively (TIFF, HEIC/HEIF, camera RAW)
+// Each decoder is loaded on first use and returns one entry per page: { blob, width, height }
+
+// Camera RAW extensions the decoder reads, with the MIME type browsers may report
+export const RAW_FORMATS = {
+    cr2: 'image/x-canon-cr2',
+    nef: 'image/x-nikon-nef',
+    arw: 'image/x-sony-arw',
+    dng: 'image/x-adobe-dng',
+    pef: 'image/x-pentax-pef',
+    srw: 'image/x-samsung-srw'
+};
+
+export const RAW_EXTENSIONS = Object.keys(RAW_FORMATS);
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+const getExtension = (name) => name.split('.').pop().toLowerCase();
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+function detectKind(bytes, name) {
+    const extension = getExtension(name);
+    const isTiff = ascii(bytes, 0, 4) === 'II*\0' || ascii(bytes, 0, 4) === 'MM\0*';
+
+    if (ascii(bytes, 4, 4) === 'ftyp' && HEIF_BRANDS.includes(ascii(bytes, 8, 4))) return 'heic';
+    if (isTiff && RAW_EXTENSIONS.includes(extension)) return 'raw';
+    if (isTiff) return 'tiff';
+    return null;
+}
+
+const decoders = {
+    tiff: () => import('./tiff').then(module => module.decodeTiff),
+    heic: () => import('./heic').then(module => module.decodeHeic),
+    raw: () => import('./raw').then(module => module.decodeRaw)
+};
+
+async function toPngBlob({ rgba, width, height }) {
+    const pixels = new ImageData(new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, width * height * 4), width, height);
+
+    if (typeof OffscreenCanvas !== 'undefined') {
+        const canvas = new OffscreenCanvas(width, height);
+        canvas.getContext('2d').putImageData(pixels, 0, 0);
+        return canvas.convertToBlob({ type: 'image/png' });
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(pixels, 0, 0);
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode decoded image')), 'image/png');
+    });
+}
+
+// Resolves to null when no fallback decoder applies to the file
+export async function decodeImageFile(file) {
+    const buffer = await file.arrayBuffer();
+    const kind = detectKind(new Uint8Array(buffer, 0, Math.min(16, buffer.byteLength)), file.name);
+    if (!kind) return null;
+
+    const decode = await decoders[kind]();
+    const pages = await decode(buffer);
+
+    // Decoders either hand back an encoded blob (RAW previews) or raw RGBA
+    return Promise.all(pages.map(async page => ({
+        blob: page.blob || await toPngBlob(page),
+        width: page.width,
+        height: page.height
+    })));
+}
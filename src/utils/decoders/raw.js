@@ -0,0 +1,142 @@
+import UTIF from 'utif';
+
+// Camera RAW (CR2, NEF, ARW, DNG and other TIFF-based formats)
+// Uses the embedded full-size JPEG when there is one, otherwise demosaics the sensor data
+
+const CFA = 32803;
+
+const collectIfds = (ifds) => ifds.flatMap(ifd => [ifd, ...(ifd.subIFD ? collectIfds(ifd.subIFD) : [])]);
+
+function findJpegPreviews(bytes, ifds) {
+    const previews = [];
+
+    for (const ifd of ifds) {
+        let offset, length;
+        if (ifd.t513 && ifd.t514) {
+            offset = ifd.t513[0];
+            length = ifd.t514[0];
+        } else if ([6, 7].includes(ifd.t259?.[0]) && ifd.t262?.[0] !== CFA && ifd.t273?.length === 1) {
+            // CR2 keeps its full-size preview as a single old-style JPEG strip
+            offset = ifd.t273[0];
+            length = ifd.t279[0];
+        } else {
+            continue;
+        }
+
+        if (bytes[offset] === 0xFF && bytes[offset + 1] === 0xD8) {
+            previews.push(new Blob([bytes.subarray(offset, offset + length)], { type: 'image/jpeg' }));
+        }
+    }
+
+    return previews.sort((a, b) => b.size - a.size);
+}
+
+// Largest preview the browser can decode (lossless JPEG raw data can't be)
+async function decodePreview(previews) {
+    for (const blob of previews) {
+        try {
+            const bitmap = await createImageBitmap(blob);
+            const { width, height } = bitmap;
+            bitmap.close();
+            return { blob, width, height };
+        } catch {
+            // Try the next one
+        }
+    }
+    return null;
+}
+
+function readSamples(ifd) {
+    const bps = ifd.t258[0];
+    const { data, width, height } = ifd;
+    const count = width * height;
+
+    if (bps === 8) return Uint16Array.from(data.subarray(0, count));
+    if (bps !== 16) throw new Error(`Unsupported RAW bit depth ${bps}`);
+
+    // UTIF leaves DNG samples in file byte order and swaps everything else to little-endian
+    const littleEndian = ifd.isLE || ifd.t33422 == null;
+    const samples = new Uint16Array(count);
+    for (let i = 0; i < count; i++) {
+        samples[i] = littleEndian
+            ? data[2 * i] | (data[2 * i + 1] << 8)
+            : (data[2 * i] << 8) | data[2 * i + 1];
+    }
+    return samples;
+}
+
+// Bilinear demosaic: each channel is the mean of that colour's sites in the 3x3 neighbourhood
+function demosaic(ifd) {
+    const { width, height } = ifd;
+    const samples = readSamples(ifd);
+    const [patternWidth, patternHeight] = ifd.t33421 || [2, 2];
+    const pattern = ifd.t33422 || [0, 1, 1, 2];
+    const black = ifd.t50714?.[0] ?? 0;
+    const white = ifd.t50717?.[0] ?? (1 << ifd.t258[0]) - 1;
+
+    // As-shot white balance, normalised to green
+    const neutral = ifd.t50728 || [1, 1, 1];
+    const gains = neutral.map(value => neutral[1] / value);
+
+    const LUT_SIZE = 4096;
+    const gamma = new Uint8Array(LUT_SIZE + 1);
+    for (let i = 0; i <= LUT_SIZE; i++) gamma[i] = Math.round(Math.pow(i / LUT_SIZE, 1 / 2.2) * 255);
+
+    const colourAt = (x, y) => pattern[(y % patternHeight) * patternWidth + (x % patternWidth)];
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    const sums = [0, 0, 0];
+    const counts = [0, 0, 0];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            sums[0] = sums[1] = sums[2] = 0;
+            counts[0] = counts[1] = counts[2] = 0;
+
+            for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+                for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                    const colour = colourAt(nx, ny);
+                    sums[colour] += samples[ny * width + nx];
+                    counts[colour]++;
+                }
+            }
+
+            const own = colourAt(x, y);
+            const out = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                const value = c === own ? samples[y * width + x] : (counts[c] ? sums[c] / counts[c] : 0);
+                const linear = Math.min(1, Math.max(0, ((value - black) / (white - black)) * gains[c]));
+                rgba[out + c] = gamma[Math.round(linear * LUT_SIZE)];
+            }
+            rgba[out + 3] = 255;
+        }
+    }
+
+    return { rgba, width, height };
+}
+
+export async function decodeRaw(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const ifds = UTIF.decode(buffer);
+    const all = collectIfds(ifds);
+
+    const preview = await decodePreview(findJpegPreviews(bytes, all));
+    const sensor = all
+        .filter(ifd => ifd.t262?.[0] === CFA && ifd.t256 && ifd.t257)
+        .sort((a, b) => b.t256[0] * b.t257[0] - a.t256[0] * a.t257[0])[0];
+
+    // Previews of at least half the sensor width are good enough and much faster
+    if (preview && (!sensor || preview.width * 2 >= sensor.t256[0])) return [preview];
+
+    if (sensor) {
+        try {
+            UTIF.decodeImage(buffer, sensor, ifds);
+            return [demosaic(sensor)];
+        } catch (error) {
+            if (!preview) throw error;
+            console.warn('RAW demosaic failed, using embedded preview:', error);
+        }
+    }
+
+    if (preview) return [preview];
+    throw new Error('No decodable image data in RAW file');
+}
@@ -0,0 +1,14 @@
+import UTIF from 'utif';
+
+// NewSubfileType bit 0 marks reduced-resolution copies (thumbnails), not pages
+const isPage = (ifd) => ifd.t256 && ifd.t257 && !((ifd.t254?.[0] ?? 0) & 1);
+
+// Every page of a (multi-page) TIFF as 8-bit RGBA; 16-bit samples are reduced by UTIF
+export function decodeTiff(buffer) {
+    const ifds = UTIF.decode(buffer);
+
+    return ifds.filter(isPage).map(ifd => {
+        UTIF.decodeImage(buffer, ifd, ifds);
+        return { rgba: UTIF.toRGBA8(ifd), width: ifd.width, height: ifd.height };
+    });
+}
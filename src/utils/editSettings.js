@@ -0,0 +1,51 @@
+import { createDefaultFilters } from './filters';
+
+// Per-file edits (from ImageEditor) layered over the global settings
+
+export const EDIT_KEYS = ['resize', 'rotate', 'flip', 'filters', 'crop'];
+
+export function createDefaultEdits(file) {
+    return {
+        resize: {
+            enabled: false,
+            mode: 'percentage',
+            percentage: 100,
+            width: file.width,
+            height: file.height,
+            lockAspect: true,
+            maxEdge: Math.max(file.width, file.height),
+            anchor: 'center',
+            background: '#ffffff',
+            transparent: false,
+            allowUpscale: false
+        },
+        rotate: 0,
+        flip: { horizontal: false, vertical: false },
+        filters: createDefaultFilters(),
+        crop: {
+            enabled: false,
+            x: 0,
+            y: 0,
+            width: file.width,
+            height: file.height,
+            aspect: 'free'
+        }
+    };
+}
+
+// The edit keys the user touched in the editor, null when there are none. An untouched key
+// leaves the global setting in charge; a touched one replaces it, even at its default
+// (so a file can switch off the global resize or crop)
+export function pickEdits(editorSettings, touched = EDIT_KEYS) {
+    const keys = EDIT_KEYS.filter(key => touched.includes(key));
+    return keys.length > 0 ? Object.fromEntries(keys.map(key => [key, editorSettings[key]])) : null;
+}
+
+// Edit keys whose value differs between two editor states
+export function getChangedKeys(before, after) {
+    return EDIT_KEYS.filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+export function getFileSettings(settings, file) {
+    return file.edits ? { ...settings, ...file.edits } : settings;
+}
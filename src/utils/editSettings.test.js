@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { createDefaultEdits, getChangedKeys, getFileSettings, pickEdits } from './editSettings';
+
+const file = { width: 40, height: 30 };
+
+const globalSettings = {
+    outputFormat: 'image/webp',
+    resize: { enabled: true, mode: 'percentage', percentage: 50 },
+    rotate: 90,
+    crop: { enabled: true, x: 0, y: 0, width: 20, height: 20 }
+};
+
+describe('pickEdits', () => {
+    it('keeps only the touched keys', () => {
+        const edits = createDefaultEdits(file);
+        expect(pickEdits(edits, ['rotate', 'crop'])).toEqual({ rotate: 0, crop: edits.crop });
+    });
+
+    it('returns null when nothing was touched', () => {
+        expect(pickEdits(createDefaultEdits(file), [])).toBeNull();
+    });
+});
+
+describe('getChangedKeys', () => {
+    it('lists the keys whose value changed', () => {
+        const before = createDefaultEdits(file);
+        const after = { ...before, rotate: 180, flip: { horizontal: true, vertical: false } };
+        expect(getChangedKeys(before, after)).toEqual(['rotate', 'flip']);
+    });
+});
+
+describe('getFileSettings', () => {
+    it('uses the global settings for a file without edits', () => {
+        expect(getFileSettings(globalSettings, { edits: null })).toBe(globalSettings);
+    });
+
+    it('lets touched keys at their defaults turn the global resize, rotation and crop off', () => {
+        const defaults = createDefaultEdits(file);
+        const edits = pickEdits(defaults, ['resize', 'rotate', 'crop']);
+        const settings = getFileSettings(globalSettings, { edits });
+
+        expect(settings.resize.enabled).toBe(false);
+        expect(settings.rotate).toBe(0);
+        expect(settings.crop.enabled).toBe(false);
+        expect(settings.outputFormat).toBe('image/webp');
+    });
+
+    it('leaves untouched keys to the global settings', () => {
+        const settings = getFileSettings(globalSettings, { edits: { rotate: 270 } });
+        expect(settings.rotate).toBe(270);
+        expect(settings.resize).toBe(globalSettings.resize);
+        expect(settings.crop).toBe(globalSettings.crop);
+    });
+});
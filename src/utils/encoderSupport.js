@@ -0,0 +1,43 @@
+// Startup probe for which output types the browser can really encode
+// Unsupported types don't fail, they quietly come back as PNG
+
+import { MIME_TYPES } from './conversionChain';
+import { isWorkerPoolSupported } from '../workers/workerPool';
+import { isIconFormat } from './icons';
+
+function probeCanvas(mimeType) {
+    return new Promise((resolve) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+        canvas.toBlob((blob) => resolve(blob?.type === mimeType), mimeType);
+    });
+}
+
+async function probeOffscreen(mimeType) {
+    try {
+        const blob = await new OffscreenCanvas(1, 1).convertToBlob({ type: mimeType });
+        return blob.type === mimeType;
+    } catch {
+        return false;
+    }
+}
+
+// Probes the encoder the conversions will actually use: convertToBlob in workers, toBlob otherwise
+export async function probeEncoderSupport() {
+    const probe = isWorkerPoolSupported() ? probeOffscreen : probeCanvas;
+    const entries = await Promise.all(
+        Object.entries(MIME_TYPES)
+            .filter(([format]) => !isIconFormat(format))
+            .map(async ([format, mimeType]) => [format, await probe(mimeType)])
+    );
+    return Object.fromEntries(entries);
+}
+
+// Unknown until the probe finishes; the WASM codecs cover every format when workers are available
+// and ICO/CUR are written in JS everywhere
+export function canEncode(support, format, encoder) {
+    if (!support || isIconFormat(format)) return true;
+    if (encoder === 'wasm' && isWorkerPoolSupported()) return true;
+    return support[format] !== false;
+}
@@ -0,0 +1,22 @@
+// File list entries, shared by DropZone and generated images (sprite / contact sheets)
+
+export const createFileEntry = (file, url, dimensions, extra = {}) => ({
+    id: crypto.randomUUID(),
+    originalFile: file,
+    originalName: file.name,
+    originalSize: file.size,
+    // RAW MIME types are vendor-specific (image/x-canon-cr2), so use the extension
+    originalFormat: (!file.type.includes('/x-') && file.type.split('/')[1]) || file.name.split('.').pop().toLowerCase() || 'unknown',
+    previewUrl: url,
+    width: dimensions.width,
+    height: dimensions.height,
+    decodedBlob: null,
+    animation: null,
+    isConverting: false,
+    isConverted: false,
+    convertedBlob: null,
+    convertedSize: null,
+    webpUrl: null,
+    error: null,
+    ...extra
+});
@@ -0,0 +1,61 @@
+// Download names built from each file's real output, shared by single downloads and ZIPs
+
+import { MIME_TYPES } from './conversionChain';
+
+// The blob type wins over the recorded format, since fallbacks can change it
+export function getFileOutputFormat(file) {
+    const type = file.convertedBlob?.type;
+    return Object.keys(MIME_TYPES).find(format => MIME_TYPES[format] === type) || file.outputFormat || 'webp';
+}
+
+const splitName = (filename) => {
+    const dot = filename.lastIndexOf('.');
+    return dot > 0
+        ? { base: filename.slice(0, dot), ext: filename.slice(dot + 1).toLowerCase() }
+        : { base: filename, ext: '' };
+};
+
+// Path separators and characters Windows rejects
+const sanitize = (name) => name.replace(/[/\\:*?"<>|]/g, '_').trim();
+
+// Original name without its extension, safe to build other names from
+export function getBaseName(filename) {
+    return sanitize(splitName(filename).base) || 'image';
+}
+
+export function buildFilename(pattern, file, { index = 1, date = new Date() } = {}) {
+    const { base, ext } = splitName(file.originalName);
+    const format = getFileOutputFormat(file);
+    const tokens = {
+        name: base,
+        date: date.toISOString().split('T')[0],
+        format,
+        index: String(index),
+        width: file.convertedWidth ?? file.width ?? '',
+        height: file.convertedHeight ?? file.height ?? '',
+        quality: file.qualityUsed != null ? Math.round(file.qualityUsed * 100) : '',
+        origext: ext
+    };
+
+    // Unknown tokens are left in place
+    const name = (pattern || '{name}').replace(/\{(\w+)\}/g, (match, token) =>
+        token in tokens ? String(tokens[token]) : match
+    );
+
+    return `${sanitize(name) || base}.${format}`;
+}
+
+// Appends " (2)", " (3)"... to names already taken (case-insensitive, like most file systems)
+export function createNameDeduper() {
+    const used = new Set();
+
+    return (filename) => {
+        const { base, ext } = splitName(filename);
+        let candidate = filename;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+            candidate = `${base} (${n})${ext ? `.${ext}` : ''}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    };
+}
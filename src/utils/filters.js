@@ -0,0 +1,223 @@
+// Color adjustments shared by the editor preview and both conversion paths, so what
+// the editor shows is exactly what gets encoded. Per-channel steps are folded into
+// one lookup table per channel; hue, saturation and vibrance then run per pixel.
+
+const IDENTITY_CURVE = [[0, 0], [255, 255]];
+
+export const CURVE_CHANNELS = ['rgb', 'r', 'g', 'b'];
+
+export function createDefaultFilters() {
+    return {
+        grayscale: false,
+        brightness: 0, // -100..100
+        contrast: 0, // -100..100
+        exposure: 0, // EV, -3..3
+        gamma: 1, // 0.1..3
+        temperature: 0, // -100 (cool) .. 100 (warm)
+        tint: 0, // -100 (green) .. 100 (magenta)
+        saturation: 0, // -100..100
+        vibrance: 0, // -100..100
+        hue: 0, // degrees, -180..180
+        levels: { inputBlack: 0, inputWhite: 255, gamma: 1, outputBlack: 0, outputWhite: 255 },
+        curves: { rgb: IDENTITY_CURVE, r: IDENTITY_CURVE, g: IDENTITY_CURVE, b: IDENTITY_CURVE }
+    };
+}
+
+// Edits saved before an adjustment existed leave it out; missing means neutral
+export function normalizeFilters(filters) {
+    const defaults = createDefaultFilters();
+    return {
+        ...defaults,
+        ...filters,
+        levels: { ...defaults.levels, ...filters?.levels },
+        curves: { ...defaults.curves, ...filters?.curves }
+    };
+}
+
+const isIdentityCurve = (points) => points.length === 2 &&
+    points[0][0] === 0 && points[0][1] === 0 && points[1][0] === 255 && points[1][1] === 255;
+
+export function hasActiveFilters(filters) {
+    if (!filters) return false;
+    const f = normalizeFilters(filters);
+    const { levels } = f;
+    return f.grayscale || f.brightness !== 0 || f.contrast !== 0 || f.exposure !== 0 || f.gamma !== 1 ||
+        f.temperature !== 0 || f.tint !== 0 || f.saturation !== 0 || f.vibrance !== 0 || f.hue !== 0 ||
+        levels.inputBlack !== 0 || levels.inputWhite !== 255 || levels.gamma !== 1 ||
+        levels.outputBlack !== 0 || levels.outputWhite !== 255 ||
+        CURVE_CHANNELS.some(channel => !isIdentityCurve(f.curves[channel]));
+}
+
+// Monotone cubic (Fritsch-Carlson) through the control points, so curves never overshoot
+export function buildCurve(points) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0]);
+    const lut = new Uint8Array(256);
+    const n = sorted.length;
+    if (n < 2) return lut.map((_, i) => i);
+
+    const slopes = [];
+    for (let i = 0; i < n - 1; i++) {
+        slopes.push((sorted[i + 1][1] - sorted[i][1]) / Math.max(1, sorted[i + 1][0] - sorted[i][0]));
+    }
+    const tangents = sorted.map((_, i) => {
+        if (i === 0) return slopes[0];
+        if (i === n - 1) return slopes[n - 2];
+        return slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2;
+    });
+    for (let i = 0; i < n - 1; i++) {
+        if (slopes[i] === 0) {
+            tangents[i] = tangents[i + 1] = 0;
+            continue;
+        }
+        const a = tangents[i] / slopes[i];
+        const b = tangents[i + 1] / slopes[i];
+        const h = a * a + b * b;
+        if (h > 9) {
+            const t = 3 / Math.sqrt(h);
+            tangents[i] = t * a * slopes[i];
+            tangents[i + 1] = t * b * slopes[i];
+        }
+    }
+
+    let segment = 0;
+    for (let x = 0; x < 256; x++) {
+        if (x <= sorted[0][0]) {
+            lut[x] = clamp(sorted[0][1]);
+            continue;
+        }
+        if (x >= sorted[n - 1][0]) {
+            lut[x] = clamp(sorted[n - 1][1]);
+            continue;
+        }
+        while (x > sorted[segment + 1][0]) segment++;
+
+        const [x0, y0] = sorted[segment];
+        const [x1, y1] = sorted[segment + 1];
+        const h = x1 - x0;
+        const t = (x - x0) / h;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        lut[x] = clamp(
+            (2 * t3 - 3 * t2 + 1) * y0 + (t3 - 2 * t2 + t) * h * tangents[segment] +
+            (-2 * t3 + 3 * t2) * y1 + (t3 - t2) * h * tangents[segment + 1]
+        );
+    }
+    return lut;
+}
+
+const clamp = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+// One table per channel: exposure, white balance, brightness, contrast, gamma, levels, curves
+function buildChannelTables(f) {
+    const exposure = Math.pow(2, f.exposure / 2.2);
+    // Warm raises red and lowers blue; tint trades green against magenta
+    const gains = [
+        exposure * (1 + 0.2 * f.temperature / 100),
+        exposure * (1 - 0.2 * f.tint / 100),
+        exposure * (1 - 0.2 * f.temperature / 100)
+    ];
+    const brightness = (f.brightness / 100) * 255;
+    const contrast = (f.contrast + 100) / 100;
+    const contrastFactor = (259 * (contrast * 255 + 255)) / (255 * (259 - contrast * 255));
+    const { inputBlack, inputWhite, gamma: levelsGamma, outputBlack, outputWhite } = f.levels;
+    const inputRange = Math.max(1, inputWhite - inputBlack);
+    const master = buildCurve(f.curves.rgb);
+
+    return ['r', 'g', 'b'].map((channel, c) => {
+        const curve = buildCurve(f.curves[channel]);
+        const table = new Uint8Array(256);
+        for (let v = 0; v < 256; v++) {
+            let x = v * gains[c] + brightness;
+            if (f.contrast !== 0) x = contrastFactor * (x - 128) + 128;
+            x = Math.max(0, Math.min(255, x));
+            if (f.gamma !== 1) x = 255 * Math.pow(x / 255, 1 / f.gamma);
+
+            x = Math.max(0, Math.min(1, (x - inputBlack) / inputRange));
+            if (levelsGamma !== 1) x = Math.pow(x, 1 / levelsGamma);
+            x = outputBlack + x * (outputWhite - outputBlack);
+
+            table[v] = curve[master[clamp(x)]];
+        }
+        return table;
+    });
+}
+
+// Hue rotation about the luma axis, the same matrix as CSS hue-rotate()
+function hueMatrix(degrees) {
+    const angle = (degrees * Math.PI) / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+    ];
+}
+
+// Adjusts RGBA pixel data in place
+export function applyFilters(data, filters) {
+    const f = normalizeFilters(filters);
+    const [tableR, tableG, tableB] = buildChannelTables(f);
+    const hue = f.hue !== 0 ? hueMatrix(f.hue) : null;
+    const saturation = 1 + f.saturation / 100;
+    const vibrance = f.vibrance / 100;
+    const perPixel = hue || f.saturation !== 0 || f.vibrance !== 0 || f.grayscale;
+
+    for (let i = 0; i < data.length; i += 4) {
+        let r = tableR[data[i]];
+        let g = tableG[data[i + 1]];
+        let b = tableB[data[i + 2]];
+
+        if (perPixel) {
+            if (hue) {
+                [r, g, b] = [
+                    hue[0] * r + hue[1] * g + hue[2] * b,
+                    hue[3] * r + hue[4] * g + hue[5] * b,
+                    hue[6] * r + hue[7] * g + hue[8] * b
+                ];
+            }
+
+            const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+            if (f.grayscale) {
+                r = g = b = gray;
+            } else {
+                // Vibrance pushes muted colors harder than already-saturated ones
+                let amount = saturation;
+                if (vibrance !== 0) {
+                    const chroma = (Math.max(r, g, b) - Math.min(r, g, b)) / 255;
+                    amount *= 1 + vibrance * (1 - chroma);
+                }
+                if (amount !== 1) {
+                    r = gray + (r - gray) * amount;
+                    g = gray + (g - gray) * amount;
+                    b = gray + (b - gray) * amount;
+                }
+            }
+        }
+
+        data[i] = Math.max(0, Math.min(255, r));
+        data[i + 1] = Math.max(0, Math.min(255, g));
+        data[i + 2] = Math.max(0, Math.min(255, b));
+    }
+}
+
+// Runs the adjustments over a 2D context (canvas or OffscreenCanvas); a no-op when all are neutral
+export function applyFiltersToContext(ctx, width, height, filters) {
+    if (!hasActiveFilters(filters)) return;
+    const imageData = ctx.getImageData(0, 0, width, height);
+    applyFilters(imageData.data, filters);
+    ctx.putImageData(imageData, 0, 0);
+}
+
+// Per-channel counts plus luma, for the levels histogram
+export function computeHistogram(data) {
+    const histogram = { r: new Uint32Array(256), g: new Uint32Array(256), b: new Uint32Array(256), luma: new Uint32Array(256) };
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        histogram.r[data[i]]++;
+        histogram.g[data[i + 1]]++;
+        histogram.b[data[i + 2]]++;
+        histogram.luma[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+    }
+    return histogram;
+}
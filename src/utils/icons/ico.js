@@ -0,0 +1,68 @@
+// ICO/CUR containers with PNG or BMP (DIB) entries
+import { concat } from '../binary';
+
+const HEADER_SIZE = 6;
+const ENTRY_SIZE = 16;
+const DIB_HEADER_SIZE = 40;
+
+// 32-bit BGRA DIB as stored inside ICO: bottom-up rows, doubled height, then a 1-bit AND mask
+// The mask only matters to old renderers that ignore alpha
+export function encodeDib({ data, width, height }) {
+    const pixelBytes = width * height * 4;
+    const maskStride = Math.ceil(width / 32) * 4;
+    const out = new Uint8Array(DIB_HEADER_SIZE + pixelBytes + maskStride * height);
+    const view = new DataView(out.buffer);
+
+    view.setUint32(0, DIB_HEADER_SIZE, true);
+    view.setInt32(4, width, true);
+    view.setInt32(8, height * 2, true);
+    view.setUint16(12, 1, true);
+    view.setUint16(14, 32, true);
+    view.setUint32(20, pixelBytes + maskStride * height, true);
+
+    const maskStart = DIB_HEADER_SIZE + pixelBytes;
+    for (let y = 0; y < height; y++) {
+        const row = height - 1 - y;
+        for (let x = 0; x < width; x++) {
+            const src = (y * width + x) * 4;
+            const dst = DIB_HEADER_SIZE + (row * width + x) * 4;
+            out[dst] = data[src + 2];
+            out[dst + 1] = data[src + 1];
+            out[dst + 2] = data[src];
+            out[dst + 3] = data[src + 3];
+            if (data[src + 3] === 0) out[maskStart + row * maskStride + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+    }
+
+    return out;
+}
+
+// images: [{ width, height, data }] with data a PNG file or an encodeDib() result, up to 256 px per side
+// Cursors store the hotspot where icons store planes and bit depth; it is given as a
+// fraction of the image (0-1) so it lands on the same spot in every size
+export function writeIco(images, { cursor = false, hotspot = { x: 0, y: 0 } } = {}) {
+    const header = new Uint8Array(HEADER_SIZE + ENTRY_SIZE * images.length);
+    const view = new DataView(header.buffer);
+    view.setUint16(2, cursor ? 2 : 1, true);
+    view.setUint16(4, images.length, true);
+
+    let offset = header.length;
+    images.forEach((image, i) => {
+        const entry = HEADER_SIZE + ENTRY_SIZE * i;
+        // 0 means 256
+        view.setUint8(entry, image.width >= 256 ? 0 : image.width);
+        view.setUint8(entry + 1, image.height >= 256 ? 0 : image.height);
+        if (cursor) {
+            view.setUint16(entry + 4, Math.round(hotspot.x * (image.width - 1)), true);
+            view.setUint16(entry + 6, Math.round(hotspot.y * (image.height - 1)), true);
+        } else {
+            view.setUint16(entry + 4, 1, true);
+            view.setUint16(entry + 6, 32, true);
+        }
+        view.setUint32(entry + 8, image.data.length, true);
+        view.setUint32(entry + 12, offset, true);
+        offset += image.data.length;
+    });
+
+    return concat([header, ...images.map(image => image.data)]);
+}
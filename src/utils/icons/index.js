@@ -0,0 +1,162 @@
+// Favicon / app icon package: one source drawn into every size browsers, iOS and PWAs ask for,
+// and the ICO/CUR output formats, which canvas can't encode
+import { MIME_TYPES } from '../conversionChain';
+import { normalizeCrop } from '../crop';
+import { hasActiveFilters } from '../filters';
+import { createDomCanvas, createRenderer } from '../pipeline';
+import { encodeDib, writeIco } from './ico';
+
+export { encodeDib, writeIco };
+
+export const ICON_FORMATS = ['ico', 'cur'];
+export const ICON_OUTPUT_SIZES = [16, 24, 32, 48, 64, 128, 256];
+export const ICON_ENCODER = 'ICO writer';
+
+export const isIconFormat = (format) => ICON_FORMATS.includes(format);
+
+export const ICO_SIZES = [16, 32, 48];
+
+const ICON_SET = [
+    { filename: 'favicon-16x16.png', size: 16 },
+    { filename: 'favicon-32x32.png', size: 32 },
+    // iOS fills transparency with black, so the touch icon gets the background
+    { filename: 'apple-touch-icon.png', size: 180, opaque: true },
+    { filename: 'icon-192.png', size: 192, purpose: 'any' },
+    { filename: 'icon-512.png', size: 512, purpose: 'any' },
+    { filename: 'icon-maskable-192.png', size: 192, purpose: 'maskable', maskable: true },
+    { filename: 'icon-maskable-512.png', size: 512, purpose: 'maskable', maskable: true }
+];
+
+const loadImage = async (url) => {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+};
+
+const toPng = (canvas) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to render icon')), 'image/png');
+});
+
+// Centers the pipeline's output (every edit applied) in a square, scaled by the pipeline itself;
+// `inset` is the padding per side as a fraction
+function drawIcon(renderer, size, { inset = 0, background = null } = {}) {
+    const scale = (size * (1 - 2 * inset)) / Math.max(renderer.width, renderer.height);
+    const width = Math.max(1, Math.round(renderer.width * scale));
+    const height = Math.max(1, Math.round(renderer.height * scale));
+
+    const canvas = createDomCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, size, size);
+    }
+
+    ctx.drawImage(renderer.render(width, height), Math.round((size - width) / 2), Math.round((size - height) / 2));
+    return canvas;
+}
+
+// manifest.webmanifest fragment for the PWA icons
+export function buildWebManifest(background) {
+    return {
+        icons: ICON_SET.filter(icon => icon.purpose).map(icon => ({
+            src: icon.filename,
+            sizes: `${icon.size}x${icon.size}`,
+            type: 'image/png',
+            purpose: icon.purpose
+        })),
+        theme_color: background,
+        background_color: background
+    };
+}
+
+export function buildHeadHtml({ hasSvg }) {
+    return [
+        '<link rel="icon" href="/favicon.ico" sizes="48x48">',
+        hasSvg && '<link rel="icon" href="/favicon.svg" type="image/svg+xml">',
+        '<link rel="icon" type="image/png" sizes="32x32" href="/favicon-32x32.png">',
+        '<link rel="icon" type="image/png" sizes="16x16" href="/favicon-16x16.png">',
+        '<link rel="apple-touch-icon" sizes="180x180" href="/apple-touch-icon.png">',
+        '<link rel="manifest" href="/manifest.webmanifest">'
+    ].filter(Boolean).join('\n');
+}
+
+// Resolves to [{ filename, blob }] for the whole package
+// Rendered through the shared pipeline, so crop, rotation, flips, adjustments and the
+// resampling filter apply as in a conversion; the icon sizes take the place of the resize
+export async function generateIconSet(file, settings) {
+    const { background, maskablePadding } = settings.icons;
+    const img = await loadImage(file.previewUrl);
+    const renderer = createRenderer(img, { ...settings, resize: null }, createDomCanvas);
+    const entries = [];
+
+    for (const icon of ICON_SET) {
+        const canvas = drawIcon(renderer, icon.size, {
+            inset: icon.maskable ? maskablePadding / 100 : 0,
+            background: icon.opaque || icon.maskable ? background : null
+        });
+        entries.push({ filename: icon.filename, blob: await toPng(canvas) });
+    }
+
+    const icoImages = [];
+    for (const size of ICO_SIZES) {
+        const blob = await toPng(drawIcon(renderer, size));
+        icoImages.push({ width: size, height: size, data: new Uint8Array(await blob.arrayBuffer()) });
+    }
+    entries.unshift({ filename: 'favicon.ico', blob: new Blob([writeIco(icoImages)], { type: 'image/x-icon' }) });
+
+    // An unedited SVG can ship as-is for browsers that take vector favicons
+    const hasSvg = file.originalFile?.type === 'image/svg+xml' && !normalizeCrop(settings.crop, img.width, img.height) &&
+        !settings.rotate && !settings.flip?.horizontal && !settings.flip?.vertical && !hasActiveFilters(settings.filters);
+    if (hasSvg) entries.push({ filename: 'favicon.svg', blob: file.originalFile });
+
+    entries.push({
+        filename: 'manifest.webmanifest',
+        blob: new Blob([JSON.stringify(buildWebManifest(background), null, 2)], { type: 'application/manifest+json' })
+    });
+    entries.push({ filename: 'head.html', blob: new Blob([buildHeadHtml({ hasSvg }) + '\n'], { type: 'text/html' }) });
+
+    return entries;
+}
+
+// Each entry fits inside size × size and keeps the image's aspect ratio
+const fitSize = (size, width, height) => {
+    const scale = size / Math.max(width, height);
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+// ICO/CUR output for both conversion paths. Every size is drawn through the caller's
+// pipeline: render(width, height) returns a canvas, toPng(canvas) resolves to a PNG blob
+export async function encodeIconFile(format, { width, height, options, render, toPng, onProgress }) {
+    const sizes = [...options.sizes].sort((a, b) => a - b);
+    const images = [];
+
+    for (let i = 0; i < sizes.length; i++) {
+        const size = fitSize(sizes[i], width, height);
+        const canvas = render(size.width, size.height);
+        const data = options.payloads[sizes[i]] === 'bmp'
+            ? encodeDib(canvas.getContext('2d').getImageData(0, 0, size.width, size.height))
+            : new Uint8Array(await (await toPng(canvas)).arrayBuffer());
+        images.push({ ...size, data });
+        onProgress?.((i + 1) / sizes.length);
+    }
+
+    const bytes = writeIco(images, {
+        cursor: format === 'cur',
+        hotspot: { x: options.hotspot.x / 100, y: options.hotspot.y / 100 }
+    });
+    const blob = new Blob([bytes], { type: MIME_TYPES[format] });
+    const largest = images[images.length - 1];
+
+    return {
+        convertedBlob: blob,
+        convertedSize: blob.size,
+        width: largest.width,
+        height: largest.height,
+        format,
+        requestedFormat: null,
+        qualityUsed: null,
+        encoder: ICON_ENCODER
+    };
+}
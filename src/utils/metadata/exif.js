@@ -0,0 +1,117 @@
+// In-place edits on raw EXIF (TIFF) data
+// Removed tags are unlinked from their IFD and their bytes are zeroed
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_CAMERA_SERIAL = 0xC62F;
+const TAG_BODY_SERIAL = 0xA431;
+const TAG_LENS_SERIAL = 0xA435;
+const SERIAL_TAGS = [TAG_CAMERA_SERIAL, TAG_BODY_SERIAL, TAG_LENS_SERIAL];
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+function createReader(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const little = bytes[0] === 0x49; // 'II'
+    return {
+        view,
+        little,
+        u16: (offset) => view.getUint16(offset, little),
+        u32: (offset) => view.getUint32(offset, little)
+    };
+}
+
+// Entries that don't fit in the data (truncated or corrupt EXIF) are left out
+function readEntries(reader, ifdOffset) {
+    const size = reader.view.byteLength;
+    if (ifdOffset + 2 > size) return [];
+    const count = Math.min(reader.u16(ifdOffset), Math.floor((size - ifdOffset - 2) / 12));
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const offset = ifdOffset + 2 + i * 12;
+        const type = reader.u16(offset + 2);
+        const valueCount = reader.u32(offset + 4);
+        entries.push({
+            offset,
+            tag: reader.u16(offset),
+            type,
+            byteLength: (TYPE_SIZES[type] || 1) * valueCount,
+            value: reader.u32(offset + 8)
+        });
+    }
+    return entries;
+}
+
+function zeroEntryData(bytes, entry) {
+    if (entry.byteLength > 4 && entry.value + entry.byteLength <= bytes.length) {
+        bytes.fill(0, entry.value, entry.value + entry.byteLength);
+    }
+}
+
+// Zeroes every value of an IFD and the IFD itself
+function wipeIfd(bytes, reader, ifdOffset) {
+    if (!ifdOffset || ifdOffset + 2 > bytes.length) return;
+    const entries = readEntries(reader, ifdOffset);
+    entries.forEach(entry => zeroEntryData(bytes, entry));
+    bytes.fill(0, ifdOffset, ifdOffset + 2 + entries.length * 12 + 4);
+}
+
+// Drops matching entries by compacting the IFD and shrinking its count
+function removeEntries(bytes, reader, ifdOffset, shouldRemove) {
+    const entries = readEntries(reader, ifdOffset);
+    const kept = entries.filter(entry => !shouldRemove(entry));
+    if (kept.length === entries.length) return;
+
+    const nextIfd = bytes.slice(ifdOffset + 2 + entries.length * 12, ifdOffset + 2 + entries.length * 12 + 4);
+    const keptBytes = kept.map(entry => bytes.slice(entry.offset, entry.offset + 12));
+
+    reader.view.setUint16(ifdOffset, kept.length, reader.little);
+    keptBytes.forEach((entryBytes, i) => bytes.set(entryBytes, ifdOffset + 2 + i * 12));
+    bytes.set(nextIfd, ifdOffset + 2 + kept.length * 12);
+
+    const tailStart = ifdOffset + 2 + kept.length * 12 + 4;
+    bytes.fill(0, tailStart, ifdOffset + 2 + entries.length * 12 + 4);
+}
+
+export function sanitizeExif(exif, { stripGps = false, stripSerials = false } = {}) {
+    const bytes = exif.slice();
+    if (bytes.length < 8) return bytes;
+
+    const reader = createReader(bytes);
+    if (reader.u16(2) !== 42) return bytes;
+
+    const ifd0 = reader.u32(4);
+    if (ifd0 + 2 > bytes.length) return bytes;
+    const ifd0Entries = readEntries(reader, ifd0);
+
+    // Pixels are already decoded upright, so a kept orientation would rotate them twice
+    const orientation = ifd0Entries.find(entry => entry.tag === TAG_ORIENTATION);
+    if (orientation) reader.view.setUint16(orientation.offset + 8, 1, reader.little);
+
+    if (stripGps) {
+        const gps = ifd0Entries.find(entry => entry.tag === TAG_GPS_IFD);
+        if (gps) {
+            wipeIfd(bytes, reader, gps.value);
+            removeEntries(bytes, reader, ifd0, entry => entry.tag === TAG_GPS_IFD);
+        }
+    }
+
+    if (stripSerials) {
+        const isSerial = (entry) => {
+            if (!SERIAL_TAGS.includes(entry.tag)) return false;
+            zeroEntryData(bytes, entry);
+            return true;
+        };
+
+        removeEntries(bytes, reader, ifd0, isSerial);
+
+        const exifIfd = readEntries(reader, ifd0).find(entry => entry.tag === TAG_EXIF_IFD);
+        if (exifIfd && exifIfd.value + 2 <= bytes.length) {
+            removeEntries(bytes, reader, exifIfd.value, isSerial);
+        }
+    }
+
+    return bytes;
+}
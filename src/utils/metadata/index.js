@@ -0,0 +1,30 @@
+// Carries EXIF/XMP/ICC from the source file over to the converted output
+import { readMetadata } from './parse';
+import { writeMetadata } from './inject';
+import { sanitizeExif } from './exif';
+
+// status: 'preserved', 'none' (source had nothing), 'unsupported' (output can't hold it)
+// or 'error' (the metadata couldn't be read or written; the output is kept without it)
+export async function applyMetadata(sourceBlob, outputBlob, { stripGps = false, stripSerials = false } = {}) {
+    if (!sourceBlob) return { blob: outputBlob, status: 'none' };
+
+    try {
+        const metadata = await readMetadata(new Uint8Array(await sourceBlob.arrayBuffer()));
+        if (!metadata.exif && !metadata.xmp && !metadata.icc) {
+            return { blob: outputBlob, status: 'none' };
+        }
+
+        if (metadata.exif) {
+            metadata.exif = sanitizeExif(metadata.exif, { stripGps, stripSerials });
+        }
+
+        const output = await writeMetadata(new Uint8Array(await outputBlob.arrayBuffer()), metadata);
+        if (!output) return { blob: outputBlob, status: 'unsupported' };
+
+        return { blob: new Blob([output], { type: outputBlob.type }), status: 'preserved' };
+    } catch {
+        return { blob: outputBlob, status: 'error' };
+    }
+}
+
+export { readMetadata, writeMetadata, sanitizeExif };
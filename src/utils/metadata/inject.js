@@ -0,0 +1,155 @@
+// Writes EXIF, XMP and ICC segments into freshly encoded JPEG, PNG and WebP files
+import { detectContainer } from './parse';
+import { ascii, concat, deflate, pngChunk, readRiffChunks, riffChunk, riffFile, uint24 } from '../binary';
+
+const encoder = new TextEncoder();
+const XMP_JPEG_HEADER = encoder.encode('http://ns.adobe.com/xap/1.0/\0');
+const ICC_JPEG_HEADER = encoder.encode('ICC_PROFILE\0');
+const EXIF_HEADER = encoder.encode('Exif\0\0');
+
+// JPEG segments hold at most 65533 bytes after the length field
+const MAX_JPEG_SEGMENT = 65533;
+const MAX_ICC_CHUNK = MAX_JPEG_SEGMENT - ICC_JPEG_HEADER.length - 2;
+
+function jpegSegment(marker, ...parts) {
+    const data = concat(parts);
+    const header = new Uint8Array([0xFF, marker, (data.length + 2) >> 8, (data.length + 2) & 0xFF]);
+    return concat([header, data]);
+}
+
+function injectJpeg(bytes, { exif, xmp, icc }) {
+    const segments = [];
+
+    if (exif && exif.length + EXIF_HEADER.length <= MAX_JPEG_SEGMENT) {
+        segments.push(jpegSegment(0xE1, EXIF_HEADER, exif));
+    }
+    if (xmp && xmp.length + XMP_JPEG_HEADER.length <= MAX_JPEG_SEGMENT) {
+        segments.push(jpegSegment(0xE1, XMP_JPEG_HEADER, xmp));
+    }
+    if (icc) {
+        const count = Math.ceil(icc.length / MAX_ICC_CHUNK);
+        for (let i = 0; i < count; i++) {
+            const chunk = icc.subarray(i * MAX_ICC_CHUNK, (i + 1) * MAX_ICC_CHUNK);
+            segments.push(jpegSegment(0xE2, ICC_JPEG_HEADER, new Uint8Array([i + 1, count]), chunk));
+        }
+    }
+
+    // Keep a leading JFIF APP0 segment in first position
+    let insertAt = 2;
+    if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+        insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+    }
+
+    return concat([bytes.subarray(0, insertAt), ...segments, bytes.subarray(insertAt)]);
+}
+
+async function injectPng(bytes, { exif, xmp, icc }) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let ihdrEnd = 8;
+    let offset = 8;
+
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = ascii(bytes, offset + 4, 4);
+        const end = offset + 12 + length;
+
+        if (type === 'IHDR') {
+            ihdrEnd = end;
+        } else if (icc && (type === 'iCCP' || type === 'sRGB')) {
+            // An embedded profile replaces any sRGB declaration
+        } else {
+            chunks.push(bytes.subarray(offset, end));
+        }
+
+        offset = end;
+    }
+
+    const added = [];
+    if (icc) {
+        added.push(pngChunk('iCCP', concat([encoder.encode('ICC Profile\0'), new Uint8Array([0]), await deflate(icc)])));
+    }
+    if (exif) {
+        added.push(pngChunk('eXIf', exif));
+    }
+    if (xmp) {
+        // Keyword, uncompressed flag and method, empty language and translated keyword
+        added.push(pngChunk('iTXt', concat([encoder.encode('XML:com.adobe.xmp\0'), new Uint8Array([0, 0, 0, 0]), xmp])));
+    }
+
+    return concat([bytes.subarray(0, ihdrEnd), ...added, ...chunks]);
+}
+
+// Canvas size and alpha from the bitstream header when there is no VP8X chunk yet
+function readWebpCanvas(chunks) {
+    const vp8x = chunks.find(chunk => chunk.fourCC === 'VP8X');
+    if (vp8x) {
+        const d = vp8x.data;
+        return {
+            width: 1 + (d[4] | (d[5] << 8) | (d[6] << 16)),
+            height: 1 + (d[7] | (d[8] << 8) | (d[9] << 16)),
+            alpha: (d[0] & 0x10) !== 0
+        };
+    }
+
+    const lossless = chunks.find(chunk => chunk.fourCC === 'VP8L');
+    if (lossless) {
+        const d = lossless.data;
+        const bits = d[1] | (d[2] << 8) | (d[3] << 16) | (d[4] << 24);
+        return {
+            width: (bits & 0x3FFF) + 1,
+            height: ((bits >>> 14) & 0x3FFF) + 1,
+            alpha: ((bits >>> 28) & 1) === 1
+        };
+    }
+
+    const lossy = chunks.find(chunk => chunk.fourCC === 'VP8 ');
+    const d = lossy.data;
+    return {
+        width: (d[6] | (d[7] << 8)) & 0x3FFF,
+        height: (d[8] | (d[9] << 8)) & 0x3FFF,
+        alpha: chunks.some(chunk => chunk.fourCC === 'ALPH')
+    };
+}
+
+function injectWebp(bytes, { exif, xmp, icc }) {
+    const chunks = readRiffChunks(bytes);
+    const canvas = readWebpCanvas(chunks);
+    const existingFlags = chunks.find(chunk => chunk.fourCC === 'VP8X')?.data[0] || 0;
+    const flags = existingFlags
+        | (canvas.alpha ? 0x10 : 0)
+        | (icc ? 0x20 : 0)
+        | (exif ? 0x08 : 0)
+        | (xmp ? 0x04 : 0);
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = flags;
+    vp8x.set(uint24(canvas.width - 1), 4);
+    vp8x.set(uint24(canvas.height - 1), 7);
+
+    const replaced = ['VP8X', 'ICCP', 'EXIF', 'XMP '];
+    const imageChunks = chunks.filter(chunk => !replaced.includes(chunk.fourCC));
+
+    // Extended format order: VP8X, ICCP, image data, EXIF, XMP
+    return riffFile('WEBP', [
+        riffChunk('VP8X', vp8x),
+        ...(icc ? [riffChunk('ICCP', icc)] : []),
+        ...imageChunks.map(chunk => riffChunk(chunk.fourCC, chunk.data)),
+        ...(exif ? [riffChunk('EXIF', exif)] : []),
+        ...(xmp ? [riffChunk('XMP ', xmp)] : [])
+    ]);
+}
+
+// Returns null when the container can't carry metadata (e.g. AVIF)
+export async function writeMetadata(bytes, metadata) {
+    switch (detectContainer(bytes)) {
+        case 'jpeg':
+            return injectJpeg(bytes, metadata);
+        case 'png':
+            return injectPng(bytes, metadata);
+        case 'webp':
+            return injectWebp(bytes, metadata);
+        default:
+            return null;
+    }
+}
@@ -0,0 +1,142 @@
+// Reads EXIF, XMP and ICC segments out of JPEG, PNG and WebP files
+// EXIF is returned as raw TIFF data, XMP as a UTF-8 byte array
+
+const XMP_JPEG_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const ICC_JPEG_HEADER = 'ICC_PROFILE\0';
+
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+export function detectContainer(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'jpeg';
+    if (bytes[0] === 0x89 && ascii(bytes, 1, 3) === 'PNG') return 'png';
+    if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 4) === 'WEBP') return 'webp';
+    return null;
+}
+
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function stripExifHeader(bytes) {
+    return ascii(bytes, 0, 6) === 'Exif\0\0' ? bytes.subarray(6) : bytes;
+}
+
+function parseJpeg(bytes) {
+    const metadata = {};
+    const iccChunks = [];
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) break;
+        const marker = bytes[offset + 1];
+
+        // Fill bytes and standalone markers carry no length
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            offset += 2;
+            continue;
+        }
+        // Start of scan / end of image: no more metadata after this
+        if (marker === 0xDA || marker === 0xD9) break;
+
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const data = bytes.subarray(offset + 4, offset + 2 + length);
+
+        if (marker === 0xE1 && ascii(data, 0, 6) === 'Exif\0\0') {
+            metadata.exif = data.slice(6);
+        } else if (marker === 0xE1 && ascii(data, 0, XMP_JPEG_HEADER.length) === XMP_JPEG_HEADER) {
+            metadata.xmp = data.slice(XMP_JPEG_HEADER.length);
+        } else if (marker === 0xE2 && ascii(data, 0, ICC_JPEG_HEADER.length) === ICC_JPEG_HEADER) {
+            const sequence = data[ICC_JPEG_HEADER.length];
+            iccChunks.push({ sequence, data: data.subarray(ICC_JPEG_HEADER.length + 2) });
+        }
+
+        offset += 2 + length;
+    }
+
+    if (iccChunks.length > 0) {
+        iccChunks.sort((a, b) => a.sequence - b.sequence);
+        const total = iccChunks.reduce((sum, chunk) => sum + chunk.data.length, 0);
+        metadata.icc = new Uint8Array(total);
+        let position = 0;
+        for (const chunk of iccChunks) {
+            metadata.icc.set(chunk.data, position);
+            position += chunk.data.length;
+        }
+    }
+
+    return metadata;
+}
+
+async function parsePng(bytes) {
+    const metadata = {};
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 8;
+
+    while (offset + 8 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = ascii(bytes, offset + 4, 4);
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'eXIf') {
+            metadata.exif = stripExifHeader(data).slice();
+        } else if (type === 'iCCP') {
+            // Profile name, null separator, compression method, zlib data
+            const nameEnd = data.indexOf(0);
+            metadata.icc = await inflate(data.subarray(nameEnd + 2));
+        } else if (type === 'iTXt') {
+            const keywordEnd = data.indexOf(0);
+            if (ascii(data, 0, keywordEnd) === 'XML:com.adobe.xmp') {
+                const compressed = data[keywordEnd + 1] === 1;
+                const languageEnd = data.indexOf(0, keywordEnd + 3);
+                const translatedEnd = data.indexOf(0, languageEnd + 1);
+                const text = data.subarray(translatedEnd + 1);
+                metadata.xmp = compressed ? await inflate(text) : text.slice();
+            }
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        offset += 12 + length;
+    }
+
+    return metadata;
+}
+
+function parseWebp(bytes) {
+    const metadata = {};
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+        const fourCC = ascii(bytes, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const data = bytes.subarray(offset + 8, offset + 8 + size);
+
+        if (fourCC === 'EXIF') metadata.exif = stripExifHeader(data).slice();
+        else if (fourCC === 'XMP ') metadata.xmp = data.slice();
+        else if (fourCC === 'ICCP') metadata.icc = data.slice();
+
+        // Chunks are padded to an even size
+        offset += 8 + size + (size & 1);
+    }
+
+    return metadata;
+}
+
+export async function readMetadata(bytes) {
+    switch (detectContainer(bytes)) {
+        case 'jpeg':
+            return parseJpeg(bytes);
+        case 'png':
+            return parsePng(bytes);
+        case 'webp':
+            return parseWebp(bytes);
+        default:
+            return {};
+    }
+}
@@ -0,0 +1,190 @@
+// PDF export: converted files in FileList order, one per page or as a contact sheet
+import { deflate } from '../binary';
+import { createPdfWriter, escapeText, num } from './writer';
+
+const MM = 72 / 25.4;
+
+// Portrait sizes in points; 'image' sizes each page to its picture at 72 dpi
+export const PAGE_SIZES = {
+    a4: { label: 'A4', width: 595.28, height: 841.89 },
+    letter: { label: 'LETTER', width: 612, height: 792 },
+    legal: { label: 'LEGAL', width: 612, height: 1008 },
+    a3: { label: 'A3', width: 841.89, height: 1190.55 },
+    image: { label: 'IMAGE', width: null, height: null }
+};
+
+const CAPTION_SIZE = 7;
+const CAPTION_GAP = 3;
+const CELL_GAP = 6;
+
+// Dimensions and color components from a JPEG's start-of-frame marker
+function readJpegFrame(bytes) {
+    let offset = 2;
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) return null;
+        const marker = bytes[offset + 1];
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+            offset += 2;
+            continue;
+        }
+
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return {
+                height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                components: bytes[offset + 9]
+            };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+// JPEG outputs are embedded byte for byte; anything else is decoded and stored losslessly (Flate)
+async function toPdfImage(blob) {
+    if (blob.type === 'image/jpeg') {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        const frame = readJpegFrame(data);
+        if (frame) {
+            return {
+                width: frame.width,
+                height: frame.height,
+                colorSpace: { 1: 'DeviceGray', 4: 'DeviceCMYK' }[frame.components] || 'DeviceRGB',
+                // Adobe CMYK JPEGs are stored inverted
+                decode: frame.components === 4 ? [1, 0, 1, 0, 1, 0, 1, 0] : null,
+                filter: 'DCTDecode',
+                data
+            };
+        }
+    }
+
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+    const rgb = new Uint8Array(width * height * 3);
+    const alpha = new Uint8Array(width * height);
+    let hasAlpha = false;
+    for (let i = 0, p = 0; p < alpha.length; i += 4, p++) {
+        rgb[p * 3] = data[i];
+        rgb[p * 3 + 1] = data[i + 1];
+        rgb[p * 3 + 2] = data[i + 2];
+        alpha[p] = data[i + 3];
+        if (data[i + 3] !== 255) hasAlpha = true;
+    }
+
+    return {
+        width,
+        height,
+        colorSpace: 'DeviceRGB',
+        filter: 'FlateDecode',
+        data: await deflate(rgb),
+        alpha: hasAlpha ? { filter: 'FlateDecode', data: await deflate(alpha) } : null
+    };
+}
+
+function getPageSize(pageSize, orientation, image, margin) {
+    if (pageSize === 'image') {
+        return { width: image.width + margin * 2, height: image.height + margin * 2 };
+    }
+
+    const { width, height } = PAGE_SIZES[pageSize] || PAGE_SIZES.a4;
+    const landscape = orientation === 'landscape' || (orientation === 'auto' && image && image.width > image.height);
+    return landscape ? { width: height, height: width } : { width, height };
+}
+
+// Draws the image into the box; 'fill' covers it and clips the overflow, 'fit' letterboxes
+function drawImage(name, image, box, fit) {
+    const scale = fit === 'fill'
+        ? Math.max(box.width / image.width, box.height / image.height)
+        : Math.min(box.width / image.width, box.height / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const x = box.x + (box.width - width) / 2;
+    const y = box.y + (box.height - height) / 2;
+    const clip = fit === 'fill' ? `${num(box.x)} ${num(box.y)} ${num(box.width)} ${num(box.height)} re W n ` : '';
+
+    return `q ${clip}${num(width)} 0 0 ${num(height)} ${num(x)} ${num(y)} cm /${name} Do Q`;
+}
+
+// Helvetica averages about half an em per character; long names are cut to the cell
+function drawCaption(text, x, y, maxWidth) {
+    const maxChars = Math.max(4, Math.floor(maxWidth / (CAPTION_SIZE * 0.5)));
+    const caption = text.length > maxChars ? `${text.slice(0, maxChars - 3)}...` : text;
+    return `BT /F1 ${CAPTION_SIZE} Tf ${num(x)} ${num(y)} Td (${escapeText(caption)}) Tj ET`;
+}
+
+// items: [{ blob, name }] in page order
+// options: { pageSize, orientation, margin (mm), fit, layout: 'pages' | 'sheet', columns }
+export async function buildPdf(items, options, onProgress) {
+    const { pageSize = 'a4', orientation = 'auto', fit = 'fit', layout = 'pages', columns = 3 } = options;
+    const margin = (options.margin ?? 10) * MM;
+    const writer = createPdfWriter();
+    const images = [];
+
+    for (let i = 0; i < items.length; i++) {
+        try {
+            const image = await toPdfImage(items[i].blob);
+            images.push({ ...image, name: items[i].name, id: writer.addImage(image) });
+        } catch (error) {
+            console.warn(`Skipping ${items[i].name} in PDF:`, error);
+        }
+        onProgress?.((i + 1) / items.length);
+    }
+    if (images.length === 0) throw new Error('No images could be added to the PDF');
+
+    if (layout === 'sheet') {
+        // Contact sheets use one page size for every page; 'image' has no size of its own here
+        const page = getPageSize(pageSize === 'image' ? 'a4' : pageSize, orientation === 'auto' ? 'portrait' : orientation, null, margin);
+        const usableWidth = page.width - margin * 2;
+        const usableHeight = page.height - margin * 2;
+        const cellWidth = usableWidth / columns;
+        const rows = Math.max(1, Math.floor(usableHeight / (cellWidth + CAPTION_SIZE + CAPTION_GAP)));
+        const cellHeight = usableHeight / rows;
+        const perPage = rows * columns;
+
+        for (let start = 0; start < images.length; start += perPage) {
+            const pageImages = images.slice(start, start + perPage);
+            const content = pageImages.map((image, i) => {
+                const column = i % columns;
+                const row = Math.floor(i / columns);
+                const x = margin + column * cellWidth + CELL_GAP / 2;
+                const top = page.height - margin - row * cellHeight;
+                const box = {
+                    x,
+                    y: top - cellHeight + CELL_GAP / 2 + CAPTION_SIZE + CAPTION_GAP,
+                    width: cellWidth - CELL_GAP,
+                    height: cellHeight - CELL_GAP - CAPTION_SIZE - CAPTION_GAP
+                };
+                return [
+                    drawImage(`Im${i}`, image, box, fit),
+                    drawCaption(image.name, x, box.y - CAPTION_SIZE - CAPTION_GAP / 2, box.width)
+                ].join('\n');
+            });
+
+            writer.addPage({
+                ...page,
+                images: Object.fromEntries(pageImages.map((image, i) => [`Im${i}`, image.id])),
+                content: content.join('\n'),
+                usesFont: true
+            });
+        }
+    } else {
+        for (const image of images) {
+            const page = getPageSize(pageSize, orientation, image, margin);
+            const box = { x: margin, y: margin, width: page.width - margin * 2, height: page.height - margin * 2 };
+            writer.addPage({ ...page, images: { Im0: image.id }, content: drawImage('Im0', image, box, fit) });
+        }
+    }
+
+    return new Blob([writer.build()], { type: 'application/pdf' });
+}
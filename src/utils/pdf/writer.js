@@ -0,0 +1,98 @@
+// Minimal PDF 1.4 writer: image XObjects, one Helvetica font for captions, plain content streams
+import { concat } from '../binary';
+
+// PDF strings and headers are byte strings; characters outside Latin-1 can't be shown by the base font
+export const latin1 = (text) => Uint8Array.from(text, char => {
+    const code = char.charCodeAt(0);
+    return code < 256 ? code : 0x3F;
+});
+
+export const escapeText = (text) => text.replace(/[\\()]/g, '\\$&').replace(/[\r\n]+/g, ' ');
+
+// Numbers in content streams: no exponents, at most 3 decimals
+export const num = (value) => String(Math.round(value * 1000) / 1000);
+
+export function createPdfWriter() {
+    // Object 1 is the catalog and 2 the page tree, both written by build()
+    const objects = [null, null];
+    const pageIds = [];
+
+    const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+    };
+
+    const addStream = (dictionary, data) => addObject(concat([
+        latin1(`<< ${dictionary} /Length ${data.length} >>\nstream\n`),
+        data,
+        latin1('\nendstream')
+    ]));
+
+    let fontId = null;
+    const getFont = () => {
+        fontId ??= addObject(latin1('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'));
+        return fontId;
+    };
+
+    return {
+        // image: { width, height, colorSpace, filter, data, decode?, alpha?: { filter, data } }
+        addImage(image) {
+            const smask = image.alpha
+                ? addStream(
+                    `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /${image.alpha.filter}`,
+                    image.alpha.data
+                )
+                : null;
+
+            return addStream(
+                `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /${image.colorSpace} /BitsPerComponent 8 /Filter /${image.filter}` +
+                (image.decode ? ` /Decode [${image.decode.join(' ')}]` : '') +
+                (smask ? ` /SMask ${smask} 0 R` : ''),
+                image.data
+            );
+        },
+
+        // images: { name: objectId }, content: the page's drawing operators
+        addPage({ width, height, images, content, usesFont = false }) {
+            const xObjects = Object.entries(images).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+            const font = usesFont ? ` /Font << /F1 ${getFont()} 0 R >>` : '';
+            const contentId = addStream('', latin1(content));
+            pageIds.push(addObject(latin1(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+                `/Resources << /XObject << ${xObjects} >>${font} >> /Contents ${contentId} 0 R >>`
+            )));
+        },
+
+        build() {
+            objects[0] = latin1('<< /Type /Catalog /Pages 2 0 R >>');
+            objects[1] = latin1(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+            // The binary comment marks the file as binary for transfer tools
+            const parts = [latin1('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+            const offsets = [];
+            let position = parts[0].length;
+
+            objects.forEach((body, i) => {
+                const object = concat([latin1(`${i + 1} 0 obj\n`), body, latin1('\nendobj\n')]);
+                offsets.push(position);
+                parts.push(object);
+                position += object.length;
+            });
+
+            const xref = [
+                'xref',
+                `0 ${objects.length + 1}`,
+                '0000000000 65535 f ',
+                ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+                'trailer',
+                `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+                'startxref',
+                String(position),
+                '%%EOF'
+            ].join('\n');
+            parts.push(latin1(xref + '\n'));
+
+            return concat(parts);
+        }
+    };
+}
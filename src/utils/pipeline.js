@@ -0,0 +1,161 @@
+// The crop → resize → rotate/flip → filters pipeline shared by the editor preview,
+// the main-thread processor, the worker and icon packages. Callers only supply the canvas factory.
+import { normalizeCrop } from './crop';
+import { planResize } from './resize';
+import { applyFiltersToContext } from './filters';
+import { resampleImageData, unsharpMask, usesResampler } from './resample';
+
+const isQuarterTurn = (rotate) => rotate === 90 || rotate === 270;
+
+// Canvas factory for main-thread callers; the worker uses OffscreenCanvas
+export function createDomCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Crop rectangle in source pixels (null for the full image), the final output size, where
+// the image is placed in it, and the padding colour (null when padding stays transparent)
+export function planOutput({ crop, resize, rotate = 0 }, sourceWidth, sourceHeight) {
+    const cropRect = normalizeCrop(crop, sourceWidth, sourceHeight);
+    const layout = planResize(
+        resize,
+        cropRect ? cropRect.width : sourceWidth,
+        cropRect ? cropRect.height : sourceHeight,
+        rotate
+    );
+    const padded = resize?.enabled && resize.mode === 'contain';
+
+    return {
+        cropRect,
+        width: Math.max(1, layout.width),
+        height: Math.max(1, layout.height),
+        placement: layout.placement,
+        background: padded && !resize.transparent ? resize.background || '#ffffff' : null
+    };
+}
+
+// The plan's placement at another output size (fallback scales, size searches)
+function scalePlacement(plan, width, height) {
+    const scaleX = width / plan.width;
+    const scaleY = height / plan.height;
+    return {
+        x: Math.round(plan.placement.x * scaleX),
+        y: Math.round(plan.placement.y * scaleY),
+        width: Math.max(1, Math.round(plan.placement.width * scaleX)),
+        height: Math.max(1, Math.round(plan.placement.height * scaleY))
+    };
+}
+
+// Crop size turned into output orientation, i.e. the output size with no resize
+// Animation frames are VideoFrames, which only carry displayWidth / displayHeight
+function getNativeSize(source, rotate, cropRect) {
+    const width = cropRect ? cropRect.width : source.displayWidth ?? source.width;
+    const height = cropRect ? cropRect.height : source.displayHeight ?? source.height;
+    return isQuarterTurn(rotate) ? { width: height, height: width } : { width, height };
+}
+
+// Draws the source into rect (output orientation), with drawImage doing any scaling
+function drawTransformed(ctx, source, { rotate = 0, flip }, cropRect, rect) {
+    // The image is drawn centred in its pre-rotation size, then turned into place
+    const drawWidth = isQuarterTurn(rotate) ? rect.height : rect.width;
+    const drawHeight = isQuarterTurn(rotate) ? rect.width : rect.height;
+
+    ctx.save();
+    ctx.translate(rect.x + rect.width / 2, rect.y + rect.height / 2);
+
+    if (rotate) {
+        ctx.rotate((rotate * Math.PI) / 180);
+    }
+
+    if (flip?.horizontal || flip?.vertical) {
+        ctx.scale(flip.horizontal ? -1 : 1, flip.vertical ? -1 : 1);
+    }
+
+    if (cropRect) {
+        ctx.drawImage(
+            source,
+            cropRect.x, cropRect.y, cropRect.width, cropRect.height,
+            -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight
+        );
+    } else {
+        ctx.drawImage(source, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    }
+
+    ctx.restore();
+}
+
+// Renders at full crop resolution, halves with drawImage while at least 4x too large
+// (each exact halving is a clean 2x2 average), then resamples the remaining, under 4x, in JS
+function drawResampled(ctx, source, settings, cropRect, rect, createCanvas) {
+    const { rotate = 0, resampling } = settings;
+    const { width, height } = rect;
+    const native = getNativeSize(source, rotate, cropRect);
+    let stage = createCanvas(native.width, native.height);
+    drawTransformed(stage.getContext('2d'), source, settings, cropRect, { x: 0, y: 0, ...native });
+    const downscaled = width * height < stage.width * stage.height;
+
+    if (resampling.filter !== 'nearest') {
+        while (stage.width >= width * 4 && stage.height >= height * 4) {
+            const half = createCanvas(Math.ceil(stage.width / 2), Math.ceil(stage.height / 2));
+            const halfCtx = half.getContext('2d');
+            halfCtx.imageSmoothingQuality = 'low';
+            halfCtx.drawImage(stage, 0, 0, half.width, half.height);
+            stage = half;
+        }
+    }
+
+    const output = ctx.createImageData(width, height);
+    resampleImageData(stage.getContext('2d').getImageData(0, 0, stage.width, stage.height), output, resampling.filter);
+    if (downscaled && resampling.sharpen?.enabled) unsharpMask(output, resampling.sharpen);
+    ctx.putImageData(output, rect.x, rect.y);
+}
+
+// Draws the finished output at width x height (the plan's size by default): transforms,
+// scaling (drawImage or the selected resampler), filters, then any padding colour.
+// createCanvas is only needed for the resampler's intermediate stages.
+export function drawOutput(ctx, source, settings, plan, width = plan.width, height = plan.height, createCanvas) {
+    const rect = scalePlacement(plan, width, height);
+    const native = getNativeSize(source, settings.rotate, plan.cropRect);
+    const scaled = rect.width !== native.width || rect.height !== native.height;
+
+    ctx.clearRect(0, 0, width, height);
+
+    if (scaled && createCanvas && usesResampler(settings.resampling?.filter)) {
+        drawResampled(ctx, source, settings, plan.cropRect, rect, createCanvas);
+    } else {
+        drawTransformed(ctx, source, settings, plan.cropRect, rect);
+    }
+
+    applyFiltersToContext(ctx, width, height, settings.filters);
+
+    // Painted behind the image so the adjustments don't tint the padding
+    if (plan.background) {
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = plan.background;
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+    }
+}
+
+// Plans the output once; render() draws it at any size (fallback scales, size searches)
+// and takes another frame of the same source for animations
+export function createRenderer(source, settings, createCanvas) {
+    const plan = planOutput(settings, source.width, source.height);
+
+    // Chains and size searches re-encode the same size repeatedly, so the last still is kept
+    let last = null;
+
+    const render = (canvasWidth = plan.width, canvasHeight = plan.height, frame = source) => {
+        if (frame === source && last?.width === canvasWidth && last?.height === canvasHeight) return last;
+
+        const canvas = createCanvas(canvasWidth, canvasHeight);
+        drawOutput(canvas.getContext('2d'), frame, settings, plan, canvasWidth, canvasHeight, createCanvas);
+        if (frame === source) last = canvas;
+        return canvas;
+    };
+
+    return { width: plan.width, height: plan.height, render };
+}
@@ -0,0 +1,265 @@
+import { describe, expect, it } from 'vitest';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+import { createDefaultFilters } from './filters';
+import { createRenderer, planOutput } from './pipeline';
+
+// Golden-pixel tests for the pipeline the editor preview, the main-thread processor and
+// the worker all draw with, on the PNG fixtures in __fixtures__:
+// - gradient.png: 37x23, asymmetric, with a half-transparent top-left corner
+// - blocks.png: 48x32 in flat 4x4 blocks, so exact 1/2 and 1/4 downscales have known pixels
+// Geometry is checked pixel by pixel against the source. Adjustments and the JS
+// resamplers have no simple reference, so those outputs are checked against recorded
+// SHA-256 digests.
+
+const loadFixture = (name) => loadImage(readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url)));
+
+const gradient = await loadFixture('gradient.png');
+const blocks = await loadFixture('blocks.png');
+
+const createOffscreen = (width, height) => createCanvas(width, height);
+
+const readCanvas = (canvas) => {
+    const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    return { data, width, height };
+};
+
+// The decoded fixture, drawn without the pipeline
+function readImage(image) {
+    const canvas = createCanvas(image.width, image.height);
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    return readCanvas(canvas);
+}
+
+function render(image, settings) {
+    return readCanvas(createRenderer(image, {
+        rotate: 0,
+        flip: { horizontal: false, vertical: false },
+        filters: createDefaultFilters(),
+        ...settings
+    }, createOffscreen).render());
+}
+
+const pixelAt = ({ data, width }, x, y) => data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4);
+
+// A width x height image whose pixel (x, y) is the source pixel map(x, y) points at
+function mapPixels(source, width, height, map) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [sourceX, sourceY] = map(x, y);
+            data.set(pixelAt(source, sourceX, sourceY), (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+const digest = ({ data }) => createHash('sha256').update(data).digest('hex').slice(0, 16);
+
+const crop = (x, y, width, height) => ({ enabled: true, x, y, width, height, aspect: 'free' });
+
+describe('pipeline geometry', () => {
+    const source = readImage(gradient);
+    const { width: W, height: H } = source;
+
+    it('leaves an untouched image as it is', () => {
+        expect(render(gradient, {})).toEqual(source);
+    });
+
+    it.each([
+        [90, H, W, (x, y) => [y, H - 1 - x]],
+        [180, W, H, (x, y) => [W - 1 - x, H - 1 - y]],
+        [270, H, W, (x, y) => [W - 1 - y, x]]
+    ])('rotates %i degrees clockwise', (rotate, width, height, map) => {
+        expect(render(gradient, { rotate })).toEqual(mapPixels(source, width, height, map));
+    });
+
+    it('flips horizontally', () => {
+        const output = render(gradient, { flip: { horizontal: true, vertical: false } });
+        expect(output).toEqual(mapPixels(source, W, H, (x, y) => [W - 1 - x, y]));
+    });
+
+    it('flips vertically', () => {
+        const output = render(gradient, { flip: { horizontal: false, vertical: true } });
+        expect(output).toEqual(mapPixels(source, W, H, (x, y) => [x, H - 1 - y]));
+    });
+
+    it('crops in source pixels', () => {
+        const output = render(gradient, { crop: crop(3, 2, 20, 15) });
+        expect(output).toEqual(mapPixels(source, 20, 15, (x, y) => [3 + x, 2 + y]));
+    });
+
+    it('crops first, then flips and turns the cropped area', () => {
+        const output = render(gradient, { crop: crop(3, 2, 20, 15), rotate: 90, flip: { horizontal: true, vertical: false } });
+        expect(output).toEqual(mapPixels(source, 15, 20, (x, y) => [3 + 19 - y, 2 + 14 - x]));
+    });
+});
+
+describe('pipeline resizing', () => {
+    const source = readImage(blocks);
+
+    it.each([
+        ['percentage 50%', { mode: 'percentage', percentage: 50 }, 24, 16, (x, y) => [x * 2, y * 2]],
+        ['percentage 25%', { mode: 'percentage', percentage: 25 }, 12, 8, (x, y) => [x * 4, y * 4]],
+        ['dimensions, aspect locked', { mode: 'dimensions', width: 24, lockAspect: true }, 24, 16, (x, y) => [x * 2, y * 2]],
+        ['dimensions, aspect free', { mode: 'dimensions', width: 24, height: 8, lockAspect: false }, 24, 8, (x, y) => [x * 2, y * 4]]
+    ])('resizes by %s', (name, resize, width, height, map) => {
+        const output = render(blocks, { resize: { enabled: true, ...resize } });
+        expect(output).toEqual(mapPixels(source, width, height, map));
+    });
+
+    it('resizes before turning', () => {
+        const output = render(blocks, { resize: { enabled: true, mode: 'percentage', percentage: 50 }, rotate: 270 });
+        expect(output).toEqual(mapPixels(source, 16, 24, (x, y) => [(23 - y) * 2, x * 2]));
+    });
+
+    it.each([
+        ['fit', { mode: 'fit', width: 24, height: 24 }, 24, 16, (x, y) => [x * 2, y * 2]],
+        ['max edge', { mode: 'maxEdge', maxEdge: 12 }, 12, 8, (x, y) => [x * 4, y * 4]],
+        ['fill, centred', { mode: 'fill', width: 16, height: 16, anchor: 'center' }, 16, 16, (x, y) => [(x + 4) * 2, y * 2]],
+        ['fill, anchored east', { mode: 'fill', width: 16, height: 16, anchor: 'e' }, 16, 16, (x, y) => [(x + 8) * 2, y * 2]]
+    ])('resizes by %s', (name, resize, width, height, map) => {
+        const output = render(blocks, { resize: { enabled: true, ...resize } });
+        expect(output).toEqual(mapPixels(source, width, height, map));
+    });
+
+    it('sizes box modes after turning', () => {
+        const output = render(blocks, { resize: { enabled: true, mode: 'fit', width: 16, height: 24 }, rotate: 90 });
+        expect(output).toEqual(mapPixels(source, 16, 24, (x, y) => [y * 2, 31 - x * 2]));
+    });
+
+    it('never enlarges unless upscaling is allowed', () => {
+        const output = render(blocks, { resize: { enabled: true, mode: 'fit', width: 96, height: 96 } });
+        expect(output).toEqual(source);
+    });
+
+    it.each([
+        ['a padding colour', { background: '#336699', transparent: false }, [0x33, 0x66, 0x99, 255]],
+        ['transparent padding', { background: '#336699', transparent: true }, [0, 0, 0, 0]]
+    ])('contains the image at its anchor with %s', (name, padding, padPixel) => {
+        const output = render(blocks, { resize: { enabled: true, mode: 'contain', width: 30, height: 16, anchor: 'e', ...padding } });
+        // The 24x16 image sits against the right edge, at (6, 0)
+        const image = mapPixels(source, 24, 16, (x, y) => [x * 2, y * 2]);
+        const expected = { data: new Uint8ClampedArray(30 * 16 * 4), width: 30, height: 16 };
+        for (let y = 0; y < 16; y++) {
+            for (let x = 0; x < 30; x++) {
+                expected.data.set(x >= 6 ? pixelAt(image, x - 6, y) : padPixel, (y * 30 + x) * 4);
+            }
+        }
+        expect(output).toEqual(expected);
+    });
+});
+
+describe('pipeline resampling', () => {
+    const source = readImage(blocks);
+    const half = { enabled: true, mode: 'percentage', percentage: 50 };
+    const sharpenOff = { enabled: false, amount: 50, radius: 1, threshold: 0 };
+
+    it('leaves browser scaling to drawImage', () => {
+        const output = render(blocks, { resize: half, resampling: { filter: 'browser', sharpen: sharpenOff } });
+        expect(output).toEqual(mapPixels(source, 24, 16, (x, y) => [x * 2, y * 2]));
+    });
+
+    it('samples the nearest source pixel', () => {
+        const output = render(blocks, { resize: half, resampling: { filter: 'nearest', sharpen: sharpenOff } });
+        expect(output).toEqual(mapPixels(source, 24, 16, (x, y) => [x * 2 + 1, y * 2 + 1]));
+    });
+
+    it('does not resample when the size is unchanged', () => {
+        const output = render(gradient, { resampling: { filter: 'lanczos3', sharpen: { ...sharpenOff, enabled: true } } });
+        expect(output).toEqual(readImage(gradient));
+    });
+
+    // 3x goes straight to the kernel; 4x is halved with drawImage first (exact on 4x4 blocks)
+    it.each([
+        ['bilinear', 3, 'd87781d60dcaede0'],
+        ['bicubic', 3, '7067f595b613a26b'],
+        ['lanczos3', 3, 'af6d34d2e5628485'],
+        ['mitchell', 3, 'be9aaca3cbf63a17'],
+        ['lanczos3', 4, '932893175c2f8dee']
+    ])('matches the recorded %s output at 1/%i', (filter, factor, expected) => {
+        const output = render(blocks, {
+            resize: { enabled: true, mode: 'dimensions', width: 48 / factor, lockAspect: true },
+            resampling: { filter, sharpen: sharpenOff }
+        });
+        expect([output.width, output.height]).toEqual([48 / factor, Math.round(32 / factor)]);
+        expect(digest(output)).toBe(expected);
+    });
+
+    it('matches the recorded output with the unsharp mask', () => {
+        const output = render(blocks, {
+            resize: { enabled: true, mode: 'dimensions', width: 16, lockAspect: true },
+            resampling: { filter: 'lanczos3', sharpen: { enabled: true, amount: 80, radius: 1, threshold: 2 } }
+        });
+        expect(digest(output)).toBe('f85e100518bae52e');
+    });
+});
+
+describe('pipeline adjustments', () => {
+    const adjust = (changes) => ({ ...createDefaultFilters(), ...changes });
+
+    it('turns grayscale pixels neutral', () => {
+        const { data } = render(gradient, { filters: adjust({ grayscale: true }) });
+        for (let i = 0; i < data.length; i += 4) {
+            expect(data[i + 1]).toBe(data[i]);
+            expect(data[i + 2]).toBe(data[i]);
+        }
+    });
+
+    it('adjusts the output after turning it', () => {
+        const filters = adjust({ brightness: 25, hue: 60 });
+        const upright = render(gradient, { filters });
+        const turned = render(gradient, { filters, rotate: 90 });
+        expect(turned).toEqual(mapPixels(upright, 23, 37, (x, y) => [y, 22 - x]));
+    });
+
+    it.each([
+        ['grayscale', { grayscale: true }, '1b6cab6ae1d24ca7'],
+        ['brightness and contrast', { brightness: 20, contrast: -30 }, '714054f7daf274a6'],
+        ['exposure and gamma', { exposure: 0.5, gamma: 1.4 }, 'dc0cc048aea06880'],
+        ['temperature and tint', { temperature: 40, tint: -25 }, '0c054f1ebbf36816'],
+        ['saturation, vibrance and hue', { saturation: -40, vibrance: 30, hue: 45 }, 'f36ee7e70e3697e6'],
+        ['levels', { levels: { inputBlack: 20, inputWhite: 230, gamma: 0.8, outputBlack: 10, outputWhite: 245 } }, '4c76afb433dd9eba'],
+        ['curves', { curves: { ...createDefaultFilters().curves, rgb: [[0, 0], [128, 160], [255, 255]], r: [[0, 30], [255, 220]] } }, '0bf2a8fdadeee5cc']
+    ])('matches the recorded output for %s', (name, changes, expected) => {
+        expect(digest(render(gradient, { filters: adjust(changes) }))).toBe(expected);
+    });
+});
+
+describe('planOutput', () => {
+    it('uses the source size when nothing is set', () => {
+        expect(planOutput({}, 37, 23)).toMatchObject({ cropRect: null, width: 37, height: 23 });
+    });
+
+    it('crops before rotating', () => {
+        const plan = planOutput({ crop: crop(5, 4, 20, 10), rotate: 90 }, 37, 23);
+        expect(plan).toMatchObject({ cropRect: { x: 5, y: 4, width: 20, height: 10 }, width: 10, height: 20 });
+    });
+
+    it('keeps the crop inside the image', () => {
+        const plan = planOutput({ crop: crop(30, 20, 50, 50) }, 37, 23);
+        expect(plan.cropRect).toEqual({ x: 30, y: 20, width: 7, height: 3 });
+    });
+
+    it('sizes box modes after rotating', () => {
+        const plan = planOutput({ resize: { enabled: true, mode: 'fit', width: 100, height: 100, allowUpscale: true }, rotate: 270 }, 40, 20);
+        expect([plan.width, plan.height]).toEqual([50, 100]);
+    });
+
+    it('places contain output at the anchor with the padding colour', () => {
+        const plan = planOutput({ resize: { enabled: true, mode: 'contain', width: 100, height: 100, anchor: 'e', background: '#000000' } }, 50, 20);
+        expect(plan.placement).toEqual({ x: 50, y: 40, width: 50, height: 20 });
+        expect(plan.background).toBe('#000000');
+    });
+
+    it('only pads contain output', () => {
+        expect(planOutput({ resize: { enabled: true, mode: 'fit', width: 100, height: 100 } }, 50, 20).background).toBeNull();
+        expect(planOutput({ resize: { enabled: true, mode: 'contain', width: 100, height: 100, transparent: true } }, 50, 20).background).toBeNull();
+    });
+
+    it('never plans an empty output', () => {
+        const plan = planOutput({ resize: { enabled: true, mode: 'percentage', percentage: 1 } }, 37, 23);
+        expect([plan.width, plan.height]).toEqual([1, 1]);
+    });
+});
@@ -0,0 +1,135 @@
+// User-defined presets: a named snapshot of the settings, kept in localStorage and shared as JSON
+import { MIME_TYPES } from './conversionChain';
+import { ANCHORS, RESIZE_MODES } from './resize';
+import { RESAMPLE_FILTERS } from './resample';
+import { SRCSET_FORMATS } from './srcset';
+import { ICON_OUTPUT_SIZES } from './icons';
+import { PAGE_SIZES } from './pdf';
+import { ASPECT_PRESETS } from './crop';
+
+const STORAGE_KEY = 'custom_presets';
+const FILE_VERSION = 1;
+
+// Crop is in source pixels of one image and `preset` is the selection itself, so neither is captured
+const EXCLUDED_KEYS = ['preset', 'crop'];
+
+export function pickPresetSettings(settings) {
+    const picked = structuredClone(settings);
+    EXCLUDED_KEYS.forEach(key => delete picked[key]);
+    return picked;
+}
+
+export function createPreset(name, settings) {
+    return { id: crypto.randomUUID(), name: name.trim(), settings: pickPresetSettings(settings) };
+}
+
+export function loadPresets() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch {
+        return [];
+    }
+}
+
+export function savePresets(presets) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+    } catch (e) {
+        console.error('Failed to save presets:', e);
+    }
+}
+
+export function exportPresets(presets) {
+    const data = {
+        app: 'comprangel',
+        version: FILE_VERSION,
+        presets: presets.map(({ name, settings }) => ({ name, settings }))
+    };
+    return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Settings (by path; array paths apply to each item) that only take one of a fixed set of values
+const ALLOWED_VALUES = {
+    outputFormat: Object.keys(MIME_TYPES),
+    'resize.mode': RESIZE_MODES.map(mode => mode.value),
+    'resize.anchor': Object.keys(ANCHORS),
+    'resampling.filter': RESAMPLE_FILTERS.map(filter => filter.value),
+    rotate: [0, 90, 180, 270],
+    'crop.aspect': ASPECT_PRESETS.map(preset => preset.value),
+    encoder: ['browser', 'wasm'],
+    'encoderOptions.jpeg.chromaSubsampling': ['4:2:0', '4:4:4'],
+    'encoderOptions.avif.chromaSubsampling': ['4:2:0', '4:4:4'],
+    'srcset.formats': SRCSET_FORMATS,
+    'icoOutput.sizes': ICON_OUTPUT_SIZES,
+    ...Object.fromEntries(ICON_OUTPUT_SIZES.map(size => [`icoOutput.payloads.${size}`, ['bmp', 'png']])),
+    'pdf.layout': ['pages', 'sheet'],
+    'pdf.pageSize': Object.keys(PAGE_SIZES),
+    'pdf.orientation': ['auto', 'portrait', 'landscape'],
+    'pdf.fit': ['fit', 'fill'],
+    'sheet.layout': ['grid', 'packed'],
+    'targetSize.scope': ['file', 'total']
+};
+
+// The value if it has the default's shape, otherwise undefined. Objects keep only the
+// default's keys (invalid or missing ones fall back to it), array items must match
+// the default's first item and may not all be missing when the default has some,
+// null defaults are optional numbers, and ALLOWED_VALUES paths must be in their list.
+function conform(value, fallback, path = '') {
+    if (isPlainObject(fallback)) {
+        if (!isPlainObject(value)) return undefined;
+        return Object.fromEntries(Object.entries(fallback).map(([key, item]) => {
+            const conformed = conform(value[key], item, path ? `${path}.${key}` : key);
+            return [key, conformed === undefined ? item : conformed];
+        }));
+    }
+
+    if (Array.isArray(fallback)) {
+        if (!Array.isArray(value) || (value.length === 0 && fallback.length > 0)) return undefined;
+        const items = value.map(item => conform(item, fallback[0], path));
+        return items.includes(undefined) ? undefined : items;
+    }
+
+    const allowed = ALLOWED_VALUES[path];
+    if (allowed && !allowed.includes(value)) return undefined;
+    if (fallback === null) return value === null || Number.isFinite(value) ? value : undefined;
+    if (typeof fallback === 'number') return Number.isFinite(value) ? value : undefined;
+    return typeof value === typeof fallback ? value : undefined;
+}
+
+// Known settings with the expected types; null when nothing usable is left
+function conformSettings(settings, defaults) {
+    if (!isPlainObject(settings)) return null;
+
+    const entries = Object.keys(defaults)
+        .filter(key => !EXCLUDED_KEYS.includes(key) && key in settings)
+        .map(key => [key, conform(settings[key], defaults[key], key)])
+        .filter(([, value]) => value !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+// Accepts an exported file (or a bare array of presets); throws on anything else.
+// Settings are checked against the shape of `defaults` (the app's settings); presets with
+// nothing valid are skipped and counted.
+export function parsePresets(text, defaults) {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data?.presets;
+    if (!Array.isArray(list)) throw new Error('No presets found in file');
+
+    const presets = [];
+    for (const item of list) {
+        const settings = conformSettings(item?.settings, defaults);
+        if (typeof item?.name === 'string' && item.name.trim() && settings) {
+            presets.push(createPreset(item.name, settings));
+        }
+    }
+    return { presets, skipped: list.length - presets.length };
+}
+
+// Same-name presets are replaced so re-importing a shared file updates it
+export function mergePresets(existing, incoming) {
+    const names = new Set(incoming.map(preset => preset.name.toLowerCase()));
+    return [...existing.filter(preset => !names.has(preset.name.toLowerCase())), ...incoming];
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+import { parsePresets } from './presets';
+
+const defaults = {
+    outputFormat: 'webp',
+    quality: 80,
+    preset: 'custom',
+    resize: { enabled: false, mode: 'percentage', width: null, anchor: 'center' },
+    resampling: { filter: 'browser' },
+    rotate: 0,
+    encoder: 'browser',
+    srcset: { enabled: false, widths: [320, 640], formats: ['avif', 'webp'] },
+    icoOutput: { sizes: [16, 32], payloads: { 16: 'bmp', 256: 'png' } },
+    pdf: { layout: 'pages', pageSize: 'a4' },
+    targetSize: { scope: 'file' }
+};
+
+const parseSettings = (settings) => parsePresets(JSON.stringify([{ name: 'Test', settings }]), defaults);
+
+describe('parsePresets', () => {
+    it('keeps valid settings and fills the rest of an object from the defaults', () => {
+        const { presets, skipped } = parseSettings({ outputFormat: 'avif', resize: { enabled: true, mode: 'fit', width: 800 } });
+        expect(skipped).toBe(0);
+        expect(presets[0].settings).toEqual({
+            outputFormat: 'avif',
+            resize: { enabled: true, mode: 'fit', width: 800, anchor: 'center' }
+        });
+    });
+
+    it('drops values outside their allowed list', () => {
+        const { presets } = parseSettings({
+            quality: 60,
+            outputFormat: 'bmp',
+            resize: { mode: 'stretch', anchor: 'middle' },
+            resampling: { filter: 'sinc' },
+            rotate: 45,
+            encoder: 'gpu',
+            pdf: { layout: 'book', pageSize: 'a5' },
+            targetSize: { scope: 'folder' },
+            icoOutput: { payloads: { 16: 'jpeg' } }
+        });
+        expect(presets[0].settings).toEqual({
+            quality: 60,
+            resize: defaults.resize,
+            resampling: defaults.resampling,
+            pdf: defaults.pdf,
+            targetSize: defaults.targetSize,
+            icoOutput: defaults.icoOutput
+        });
+    });
+
+    it('checks array items against the allowed list', () => {
+        expect(parseSettings({ srcset: { formats: ['webp', 'jpeg'] } }).presets[0].settings.srcset.formats).toEqual(['webp', 'jpeg']);
+        expect(parseSettings({ srcset: { formats: ['webp', 'gif'] } }).presets[0].settings.srcset.formats).toEqual(defaults.srcset.formats);
+        expect(parseSettings({ icoOutput: { sizes: [16, 20] } }).presets[0].settings.icoOutput.sizes).toEqual(defaults.icoOutput.sizes);
+    });
+
+    it('rejects empty arrays where the defaults have items', () => {
+        const { presets } = parseSettings({ icoOutput: { sizes: [] }, srcset: { widths: [], formats: [] } });
+        expect(presets[0].settings.icoOutput.sizes).toEqual(defaults.icoOutput.sizes);
+        expect(presets[0].settings.srcset).toEqual(defaults.srcset);
+    });
+
+    it('skips presets with nothing valid', () => {
+        const { presets, skipped } = parseSettings({ outputFormat: 'bmp', rotate: 45 });
+        expect(presets).toEqual([]);
+        expect(skipped).toBe(1);
+    });
+});
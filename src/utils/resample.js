@@ -0,0 +1,204 @@
+// Separable convolution resampling on RGBA pixels, with an optional unsharp mask.
+// Kernels widen when shrinking so every source pixel contributes (no aliasing);
+// colour is weighted by alpha so transparent edges don't bleed dark fringes.
+
+const sinc = (x) => {
+    if (x === 0) return 1;
+    const px = Math.PI * x;
+    return Math.sin(px) / px;
+};
+
+// Mitchell-Netravali cubic; B = C = 1/3 is the recommended Mitchell filter,
+// B = 0, C = 0.5 is Catmull-Rom (the usual "bicubic")
+const cubic = (b, c) => (x) => {
+    const t = Math.abs(x);
+    if (t < 1) return ((12 - 9 * b - 6 * c) * t ** 3 + (-18 + 12 * b + 6 * c) * t ** 2 + (6 - 2 * b)) / 6;
+    if (t < 2) return ((-b - 6 * c) * t ** 3 + (6 * b + 30 * c) * t ** 2 + (-12 * b - 48 * c) * t + (8 * b + 24 * c)) / 6;
+    return 0;
+};
+
+const KERNELS = {
+    bilinear: { support: 1, weight: (x) => Math.max(0, 1 - Math.abs(x)) },
+    bicubic: { support: 2, weight: cubic(0, 0.5) },
+    mitchell: { support: 2, weight: cubic(1 / 3, 1 / 3) },
+    lanczos3: { support: 3, weight: (x) => Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0 }
+};
+
+// 'browser' leaves scaling to drawImage
+export const RESAMPLE_FILTERS = [
+    { value: 'browser', label: 'BROWSER' },
+    { value: 'nearest', label: 'NEAREST' },
+    { value: 'bilinear', label: 'BILINEAR' },
+    { value: 'bicubic', label: 'BICUBIC' },
+    { value: 'lanczos3', label: 'LANCZOS3' },
+    { value: 'mitchell', label: 'MITCHELL' }
+];
+
+export function usesResampler(filter) {
+    return filter === 'nearest' || filter in KERNELS;
+}
+
+// Source pixels and normalised weights for each destination pixel along one axis
+function computeContributions(srcSize, dstSize, kernel) {
+    const scale = dstSize / srcSize;
+    const stretch = Math.max(1, 1 / scale);
+    const support = kernel.support * stretch;
+    const contributions = [];
+
+    for (let i = 0; i < dstSize; i++) {
+        const center = (i + 0.5) / scale;
+        const start = Math.max(0, Math.floor(center - support));
+        const end = Math.min(srcSize - 1, Math.ceil(center + support));
+        const weights = new Float32Array(end - start + 1);
+        let total = 0;
+
+        for (let j = start; j <= end; j++) {
+            const weight = kernel.weight((j + 0.5 - center) / stretch);
+            weights[j - start] = weight;
+            total += weight;
+        }
+
+        if (total !== 0) {
+            for (let k = 0; k < weights.length; k++) weights[k] /= total;
+        }
+        contributions.push({ start, weights });
+    }
+
+    return contributions;
+}
+
+function resampleNearest(src, dst) {
+    const scaleX = src.width / dst.width;
+    const scaleY = src.height / dst.height;
+
+    for (let y = 0; y < dst.height; y++) {
+        const sy = Math.min(src.height - 1, Math.floor((y + 0.5) * scaleY));
+        for (let x = 0; x < dst.width; x++) {
+            const sx = Math.min(src.width - 1, Math.floor((x + 0.5) * scaleX));
+            const from = (sy * src.width + sx) * 4;
+            const to = (y * dst.width + x) * 4;
+            dst.data[to] = src.data[from];
+            dst.data[to + 1] = src.data[from + 1];
+            dst.data[to + 2] = src.data[from + 2];
+            dst.data[to + 3] = src.data[from + 3];
+        }
+    }
+}
+
+// Resamples src ({data, width, height}) into dst, which sets the target size
+export function resampleImageData(src, dst, filter) {
+    if (filter === 'nearest') {
+        resampleNearest(src, dst);
+        return dst;
+    }
+
+    const kernel = KERNELS[filter] || KERNELS.bilinear;
+    const columns = computeContributions(src.width, dst.width, kernel);
+    const rows = computeContributions(src.height, dst.height, kernel);
+
+    // Horizontal pass into premultiplied floats, only dst.width wide
+    const temp = new Float32Array(dst.width * src.height * 4);
+    for (let y = 0; y < src.height; y++) {
+        const rowOffset = y * src.width;
+        for (let x = 0; x < dst.width; x++) {
+            const { start, weights } = columns[x];
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let k = 0; k < weights.length; k++) {
+                const p = (rowOffset + start + k) * 4;
+                const wa = weights[k] * src.data[p + 3];
+                r += src.data[p] * wa;
+                g += src.data[p + 1] * wa;
+                b += src.data[p + 2] * wa;
+                a += wa;
+            }
+            const t = (y * dst.width + x) * 4;
+            temp[t] = r;
+            temp[t + 1] = g;
+            temp[t + 2] = b;
+            temp[t + 3] = a;
+        }
+    }
+
+    // Vertical pass, un-premultiplied back to bytes
+    for (let y = 0; y < dst.height; y++) {
+        const { start, weights } = rows[y];
+        for (let x = 0; x < dst.width; x++) {
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let k = 0; k < weights.length; k++) {
+                const t = ((start + k) * dst.width + x) * 4;
+                r += temp[t] * weights[k];
+                g += temp[t + 1] * weights[k];
+                b += temp[t + 2] * weights[k];
+                a += temp[t + 3] * weights[k];
+            }
+            const p = (y * dst.width + x) * 4;
+            if (a > 0) {
+                dst.data[p] = r / a;
+                dst.data[p + 1] = g / a;
+                dst.data[p + 2] = b / a;
+            }
+            dst.data[p + 3] = a;
+        }
+    }
+
+    return dst;
+}
+
+function gaussianKernel(radius) {
+    const size = Math.max(1, Math.ceil(radius * 3));
+    const kernel = new Float32Array(size * 2 + 1);
+    let total = 0;
+    for (let i = -size; i <= size; i++) {
+        const weight = Math.exp(-(i * i) / (2 * radius * radius));
+        kernel[i + size] = weight;
+        total += weight;
+    }
+    return kernel.map(weight => weight / total);
+}
+
+// Unsharp mask on RGB: adds back amount% of the difference from a Gaussian blur,
+// skipping differences at or under threshold (0-255) so flat areas don't get noisy
+export function unsharpMask({ data, width, height }, { amount = 50, radius = 1, threshold = 0 } = {}) {
+    if (amount <= 0 || radius <= 0) return;
+
+    const kernel = gaussianKernel(radius);
+    const half = (kernel.length - 1) / 2;
+    const horizontal = new Float32Array(width * height * 3);
+    const strength = amount / 100;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0;
+            for (let k = 0; k < kernel.length; k++) {
+                const sx = Math.min(width - 1, Math.max(0, x + k - half));
+                const p = (y * width + sx) * 4;
+                r += data[p] * kernel[k];
+                g += data[p + 1] * kernel[k];
+                b += data[p + 2] * kernel[k];
+            }
+            const h = (y * width + x) * 3;
+            horizontal[h] = r;
+            horizontal[h + 1] = g;
+            horizontal[h + 2] = b;
+        }
+    }
+
+    // The vertical blur pass reads rows ahead, so sharpened values go to a copy first
+    const sharpened = new Uint8ClampedArray(data);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = (y * width + x) * 4;
+            for (let c = 0; c < 3; c++) {
+                let blurred = 0;
+                for (let k = 0; k < kernel.length; k++) {
+                    const sy = Math.min(height - 1, Math.max(0, y + k - half));
+                    blurred += horizontal[(sy * width + x) * 3 + c] * kernel[k];
+                }
+                const diff = data[p + c] - blurred;
+                if (Math.abs(diff) > threshold) sharpened[p + c] = data[p + c] + diff * strength;
+            }
+        }
+    }
+
+    data.set(sharpened);
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { RESAMPLE_FILTERS, resampleImageData, unsharpMask, usesResampler } from './resample';
+
+// Plain { data, width, height } images, which is all the resampler reads and writes
+const createImage = (width, height, fill = () => [0, 0, 0, 0]) => {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) data.set(fill(x, y), (y * width + x) * 4);
+    }
+    return { data, width, height };
+};
+
+const pixelAt = ({ data, width }, x, y) => [...data.slice((y * width + x) * 4, (y * width + x) * 4 + 4)];
+
+const KERNEL_FILTERS = ['bilinear', 'bicubic', 'lanczos3', 'mitchell'];
+
+describe('usesResampler', () => {
+    it('leaves browser scaling to drawImage', () => {
+        expect(usesResampler('browser')).toBe(false);
+        expect(RESAMPLE_FILTERS.filter(filter => usesResampler(filter.value)).map(filter => filter.value))
+            .toEqual(['nearest', 'bilinear', 'bicubic', 'lanczos3', 'mitchell']);
+    });
+});
+
+describe('resampleImageData', () => {
+    it.each(['nearest', ...KERNEL_FILTERS])('keeps a flat colour flat (%s)', (filter) => {
+        const src = createImage(17, 9, () => [200, 100, 50, 255]);
+        const dst = resampleImageData(src, createImage(5, 4), filter);
+        for (let y = 0; y < dst.height; y++) {
+            for (let x = 0; x < dst.width; x++) expect(pixelAt(dst, x, y)).toEqual([200, 100, 50, 255]);
+        }
+    });
+
+    it.each(KERNEL_FILTERS)('does not darken colour next to transparency (%s)', (filter) => {
+        // Transparent black on the left, opaque white on the right
+        const src = createImage(8, 1, (x) => x < 4 ? [0, 0, 0, 0] : [255, 255, 255, 255]);
+        const dst = resampleImageData(src, createImage(4, 1), filter);
+        for (let x = 0; x < dst.width; x++) {
+            const [r, g, b, a] = pixelAt(dst, x, 0);
+            if (a > 0) expect([r, g, b]).toEqual([255, 255, 255]);
+        }
+    });
+
+    it('picks the nearest source pixel when upscaling', () => {
+        const src = createImage(2, 1, (x) => x === 0 ? [255, 0, 0, 255] : [0, 0, 255, 255]);
+        const dst = resampleImageData(src, createImage(4, 1), 'nearest');
+        expect([0, 1, 2, 3].map(x => pixelAt(dst, x, 0)[0])).toEqual([255, 255, 0, 0]);
+    });
+
+    it('averages every source pixel when shrinking', () => {
+        // A one-pixel line a point sampler could step over entirely
+        const src = createImage(16, 1, (x) => x === 7 ? [255, 255, 255, 255] : [0, 0, 0, 255]);
+        const dst = resampleImageData(src, createImage(2, 1), 'bilinear');
+        expect(pixelAt(dst, 0, 0)[0]).toBeGreaterThan(0);
+    });
+});
+
+describe('unsharpMask', () => {
+    it('raises contrast across an edge and leaves alpha alone', () => {
+        const image = createImage(6, 1, (x) => x < 3 ? [100, 100, 100, 200] : [150, 150, 150, 200]);
+        unsharpMask(image, { amount: 100, radius: 1, threshold: 0 });
+        expect(pixelAt(image, 2, 0)[0]).toBeLessThan(100);
+        expect(pixelAt(image, 3, 0)[0]).toBeGreaterThan(150);
+        expect(pixelAt(image, 0, 0)[3]).toBe(200);
+    });
+
+    it('skips differences under the threshold', () => {
+        const image = createImage(6, 1, (x) => x < 3 ? [100, 100, 100, 255] : [104, 104, 104, 255]);
+        unsharpMask(image, { amount: 100, radius: 1, threshold: 10 });
+        expect(pixelAt(image, 2, 0)[0]).toBe(100);
+        expect(pixelAt(image, 3, 0)[0]).toBe(104);
+    });
+});
@@ -0,0 +1,121 @@
+// Resize modes shared by the editor, the batch settings and the render pipeline
+// 'percentage' and 'dimensions' size the image before rotation (as they always have);
+// the box modes size the finished output, so 1200×630 means 1200×630 after rotating
+
+export const RESIZE_MODES = [
+    { value: 'percentage', label: 'Percentage' },
+    { value: 'dimensions', label: 'Dimensions' },
+    { value: 'fit', label: 'Fit' }, // inside the box, aspect kept
+    { value: 'fill', label: 'Fill' }, // cover the box, overflow cropped at the anchor
+    { value: 'contain', label: 'Contain' }, // inside the box, padded to it with the background
+    { value: 'maxEdge', label: 'Max edge' } // longest edge capped
+];
+
+export const BOX_MODES = ['fit', 'fill', 'contain'];
+
+// Gravity for fill's crop and contain's padding, as fractions of the spare space
+export const ANCHORS = {
+    nw: { x: 0, y: 0 },
+    n: { x: 0.5, y: 0 },
+    ne: { x: 1, y: 0 },
+    w: { x: 0, y: 0.5 },
+    center: { x: 0.5, y: 0.5 },
+    e: { x: 1, y: 0.5 },
+    sw: { x: 0, y: 1 },
+    s: { x: 0.5, y: 1 },
+    se: { x: 1, y: 1 }
+};
+
+const isQuarterTurn = (rotate) => rotate === 90 || rotate === 270;
+
+// Scale factors above 1 are only kept when upscaling is allowed
+const capScale = (scale, resize) => resize.allowUpscale ? scale : Math.min(1, scale);
+
+// Pre-rotation size for the original percentage / dimensions modes
+function getLegacySize(resize, width, height) {
+    if (resize.mode === 'percentage') {
+        const scale = capScale(resize.percentage / 100, resize);
+        return { width: Math.round(width * scale), height: Math.round(height * scale) };
+    }
+
+    let target = { width: resize.width || width, height: resize.height || height };
+    if (resize.lockAspect) {
+        const aspectRatio = width / height;
+        if (resize.width) target = { width: resize.width, height: Math.round(resize.width / aspectRatio) };
+        else if (resize.height) target = { width: Math.round(resize.height * aspectRatio), height: resize.height };
+    }
+
+    // Shrink a too-large request uniformly so an unlocked aspect is still honoured
+    const scale = capScale(Math.min(width / target.width, height / target.height), resize);
+    return scale < 1
+        ? { width: Math.round(target.width * scale), height: Math.round(target.height * scale) }
+        : target;
+}
+
+const fullPlacement = (width, height) => {
+    const size = { width: Math.max(1, width), height: Math.max(1, height) };
+    return { ...size, placement: { x: 0, y: 0, ...size } };
+};
+
+// Output size, and where the (cropped, rotated) image lands in it. The placement can
+// overflow the output (fill) or leave a margin for the background (contain).
+export function planResize(resize, cropWidth, cropHeight, rotate = 0) {
+    const width = isQuarterTurn(rotate) ? cropHeight : cropWidth;
+    const height = isQuarterTurn(rotate) ? cropWidth : cropHeight;
+
+    if (!resize?.enabled) return fullPlacement(width, height);
+
+    if (resize.mode === 'percentage' || resize.mode === 'dimensions' || !resize.mode) {
+        const size = getLegacySize(resize, cropWidth, cropHeight);
+        return isQuarterTurn(rotate) ? fullPlacement(size.height, size.width) : fullPlacement(size.width, size.height);
+    }
+
+    if (resize.mode === 'maxEdge') {
+        const scale = capScale((resize.maxEdge || Math.max(width, height)) / Math.max(width, height), resize);
+        return fullPlacement(Math.round(width * scale), Math.round(height * scale));
+    }
+
+    const boxWidth = resize.width || width;
+    const boxHeight = resize.height || height;
+    const anchor = ANCHORS[resize.anchor] || ANCHORS.center;
+    const fitScale = Math.min(boxWidth / width, boxHeight / height);
+
+    if (resize.mode === 'fit') {
+        const scale = capScale(fitScale, resize);
+        return fullPlacement(Math.round(width * scale), Math.round(height * scale));
+    }
+
+    if (resize.mode === 'contain') {
+        const scale = capScale(fitScale, resize);
+        const imageWidth = Math.round(width * scale);
+        const imageHeight = Math.round(height * scale);
+        return {
+            width: boxWidth,
+            height: boxHeight,
+            placement: {
+                x: Math.round((boxWidth - imageWidth) * anchor.x),
+                y: Math.round((boxHeight - imageHeight) * anchor.y),
+                width: imageWidth,
+                height: imageHeight
+            }
+        };
+    }
+
+    // fill: without upscaling a small image, the box shrinks but keeps its aspect ratio
+    const coverScale = Math.max(boxWidth / width, boxHeight / height);
+    const scale = capScale(coverScale, resize);
+    const outputWidth = Math.round(boxWidth * (scale / coverScale));
+    const outputHeight = Math.round(boxHeight * (scale / coverScale));
+    const imageWidth = Math.round(width * scale);
+    const imageHeight = Math.round(height * scale);
+    return {
+        width: outputWidth,
+        height: outputHeight,
+        placement: {
+            x: Math.round((outputWidth - imageWidth) * anchor.x),
+            y: Math.round((outputHeight - imageHeight) * anchor.y),
+            width: imageWidth,
+            height: imageHeight
+        }
+    };
+}
@@ -0,0 +1,114 @@
+// Responsive image sets: which widths each file is rendered at, and the
+// <picture> markup and JSON manifest describing the renditions
+
+import { MIME_TYPES } from './conversionChain';
+import { getBaseName } from './filenames';
+
+// Browsers take the first <source> they support, so the most efficient format goes first
+export const SRCSET_FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+
+// The <img> fallback is the most widely supported format in the set
+const FALLBACK_ORDER = ['jpeg', 'png', 'webp', 'avif'];
+
+// "320, 640 1280" -> [320, 640, 1280], sorted and de-duplicated
+export function parseWidths(text) {
+    const widths = String(text)
+        .split(/[\s,]+/)
+        .map(value => parseInt(value, 10))
+        .filter(value => value > 0);
+    return [...new Set(widths)].sort((a, b) => a - b);
+}
+
+// Widths wider than the source are dropped (no upscaling); the source width stands in if all are
+export function getSrcsetWidths(widths, sourceWidth) {
+    if (!sourceWidth) return widths;
+    const fitting = widths.filter(width => width <= sourceWidth);
+    return fitting.length > 0 ? fitting : [sourceWidth];
+}
+
+export function sortByFormat(formats) {
+    return SRCSET_FORMATS.filter(format => formats.includes(format));
+}
+
+// srcset candidates are split on whitespace and commas, so neither can appear in a URL
+const toUrlSafe = (name) => name.replace(/[\s,]+/g, '-');
+
+// Names every rendition "<name>-<width>w.<format>", keeping names unique across files
+export function nameRenditions(results) {
+    const used = new Set();
+    const uniqueBase = (name) => {
+        let candidate = name;
+        for (let n = 2; used.has(candidate.toLowerCase()); n++) candidate = `${name}-${n}`;
+        used.add(candidate.toLowerCase());
+        return candidate;
+    };
+
+    return results.map(({ file, renditions, missingFormats }) => {
+        const base = uniqueBase(toUrlSafe(getBaseName(file.originalName)));
+        return {
+            source: file.originalName,
+            base,
+            missingFormats,
+            renditions: renditions.map(rendition => ({
+                ...rendition,
+                filename: `${base}-${rendition.width}w.${rendition.format}`
+            }))
+        };
+    });
+}
+
+const toSrcset = (renditions) => renditions
+    .map(rendition => `${rendition.filename} ${rendition.width}w`)
+    .join(', ');
+
+const escapeAttribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+export function buildPictureHtml(entry, sizes) {
+    const byFormat = new Map();
+    entry.renditions.forEach(rendition => {
+        if (!byFormat.has(rendition.format)) byFormat.set(rendition.format, []);
+        byFormat.get(rendition.format).push(rendition);
+    });
+    if (byFormat.size === 0) return `<!-- ${entry.source}: no renditions -->`;
+
+    const fallbackFormat = FALLBACK_ORDER.find(format => byFormat.has(format));
+    const fallback = byFormat.get(fallbackFormat).sort((a, b) => a.width - b.width);
+    const largest = fallback[fallback.length - 1];
+    const sizesAttribute = escapeAttribute(sizes || '100vw');
+
+    const sources = sortByFormat([...byFormat.keys()])
+        .filter(format => format !== fallbackFormat)
+        .map(format => {
+            const renditions = byFormat.get(format).sort((a, b) => a.width - b.width);
+            return `  <source type="${MIME_TYPES[format]}" srcset="${escapeAttribute(toSrcset(renditions))}" sizes="${sizesAttribute}">`;
+        });
+
+    return [
+        '<picture>',
+        ...sources,
+        `  <img src="${escapeAttribute(largest.filename)}" srcset="${escapeAttribute(toSrcset(fallback))}" sizes="${sizesAttribute}" ` +
+        `width="${largest.width}" height="${largest.height}" alt="" loading="lazy" decoding="async">`,
+        '</picture>'
+    ].join('\n');
+}
+
+export function buildManifest(entries, sizes) {
+    return {
+        app: 'comprangel',
+        generated: new Date().toISOString(),
+        sizes: sizes || '100vw',
+        images: entries.map(entry => ({
+            source: entry.source,
+            renditions: entry.renditions.map(({ filename, format, width, height, size }) => ({
+                file: filename,
+                format,
+                type: MIME_TYPES[format],
+                width,
+                height,
+                bytes: size
+            })),
+            missingFormats: entry.missingFormats,
+            html: buildPictureHtml(entry, sizes)
+        }))
+    };
+}
@@ -0,0 +1,91 @@
+// Structural similarity (SSIM) between the rendered source and the decoded output
+// Compared on luma at a reduced size; transparent pixels are composited over white
+
+const MAX_COMPARE_EDGE = 512;
+const WINDOW_SIZE = 8;
+const WINDOW_STRIDE = 4;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+export function getComparisonSize(width, height) {
+    const scale = Math.min(1, MAX_COMPARE_EDGE / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+function toLuma({ data, width, height }) {
+    const luma = new Float32Array(width * height);
+    for (let i = 0, p = 0; p < luma.length; i += 4, p++) {
+        const alpha = data[i + 3] / 255;
+        const y = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        luma[p] = y * alpha + 255 * (1 - alpha);
+    }
+    return luma;
+}
+
+// Mean SSIM over sliding windows, 1 = identical
+export function computeSsim(a, b) {
+    const { width, height } = a;
+    const x = toLuma(a);
+    const y = toLuma(b);
+    const windowWidth = Math.min(WINDOW_SIZE, width);
+    const windowHeight = Math.min(WINDOW_SIZE, height);
+    const count = windowWidth * windowHeight;
+    let total = 0;
+    let windows = 0;
+
+    for (let top = 0; top + windowHeight <= height; top += WINDOW_STRIDE) {
+        for (let left = 0; left + windowWidth <= width; left += WINDOW_STRIDE) {
+            let sumX = 0, sumY = 0, sumXX = 0, sumYY = 0, sumXY = 0;
+
+            for (let row = top; row < top + windowHeight; row++) {
+                for (let col = left; col < left + windowWidth; col++) {
+                    const p = row * width + col;
+                    sumX += x[p];
+                    sumY += y[p];
+                    sumXX += x[p] * x[p];
+                    sumYY += y[p] * y[p];
+                    sumXY += x[p] * y[p];
+                }
+            }
+
+            const meanX = sumX / count;
+            const meanY = sumY / count;
+            const varX = sumXX / count - meanX * meanX;
+            const varY = sumYY / count - meanY * meanY;
+            const covXY = sumXY / count - meanX * meanY;
+
+            total += ((2 * meanX * meanY + C1) * (2 * covXY + C2)) /
+                ((meanX * meanX + meanY * meanY + C1) * (varX + varY + C2));
+            windows++;
+        }
+    }
+
+    return windows > 0 ? total / windows : 1;
+}
+
+function readPixels(source, width, height, createCanvas) {
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+}
+
+// Scores encoded results against a reference render; null when the output can't be decoded
+export function createScorer(reference, createCanvas) {
+    const { width, height } = getComparisonSize(reference.width, reference.height);
+    const referencePixels = readPixels(reference, width, height, createCanvas);
+
+    return async (result) => {
+        try {
+            const bitmap = await createImageBitmap(result.convertedBlob);
+            const pixels = readPixels(bitmap, width, height, createCanvas);
+            bitmap.close();
+            return computeSsim(referencePixels, pixels);
+        } catch {
+            return null;
+        }
+    };
+}
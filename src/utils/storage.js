@@ -0,0 +1,121 @@
+// IndexedDB persistence for the work queue: file state, their blobs and the settings
+// Blobs live in their own store so progress updates don't rewrite megabytes of image data
+
+const DB_NAME = 'comprangel';
+const DB_VERSION = 1;
+const SETTINGS_KEY = 'current';
+
+// Blob fields stored per file, keyed `${id}:${field}`
+export const BLOB_FIELDS = ['originalFile', 'decodedBlob', 'convertedBlob'];
+
+// Object URLs and in-flight state don't survive a reload
+const TRANSIENT_FIELDS = ['previewUrl', 'webpUrl', 'isConverting', 'conversionProgress'];
+
+let dbPromise = null;
+
+const request = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+});
+
+const complete = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+});
+
+function openDb() {
+    dbPromise ??= new Promise((resolve, reject) => {
+        const open = indexedDB.open(DB_NAME, DB_VERSION);
+        open.onupgradeneeded = () => {
+            const db = open.result;
+            db.createObjectStore('files', { keyPath: 'id' });
+            db.createObjectStore('blobs');
+            db.createObjectStore('settings');
+        };
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => {
+            dbPromise = null;
+            reject(open.error);
+        };
+    });
+    return dbPromise;
+}
+
+export function isStorageSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+export function toRecord(file, order) {
+    const record = { ...file, order };
+    [...BLOB_FIELDS, ...TRANSIENT_FIELDS].forEach(field => delete record[field]);
+    return record;
+}
+
+// Files come back in queue order, without object URLs
+export async function loadQueue() {
+    const db = await openDb();
+    const tx = db.transaction(['files', 'blobs', 'settings'], 'readonly');
+    const blobStore = tx.objectStore('blobs');
+
+    // All requests are issued up front so the transaction stays active
+    const [records, blobKeys, blobValues, settings] = await Promise.all([
+        request(tx.objectStore('files').getAll()),
+        request(blobStore.getAllKeys()),
+        request(blobStore.getAll()),
+        request(tx.objectStore('settings').get(SETTINGS_KEY))
+    ]);
+
+    const blobs = new Map(blobKeys.map((key, i) => [key, blobValues[i]]));
+    const files = records
+        .sort((a, b) => a.order - b.order)
+        .map(record => {
+            const file = {
+                ...record,
+                ...Object.fromEntries(BLOB_FIELDS.map(field => [field, blobs.get(`${record.id}:${field}`) || null]))
+            };
+            delete file.order;
+            return file;
+        })
+        // A record without its original can't be converted again
+        .filter(file => file.originalFile);
+
+    return { files, settings: settings || null };
+}
+
+// records: file records to put; blobs: [key, blob | null] pairs; removedIds: files to drop entirely
+export async function saveQueue({ records = [], blobs = [], removedIds = [] }) {
+    const db = await openDb();
+    const tx = db.transaction(['files', 'blobs'], 'readwrite');
+    const fileStore = tx.objectStore('files');
+    const blobStore = tx.objectStore('blobs');
+
+    records.forEach(record => fileStore.put(record));
+    blobs.forEach(([key, blob]) => blob ? blobStore.put(blob, key) : blobStore.delete(key));
+    removedIds.forEach(id => {
+        fileStore.delete(id);
+        BLOB_FIELDS.forEach(field => blobStore.delete(`${id}:${field}`));
+    });
+
+    return complete(tx);
+}
+
+export async function saveSettings(settings) {
+    const db = await openDb();
+    const tx = db.transaction('settings', 'readwrite');
+    tx.objectStore('settings').put(settings, SETTINGS_KEY);
+    return complete(tx);
+}
+
+export async function clearStorage() {
+    const db = await openDb();
+    const tx = db.transaction(['files', 'blobs', 'settings'], 'readwrite');
+    ['files', 'blobs', 'settings'].forEach(name => tx.objectStore(name).clear());
+    return complete(tx);
+}
+
+export async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) return { usage: null, quota: null };
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+}
@@ -1,178 +1,170 @@
 // Image Processing Web Worker
 // Handles all heavy image processing off the main thread
-
-const processImage = async (imageData, settings) => {
+import { BROWSER_ENCODER, getEncoderSettings, getProducedFormat, runConversionChain, runSingleEncode, runTargetSizeSearch } from '../utils/conversionChain';
+import { applyMetadata } from '../utils/metadata';
+import { createScorer } from '../utils/ssim';
+import { createRenderer } from '../utils/pipeline';
+import { encodeRgbaPng, forEachFrame, planAnimation, toLoopCount, writeAnimation } from '../utils/animation';
+import { encodeIconFile, isIconFormat } from '../utils/icons';
+import { WASM_ENCODER_LABELS, encodeWithWasm, isWasmFormat } from './wasmEncoders';
+
+const processImage = async (imageData, settings, onProgress) => {
     const {
         outputFormat,
         quality,
         lossless,
         preserveMetadata,
-        resize,
-        rotate,
-        flip,
-        filters,
-        crop
+        metadataPrivacy,
+        targetSize,
+        targetBytes,
+        exactOutput = false,
+        minQualityScore = 0,
+        fallbacks,
+        encoder = 'browser',
+        encoderOptions: codecOptions = {},
+        preserveAnimation = true,
+        icoOutput
     } = settings;
 
-    // Create OffscreenCanvas for image processing
-    const img = await createImageBitmap(imageData.blob);
-
-    let width = img.width;
-    let height = img.height;
-
-    // Apply crop first
-    if (crop && crop.enabled) {
-        width = crop.width;
-        height = crop.height;
-    }
+    const withMetadata = async (result) => {
+        if (!preserveMetadata) return result;
+        const { blob, status } = await applyMetadata(imageData.blob, result.convertedBlob, metadataPrivacy);
+        return { ...result, convertedBlob: blob, convertedSize: blob.size, metadataStatus: status };
+    };
 
-    // Apply resize
-    if (resize && resize.enabled) {
-        if (resize.mode === 'percentage') {
-            width = Math.round(width * (resize.percentage / 100));
-            height = Math.round(height * (resize.percentage / 100));
-        } else {
-            if (resize.lockAspect) {
-                const aspectRatio = img.width / img.height;
-                if (resize.width) {
-                    width = resize.width;
-                    height = Math.round(resize.width / aspectRatio);
-                } else if (resize.height) {
-                    height = resize.height;
-                    width = Math.round(resize.height * aspectRatio);
-                }
-            } else {
-                width = resize.width || width;
-                height = resize.height || height;
+    // Bitmaps are decoded on the main thread for sources workers can't read (SVG)
+    const img = imageData.bitmap || await createImageBitmap(imageData.blob);
+
+    // Animation frames are drawn through the same pipeline as the still image
+    const { width, height, render: createCanvas } = createRenderer(img, settings, (w, h) => new OffscreenCanvas(w, h));
+
+    const attemptConversion = async (format, qualityValue, canvasWidth, canvasHeight, encoderOptions) => {
+        const { mimeType, quality: finalQuality } = getEncoderSettings(format, qualityValue, lossless, encoderOptions);
+        const canvas = createCanvas(canvasWidth, canvasHeight);
+        const toResult = (blob, encoderLabel, qualityUsed = finalQuality) => {
+            const producedFormat = getProducedFormat(format, blob);
+            return {
+                convertedBlob: blob,
+                convertedSize: blob.size,
+                width: canvasWidth,
+                height: canvasHeight,
+                format: producedFormat,
+                requestedFormat: producedFormat !== format ? format : null,
+                qualityUsed,
+                encoder: encoderLabel
+            };
+        };
+
+        // WASM codecs first when selected; the canvas encoder is the fallback
+        if (encoder === 'wasm' && isWasmFormat(format)) {
+            try {
+                const pixels = canvas.getContext('2d').getImageData(0, 0, canvasWidth, canvasHeight);
+                // The canvas encoders' quality clamp doesn't apply: the codecs use the full range
+                const wasmQuality = format === 'png' ? undefined : qualityValue;
+                const blob = await encodeWithWasm(format, pixels, {
+                    quality: wasmQuality,
+                    lossless,
+                    options: codecOptions[format]
+                });
+                return toResult(blob, WASM_ENCODER_LABELS[format], wasmQuality);
+            } catch (error) {
+                console.warn(`WASM ${format} encoder failed, using canvas:`, error);
             }
         }
-    }
-
-    // Handle rotation dimensions
-    if (rotate === 90 || rotate === 270) {
-        [width, height] = [height, width];
-    }
-
-    const canvas = new OffscreenCanvas(width, height);
-    const ctx = canvas.getContext('2d');
-
-    // Apply rotation/flip transforms
-    ctx.save();
-
-    if (rotate || flip) {
-        ctx.translate(width / 2, height / 2);
-
-        if (rotate) {
-            ctx.rotate((rotate * Math.PI) / 180);
-        }
-
-        if (flip) {
-            ctx.scale(flip.horizontal ? -1 : 1, flip.vertical ? -1 : 1);
-        }
 
-        if (rotate === 90 || rotate === 270) {
-            ctx.translate(-height / 2, -width / 2);
-        } else {
-            ctx.translate(-width / 2, -height / 2);
+        try {
+            const blob = await canvas.convertToBlob({ type: mimeType, quality: finalQuality });
+            return toResult(blob, BROWSER_ENCODER);
+        } catch {
+            return null;
         }
-    }
-
-    // Draw image with crop
-    if (crop && crop.enabled) {
-        ctx.drawImage(
-            img,
-            crop.x, crop.y, crop.width, crop.height,
-            0, 0, width, height
-        );
-    } else {
-        const srcWidth = rotate === 90 || rotate === 270 ? height : width;
-        const srcHeight = rotate === 90 || rotate === 270 ? width : height;
-        ctx.drawImage(img, 0, 0, srcWidth, srcHeight);
-    }
-
-    ctx.restore();
-
-    // Apply filters
-    if (filters) {
-        const imageDataObj = ctx.getImageData(0, 0, width, height);
-        const data = imageDataObj.data;
-
-        for (let i = 0; i < data.length; i += 4) {
-            let r = data[i];
-            let g = data[i + 1];
-            let b = data[i + 2];
-
-            // Grayscale
-            if (filters.grayscale) {
-                const gray = 0.299 * r + 0.587 * g + 0.114 * b;
-                r = g = b = gray;
-            }
-
-            // Brightness (-100 to 100)
-            if (filters.brightness !== undefined && filters.brightness !== 0) {
-                const brightness = (filters.brightness / 100) * 255;
-                r += brightness;
-                g += brightness;
-                b += brightness;
-            }
-
-            // Contrast (-100 to 100)
-            if (filters.contrast !== undefined && filters.contrast !== 0) {
-                const contrast = (filters.contrast + 100) / 100;
-                const factor = (259 * (contrast * 255 + 255)) / (255 * (259 - contrast * 255));
-                r = factor * (r - 128) + 128;
-                g = factor * (g - 128) + 128;
-                b = factor * (b - 128) + 128;
-            }
-
-            data[i] = Math.max(0, Math.min(255, r));
-            data[i + 1] = Math.max(0, Math.min(255, g));
-            data[i + 2] = Math.max(0, Math.min(255, b));
-        }
-
-        ctx.putImageData(imageDataObj, 0, 0);
-    }
+    };
 
-    // Convert to output format
-    let mimeType;
-    let qualityValue = quality / 100;
+    // Every frame goes through createCanvas and is re-assembled; no fallbacks or size search
+    const encodeAnimation = async (format, note) => {
+        const { mimeType, quality: finalQuality } = getEncoderSettings(format, quality / 100, lossless);
+        const frames = [];
+        const { loopCount } = await forEachFrame(imageData.blob, async (frame, { index, total, duration }) => {
+            const canvas = createCanvas(width, height, frame);
+            const bytes = format === 'png'
+                ? await encodeRgbaPng(canvas.getContext('2d').getImageData(0, 0, width, height))
+                : new Uint8Array(await (await canvas.convertToBlob({ type: mimeType, quality: finalQuality })).arrayBuffer());
+            frames.push({ bytes, duration });
+            onProgress?.((index + 1) / total);
+        });
+
+        const blob = writeAnimation(format, frames, { width, height, loopCount: toLoopCount(loopCount) });
+        return {
+            convertedBlob: blob,
+            convertedSize: blob.size,
+            width,
+            height,
+            format,
+            qualityUsed: finalQuality,
+            encoder: BROWSER_ENCODER,
+            frameCount: frames.length,
+            animationNote: note
+        };
+    };
 
-    switch (outputFormat) {
-        case 'webp':
-            mimeType = 'image/webp';
-            break;
-        case 'avif':
-            mimeType = 'image/avif';
-            break;
-        case 'jpeg':
-            mimeType = 'image/jpeg';
-            break;
-        case 'png':
-            mimeType = 'image/png';
-            qualityValue = undefined; // PNG doesn't use quality
-            break;
-        default:
-            mimeType = 'image/webp';
+    const animation = imageData.animated ? planAnimation(outputFormat, preserveAnimation) : null;
+    if (animation?.format) {
+        const result = await encodeAnimation(animation.format, animation.note);
+        img.close();
+        return { id: imageData.id, ...(await withMetadata(result)) };
     }
 
-    // For lossless WebP
-    if (lossless && outputFormat === 'webp') {
-        qualityValue = 1;
+    // ICO/CUR are assembled from PNG/BMP entries; no fallbacks, size search or metadata
+    if (isIconFormat(outputFormat)) {
+        const result = await encodeIconFile(outputFormat, {
+            width,
+            height,
+            options: icoOutput,
+            render: createCanvas,
+            toPng: (canvas) => canvas.convertToBlob({ type: 'image/png' }),
+            onProgress
+        });
+        img.close();
+        if (animation) result.animationNote = animation.note;
+        return { id: imageData.id, ...result };
     }
 
-    const blob = await canvas.convertToBlob({
-        type: mimeType,
-        quality: qualityValue
-    });
-
-    return {
-        id: imageData.id,
-        convertedBlob: blob,
-        convertedSize: blob.size,
-        width,
-        height,
-        format: outputFormat
-    };
+    // Outputs are scored against the full-size render before encoding
+    const score = createScorer(createCanvas(width, height), (w, h) => new OffscreenCanvas(w, h));
+
+    // targetBytes is resolved per file by the batch (per-file or share of the total)
+    const result = targetBytes
+        ? await runTargetSizeSearch({
+            outputFormat,
+            lossless,
+            width,
+            height,
+            targetBytes,
+            allowResize: targetSize?.allowResize,
+            attempt: attemptConversion,
+            onProgress,
+            score,
+            minScore: minQualityScore
+        })
+        : exactOutput
+            ? await runSingleEncode({ outputFormat, quality, width, height, attempt: attemptConversion, onProgress, score })
+            : await runConversionChain({
+                outputFormat,
+                quality,
+                width,
+                height,
+                originalSize: imageData.originalSize,
+                attempt: attemptConversion,
+                onProgress,
+                score,
+                minScore: minQualityScore,
+                policy: fallbacks
+            });
+
+    img.close();
+    if (animation) result.animationNote = animation.note;
+
+    return { id: imageData.id, ...(await withMetadata(result)) };
 };
 
 // Message handler
@@ -182,12 +174,18 @@ self.onmessage = async (e) => {
     switch (type) {
         case 'PROCESS_IMAGE':
             try {
-                const result = await processImage(payload.imageData, payload.settings);
-                self.postMessage({ type: 'PROCESS_COMPLETE', payload: result });
+                const { jobId, imageData } = payload;
+                const result = await processImage(imageData, payload.settings, (progress) => {
+                    self.postMessage({
+                        type: 'PROCESS_PROGRESS',
+                        payload: { jobId, id: imageData.id, progress }
+                    });
+                });
+                self.postMessage({ type: 'PROCESS_COMPLETE', payload: { ...result, jobId } });
             } catch (error) {
                 self.postMessage({
                     type: 'PROCESS_ERROR',
-                    payload: { id: payload.imageData.id, error: error.message }
+                    payload: { jobId: payload.jobId, id: payload.imageData.id, error: error.message }
                 });
             }
             break;
@@ -198,7 +196,12 @@ self.onmessage = async (e) => {
 
             for (const imageData of images) {
                 try {
-                    const result = await processImage(imageData, settings);
+                    const result = await processImage(imageData, settings, (progress) => {
+                        self.postMessage({
+                            type: 'PROCESS_PROGRESS',
+                            payload: { id: imageData.id, progress }
+                        });
+                    });
                     processed++;
                     self.postMessage({
                         type: 'BATCH_PROGRESS',
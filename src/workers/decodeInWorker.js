@@ -0,0 +1,25 @@
+// One short-lived decoder worker per file; fallback decodes are rare, so no pool is kept
+import { decodeImageFile } from '../utils/decoders';
+import { isWorkerPoolSupported } from './workerPool';
+
+// Same result as decodeImageFile, decoded in a worker when the browser allows it
+export function decodeImageFileInWorker(file) {
+    if (!isWorkerPoolSupported()) return decodeImageFile(file);
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./decoderWorker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = ({ data: { type, payload } }) => {
+            worker.terminate();
+            if (type === 'DECODE_COMPLETE') resolve(payload.pages);
+            else reject(new Error(payload.error));
+        };
+        worker.onerror = (e) => {
+            e.preventDefault();
+            worker.terminate();
+            reject(new Error(e.message || 'Decoder worker crashed'));
+        };
+
+        worker.postMessage({ file });
+    });
+}
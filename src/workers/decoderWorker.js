@@ -0,0 +1,14 @@
+// Runs the TIFF/HEIC/RAW fallback decoders off the main thread
+// (a RAW file without a usable preview is demosaiced in JS, which takes seconds)
+import { decodeImageFile } from '../utils/decoders';
+
+self.onmessage = async (e) => {
+    const { file } = e.data;
+
+    try {
+        const pages = await decodeImageFile(file);
+        self.postMessage({ type: 'DECODE_COMPLETE', payload: { pages } });
+    } catch (error) {
+        self.postMessage({ type: 'DECODE_ERROR', payload: { error: error.message } });
+    }
+};
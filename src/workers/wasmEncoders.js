@@ -0,0 +1,79 @@
+// Bundled WASM codecs (MozJPEG, libwebp, libavif, OxiPNG) for the conversion worker
+// Each codec is loaded on first use so the browser-only path stays light
+
+export const WASM_ENCODER_LABELS = {
+    jpeg: 'MozJPEG',
+    webp: 'libwebp',
+    avif: 'libavif',
+    png: 'OxiPNG'
+};
+
+const loaders = {
+    jpeg: () => import('@jsquash/jpeg/encode'),
+    webp: () => import('@jsquash/webp/encode'),
+    avif: () => import('@jsquash/avif/encode'),
+    png: () => import('@jsquash/oxipng/optimise')
+};
+
+const modules = {};
+
+const loadEncoder = async (format) => {
+    if (!modules[format]) {
+        // Drop the cached promise on failure so a later attempt can retry
+        modules[format] = loaders[format]().catch(error => {
+            delete modules[format];
+            throw error;
+        });
+    }
+    return (await modules[format]).default;
+};
+
+// Map the app's quality (0-1) and advanced options onto each codec's own option names
+function getCodecOptions(format, quality, lossless, options = {}) {
+    const q = Math.round((quality ?? 1) * 100);
+
+    switch (format) {
+        case 'jpeg':
+            return {
+                quality: q,
+                progressive: options.progressive ?? true,
+                auto_subsample: false,
+                chroma_subsample: options.chromaSubsampling === '4:4:4' ? 1 : 2,
+                trellis_multipass: !!options.trellis,
+                trellis_opt_zero: !!options.trellis,
+                trellis_opt_table: !!options.trellis
+            };
+        case 'webp':
+            return {
+                quality: lossless ? 100 : q,
+                lossless: lossless ? 1 : 0,
+                method: options.effort ?? 4,
+                use_sharp_yuv: options.sharpYuv ? 1 : 0
+            };
+        case 'avif':
+            return {
+                quality: q,
+                lossless: !!lossless,
+                // libavif speed runs the other way: 10 is fastest, 0 is best
+                speed: 10 - (options.effort ?? 4),
+                subsample: options.chromaSubsampling === '4:4:4' ? 3 : 1
+            };
+        case 'png':
+            return {
+                level: options.level ?? 2,
+                interlace: !!options.interlace
+            };
+        default:
+            return {};
+    }
+}
+
+export function isWasmFormat(format) {
+    return format in loaders;
+}
+
+export async function encodeWithWasm(format, imageData, { quality, lossless, options } = {}) {
+    const encode = await loadEncoder(format);
+    const buffer = await encode(imageData, getCodecOptions(format, quality, lossless, options));
+    return new Blob([buffer], { type: `image/${format}` });
+}
@@ -0,0 +1,144 @@
+// Fixed-size pool of conversion workers
+// Jobs wait in a FIFO queue until a worker is idle
+
+export function isWorkerPoolSupported() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+}
+
+export function createWorkerPool(size = navigator.hardwareConcurrency || 4) {
+    const workers = new Set();
+    const idle = [];
+    const queue = [];
+    const jobs = new Map();
+    let nextJobId = 0;
+
+    const dispatch = () => {
+        while (idle.length > 0 && queue.length > 0) {
+            const worker = idle.shift();
+            const job = queue.shift();
+            job.worker = worker;
+            worker.postMessage(
+                {
+                    type: 'PROCESS_IMAGE',
+                    payload: { jobId: job.id, imageData: job.imageData, settings: job.settings }
+                },
+                job.transfer
+            );
+        }
+    };
+
+    const settle = (jobId) => {
+        const job = jobs.get(jobId);
+        if (!job) return null;
+        jobs.delete(jobId);
+        if (workers.has(job.worker)) idle.push(job.worker);
+        dispatch();
+        return job;
+    };
+
+    const handleMessage = ({ type, payload }) => {
+        switch (type) {
+            case 'PROCESS_PROGRESS':
+                jobs.get(payload.jobId)?.onProgress?.(payload.progress);
+                break;
+
+            case 'PROCESS_COMPLETE': {
+                const { jobId, ...result } = payload;
+                settle(jobId)?.resolve(result);
+                break;
+            }
+
+            case 'PROCESS_ERROR':
+                settle(payload.jobId)?.reject(new Error(payload.error));
+                break;
+        }
+    };
+
+    const spawn = () => {
+        const worker = new Worker(new URL('./conversionWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => handleMessage(e.data);
+        // A crashed worker is replaced so the pool keeps its size
+        worker.onerror = (e) => {
+            e.preventDefault();
+            replace(worker, new Error(e.message || 'Conversion worker crashed'));
+        };
+        workers.add(worker);
+        idle.push(worker);
+        return worker;
+    };
+
+    const replace = (worker, error) => {
+        worker.terminate();
+        workers.delete(worker);
+        const idleIndex = idle.indexOf(worker);
+        if (idleIndex !== -1) idle.splice(idleIndex, 1);
+        spawn();
+
+        for (const job of jobs.values()) {
+            if (job.worker === worker) {
+                jobs.delete(job.id);
+                job.reject(error);
+            }
+        }
+        dispatch();
+    };
+
+    for (let i = 0; i < size; i++) spawn();
+
+    // Queued jobs are dropped; a running job's worker is killed mid-conversion
+    const abort = (job) => {
+        const error = new DOMException('Conversion cancelled', 'AbortError');
+
+        if (job.worker) {
+            replace(job.worker, error);
+            return;
+        }
+
+        const queueIndex = queue.indexOf(job);
+        if (queueIndex !== -1) queue.splice(queueIndex, 1);
+        jobs.delete(job.id);
+        job.reject(error);
+    };
+
+    const run = (imageData, settings, { onProgress, transfer = [], signal } = {}) => {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Conversion cancelled', 'AbortError'));
+                return;
+            }
+
+            const onAbort = () => abort(job);
+            const job = {
+                id: ++nextJobId,
+                imageData,
+                settings,
+                transfer,
+                onProgress,
+                resolve: (result) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(result);
+                },
+                reject: (error) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    reject(error);
+                },
+                worker: null
+            };
+            signal?.addEventListener('abort', onAbort);
+            jobs.set(job.id, job);
+            queue.push(job);
+            dispatch();
+        });
+    };
+
+    const terminate = () => {
+        workers.forEach(worker => worker.terminate());
+        workers.clear();
+        idle.length = 0;
+        queue.length = 0;
+        jobs.forEach(job => job.reject(new Error('Worker pool terminated')));
+        jobs.clear();
+    };
+
+    return { size, run, terminate };
+}